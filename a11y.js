@@ -0,0 +1,70 @@
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Keep Tab and Shift+Tab inside container until the returned release function is
+// called, which puts focus back where it was. Containers without focusable
+// children hold the focus themselves.
+export function trapFocus(container, initialFocus = null) {
+    const previousFocus = document.activeElement;
+    const focusableElements = () => [...container.querySelectorAll(FOCUSABLE_SELECTOR)]
+        .filter(element => !element.disabled && getComputedStyle(element).display !== 'none');
+
+    const onKeyDown = (e) => {
+        if (e.key !== 'Tab') return;
+        const elements = focusableElements();
+        if (elements.length === 0) {
+            e.preventDefault();
+            return;
+        }
+        const first = elements[0];
+        const last = elements[elements.length - 1];
+        if (e.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+    document.addEventListener('keydown', onKeyDown, true);
+
+    const target = initialFocus || focusableElements()[0];
+    if (target) {
+        target.focus();
+    } else {
+        container.tabIndex = -1;
+        container.focus();
+    }
+
+    return () => {
+        document.removeEventListener('keydown', onKeyDown, true);
+        if (previousFocus && previousFocus.isConnected && typeof previousFocus.focus === 'function') {
+            previousFocus.focus();
+        }
+    };
+}
+
+// Visually hidden status regions. Screen readers announce what is written into them;
+// "assertive" interrupts (errors), "polite" waits for a pause.
+function getLiveRegion(politeness) {
+    const id = politeness === 'assertive' ? 'liveRegionAssertive' : 'liveRegionPolite';
+    let region = document.getElementById(id);
+    if (!region) {
+        region = document.createElement('div');
+        region.id = id;
+        region.className = 'sr-only';
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        region.setAttribute('aria-live', politeness === 'assertive' ? 'assertive' : 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+    }
+    return region;
+}
+
+export function announce(message, politeness = 'polite') {
+    if (!message) return;
+    const region = getLiveRegion(politeness);
+    // A fresh node is announced even when the text repeats
+    const line = document.createElement('div');
+    line.textContent = message;
+    region.replaceChildren(line);
+}
@@ -0,0 +1,118 @@
+// Structured bridge to ExtendScript. Every host call goes through here so that
+// arguments are serialized as JSON literals (never spliced into script source),
+// every call has a timeout, and results come back in one shape:
+//   { success: true, data }  or  { success: false, error: { code, message } }
+
+export const DEFAULT_HOST_TIMEOUT = 10000;
+
+export const HostErrorCode = {
+    UNAVAILABLE: 'UNAVAILABLE',         // No CSInterface or evalScript
+    INVALID_FUNCTION: 'INVALID_FUNCTION',
+    TIMEOUT: 'TIMEOUT',
+    EMPTY_RESULT: 'EMPTY_RESULT',       // null/undefined/empty string from the host
+    MALFORMED_RESULT: 'MALFORMED_RESULT',
+    HOST_ERROR: 'HOST_ERROR'            // The host function threw or reported failure
+};
+
+// Dotted identifier paths only, e.g. "MaterialIconsHost.addIcon"
+const FUNCTION_NAME_PATTERN = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+export class HostBridgeError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'HostBridgeError';
+        this.code = code;
+    }
+}
+
+// JSON is valid ExtendScript literal syntax, except that U+2028/U+2029 must be escaped
+export function serializeArgument(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    return json.replace(/\u2028/g, '\\u2028').replace(/\u2029/g, '\\u2029');
+}
+
+function failure(code, message) {
+    return { success: false, error: { code, message } };
+}
+
+// Evaluate a raw script and resolve with its string result
+export function evalHostScript(csInterface, script, { timeout = DEFAULT_HOST_TIMEOUT } = {}) {
+    if (!csInterface || typeof csInterface.evalScript !== 'function') {
+        return Promise.resolve(failure(HostErrorCode.UNAVAILABLE, 'CSInterface is not available'));
+    }
+
+    return new Promise((resolve) => {
+        let settled = false;
+        // evalScript can't be cancelled; a late callback is simply ignored
+        const timeoutId = setTimeout(() => {
+            settled = true;
+            resolve(failure(HostErrorCode.TIMEOUT, `Host script timed out after ${timeout}ms`));
+        }, timeout);
+
+        try {
+            csInterface.evalScript(script, (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timeoutId);
+
+                if (result === null || result === undefined || result === '' ||
+                    result === 'null' || result === 'undefined') {
+                    resolve(failure(HostErrorCode.EMPTY_RESULT, 'Empty or null result from ExtendScript'));
+                } else if (result === 'EvalScript error.') {
+                    resolve(failure(HostErrorCode.HOST_ERROR, 'ExtendScript evaluation error'));
+                } else {
+                    resolve({ success: true, data: result });
+                }
+            });
+        } catch (error) {
+            settled = true;
+            clearTimeout(timeoutId);
+            resolve(failure(HostErrorCode.UNAVAILABLE, `evalScript failed: ${error.message}`));
+        }
+    });
+}
+
+// Call a named host function with JSON-serialized arguments. Host functions return
+// JSON strings; a parsed object with `success: false` becomes a HOST_ERROR result.
+export async function callHostFunction(csInterface, functionName, args = [], options = {}) {
+    if (!FUNCTION_NAME_PATTERN.test(functionName)) {
+        return failure(HostErrorCode.INVALID_FUNCTION, `Invalid host function name: ${functionName}`);
+    }
+
+    const script = `(function () {
+        try {
+            if (typeof ${functionName} !== "function") {
+                return JSON.stringify({ success: false, message: "Host function not found: ${functionName}" });
+            }
+            var result = ${functionName}(${args.map(serializeArgument).join(', ')});
+            return typeof result === "string" ? result : JSON.stringify(result);
+        } catch (e) {
+            return JSON.stringify({ success: false, message: e.toString() });
+        }
+    })()`;
+
+    const result = await evalHostScript(csInterface, script, options);
+    if (!result.success) {
+        return result;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(result.data);
+    } catch (error) {
+        return failure(HostErrorCode.MALFORMED_RESULT, `Malformed result from ${functionName}: ${result.data}`);
+    }
+
+    if (data && data.success === false) {
+        return failure(HostErrorCode.HOST_ERROR, data.message || data.error || `${functionName} failed`);
+    }
+    return { success: true, data };
+}
+
+// Unwrap a bridge result, throwing a HostBridgeError on failure
+export function unwrapHostResult(result) {
+    if (result.success) {
+        return result.data;
+    }
+    throw new HostBridgeError(result.error.code, result.error.message);
+}
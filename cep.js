@@ -1,5 +1,11 @@
 import { ErrorRecoveryManager } from './errorRecovery.js';
-import { showMessage } from './ui.js';
+import { notify } from './notifications.js';
+import { InsertHistory } from './insertHistory.js';
+import { t } from './i18n.js';
+import { HOST_EXTENSIONS_SCRIPT } from './hostScripts.js';
+import { HostErrorCode, callHostFunction, evalHostScript, unwrapHostResult } from './bridge.js';
+import { GlyphOutlineExtractor } from './fontOutline.js';
+import { DEFAULT_INSERTION_SETTINGS, TEXT_LAYER_AXES, formatLayerName, hexToRgb } from './insertionDefaults.js';
 
 // Initialize CSInterface with retry mechanism
 export async function initializeCSInterface() {
@@ -43,21 +49,11 @@ export async function initializeCSInterface() {
             }
 
             // Test actual functionality with a simple script
-            await new Promise((testResolve, testReject) => {
-                const testTimeout = setTimeout(() => {
-                    testReject(new Error('CSInterface test timeout'));
-                }, 3000);
-
-                csInterface.evalScript('"CSInterface_Test_Success"', (result) => {
-                    clearTimeout(testTimeout);
-                    if (result === 'CSInterface_Test_Success') {
-                        console.log('CSInterface functionality test passed');
-                        testResolve();
-                    } else {
-                        testReject(new Error(`CSInterface test failed: ${result}`));
-                    }
-                });
-            });
+            const testResult = await evalHostScript(csInterface, '"CSInterface_Test_Success"', { timeout: 3000 });
+            if (!testResult.success || testResult.data !== 'CSInterface_Test_Success') {
+                throw new Error(`CSInterface test failed: ${testResult.success ? testResult.data : testResult.error.message}`);
+            }
+            console.log('CSInterface functionality test passed');
 
             // Get host environment info for additional validation
             try {
@@ -108,33 +104,14 @@ export async function loadJSXHostScript(csInterface) {
 
             console.log('Loading JSX host script from:', jsxPath);
 
-            // Load the JSX file
-            const loadScript = `
-                try {
-                    var jsxFile = new File("${jsxPath.replace(/\\/g, '\\\\')}");
-                    if (jsxFile.exists) {
-                        $.evalFile(jsxFile);
-                        "JSX_LOADED_SUCCESS";
-                    } else {
-                        "JSX_FILE_NOT_FOUND";
-                    }
-                } catch (e) {
-                    "JSX_LOAD_ERROR: " + e.toString();
-                }
-            `;
-
-            return new Promise((resolve, reject) => {
-                csInterface.evalScript(loadScript, (result) => {
-                    console.log('JSX load result:', result);
-                    if (result === 'JSX_LOADED_SUCCESS') {
-                        console.log('JSX host script loaded successfully');
-                        resolve(true);
-                    } else {
-                        console.error('Failed to load JSX script:', result);
-                        reject(new Error('Failed to load JSX script: ' + result));
-                    }
-                });
-            });
+            // Needs MaterialIconsHost, so installHostExtensions must run first
+            const result = await callHostFunction(csInterface, 'MaterialIconsHost.loadScriptFile', [jsxPath]);
+            if (!result.success) {
+                console.error('Failed to load JSX script:', result.error);
+                throw new Error('Failed to load JSX script: ' + result.error.message);
+            }
+            console.log('JSX host script loaded successfully');
+            return true;
         },
         {
             maxRetries: 2, // Total 3 attempts
@@ -152,6 +129,38 @@ export async function loadJSXHostScript(csInterface) {
     );
 }
 
+// Install the panel's own ExtendScript helpers (see hostScripts.js)
+export async function installHostExtensions(csInterface) {
+    const errorRecovery = ErrorRecoveryManager.getInstance();
+
+    return await errorRecovery.executeWithRetry(
+        'Host_Extensions_Install',
+        async (attempt) => {
+            // The only raw script the panel evaluates; everything else calls into it by name
+            const script = `
+                try {
+                    ${HOST_EXTENSIONS_SCRIPT}
+                    "HOST_EXTENSIONS_READY";
+                } catch (e) {
+                    "HOST_EXTENSIONS_ERROR: " + e.toString();
+                }
+            `;
+            const result = await evalHostScript(csInterface, script);
+            if (!result.success || result.data !== 'HOST_EXTENSIONS_READY') {
+                throw new Error('Failed to install host extensions: ' + (result.success ? result.data : result.error.message));
+            }
+            console.log('Host extensions installed');
+            return true;
+        },
+        {
+            maxRetries: 2,
+            baseDelay: 500,
+            maxDelay: 2000,
+            backoffMultiplier: 1.5
+        }
+    );
+}
+
 // Read local file using ExtendScript
 export async function readLocalFile(csInterface, filePath, maxRetries = 3) {
     console.log(`Starting enhanced file read for: ${filePath}`);
@@ -166,15 +175,12 @@ export async function readLocalFile(csInterface, filePath, maxRetries = 3) {
         async (attempt) => {
             console.log(`File read attempt ${attempt}`);
 
-            const result = await attemptFileRead(csInterface, normalizedPath, attempt);
+            const result = await callHostFunction(csInterface, 'MaterialIconsHost.readTextFile', [normalizedPath]);
+            const { content } = unwrapHostResult(result);
 
-            if (result && result.success) {
-                console.log(`File read successful on attempt ${attempt}`);
-                console.log(`Content length: ${result.content.length} characters`);
-                return result.content;
-            } else {
-                throw new Error(result.error || 'Unknown file read error');
-            }
+            console.log(`File read successful on attempt ${attempt}`);
+            console.log(`Content length: ${content.length} characters`);
+            return content;
         },
         {
             maxRetries: maxRetries - 1,
@@ -193,84 +199,414 @@ export async function readLocalFile(csInterface, filePath, maxRetries = 3) {
     );
 }
 
-// Add icon to After Effects using JSX host script
+// Write a local file using ExtendScript, creating parent folders as needed.
+// Pass encoding 'BINARY' with a byte string (one char per byte) for binary files.
+export async function writeLocalFile(csInterface, filePath, content, maxRetries = 3, encoding = 'UTF-8') {
+    console.log(`Starting file write for: ${filePath}`);
+    const errorRecovery = ErrorRecoveryManager.getInstance();
+    const normalizedPath = normalizePath(csInterface, filePath);
+
+    return await errorRecovery.executeWithRetry(
+        `FileWrite_${normalizedPath}`,
+        async (attempt) => {
+            console.log(`File write attempt ${attempt}`);
+
+            const result = await callHostFunction(csInterface, 'MaterialIconsHost.writeTextFile',
+                [normalizedPath, content, encoding === 'BINARY' ? 'BINARY' : 'UTF-8']);
+            unwrapHostResult(result);
+
+            console.log(`File write successful on attempt ${attempt}`);
+            return true;
+        },
+        {
+            maxRetries: maxRetries - 1,
+            baseDelay: 500,
+            maxDelay: 3000,
+            backoffMultiplier: 2,
+            shouldRetry: (error, attempt) => {
+                return !error.message.includes('permission') &&
+                       !error.message.includes('Cannot open file');
+            },
+            onRetry: async (error, attempt, delay) => {
+                console.log(`File write retry ${attempt} in ${delay}ms due to: ${error.message}`);
+            }
+        }
+    );
+}
+
+// Ask the user where to save a file using the ExtendScript save dialog.
+// Resolves to the chosen path, or null when the dialog is cancelled.
+export async function chooseSaveLocation(csInterface, defaultName, prompt = 'Save file') {
+    // The dialog is modal, so give the user time to pick a location
+    const result = await callHostFunction(csInterface, 'MaterialIconsHost.chooseSaveLocation',
+        [defaultName, prompt], { timeout: 10 * 60 * 1000 });
+    return unwrapHostResult(result).path;
+}
+
+// Add icon to After Effects using JSX host script.
+// Resolves to true when the icon was added to the timeline
 export async function addIconToAfterEffects(csInterface, icon, settings) {
     if (!csInterface) {
         console.log('Icon clicked in browser mode', { iconName: icon.name, mode: 'browser' });
         alert(`Icon: ${icon.name}\nUnicode: ${icon.unicode}\nFont: Material Symbols ${settings.fontFamily}`);
-        return;
+        return false;
     }
 
     const errorRecovery = ErrorRecoveryManager.getInstance();
 
     try {
-        await errorRecovery.executeWithRetry(
+        const item = await buildIconItem(csInterface, icon, settings);
+        const payload = { item, options: buildInsertionOptions(settings) };
+
+        const data = await errorRecovery.executeWithRetry(
             `AddIcon_${icon.name}`,
             async (attempt) => {
-                const iconChar = String.fromCharCode(parseInt(icon.unicode, 16));
-                const fontName = `Material Symbols ${settings.fontFamily}`;
-
-                const script = `addIconToTimelineJSON("${iconChar}", "${fontName}", 100, ${settings.fill}, ${settings.weight}, ${settings.grade}, ${settings.opticalSize})`;
-
-                return new Promise((resolve, reject) => {
-                    csInterface.evalScript(script, (result) => {
-                        console.log('Icon addition result:', result);
-
-                        if (!result || result.trim() === '' || result === 'null' || result === 'undefined') {
-                            reject(new Error('Empty or null result from JSX script'));
-                            return;
-                        }
-
-                        try {
-                            const parsedResult = JSON.parse(result);
-                            if (parsedResult.success) {
-                                console.log(`Icon added successfully: ${icon.name}`);
-                                resolve(parsedResult);
-                            } else {
-                                reject(new Error(parsedResult.message || 'Unknown error from JSX script'));
-                            }
-                        } catch (e) {
-                            console.error('Error parsing JSON result:', e, 'Raw result:', result);
-                            if (typeof result === 'string' && (result.includes('success') || result.includes('SUCCESS'))) {
-                                resolve({ success: true, message: result });
-                            } else {
-                                reject(new Error(result || 'Unexpected response from After Effects'));
-                            }
-                        }
-                    });
-                });
+                const result = await callHostFunction(csInterface, 'MaterialIconsHost.addIcon', [payload]);
+                console.log('Icon addition result:', result);
+                const data = unwrapHostResult(result);
+                console.log(`Icon added successfully: ${icon.name}`);
+                return data;
             },
             {
                 maxRetries: 2,
                 baseDelay: 500,
                 maxDelay: 2000,
                 backoffMultiplier: 1.5,
-                shouldRetry: (error, attempt) => {
-                    return !error.message.includes('composition') &&
-                           !error.message.includes('project') &&
-                           !error.message.includes('timeline');
-                },
+                // Inserting isn't idempotent: once the script reached the host (even if it
+                // timed out or answered empty) it may have created the layer, so retrying
+                // could insert it again. Only a call that never got to the host is retried.
+                shouldRetry: (error) => error.code === HostErrorCode.UNAVAILABLE,
                 onRetry: async (error, attempt, delay) => {
                     console.log(`Icon addition retry ${attempt} in ${delay}ms due to: ${error.message}`);
                 }
             }
         );
-        showMessage(`تم إضافة الأيقونة "${icon.name}" بنجاح إلى التايمل اين`, 'success');
+        // Only the attempt that reached the host can have created layers (see shouldRetry),
+        // so these are all of them
+        notifyInserted(csInterface, t('insert.added', { name: icon.name }), [icon.name], data.layers);
+        return true;
     } catch (error) {
         console.error('Failed to add icon after all attempts:', error);
+        let message;
         if (error.message.includes('Empty or null result')) {
-            showMessage('خطأ: لم يتم الحصول على استجابة من After Effects. تأكد من وجود composition نشط.', 'error');
+            message = t('insert.noResponse');
         } else if (error.message.includes('composition') || error.message.includes('project')) {
-            showMessage('خطأ: تأكد من وجود مشروع و composition نشط في After Effects.', 'error');
+            message = t('insert.noComp');
         } else {
-            showMessage(`خطأ في إضافة الأيقونة: ${error.message}`, 'error');
+            message = t('insert.failed', { message: error.message });
+        }
+        notify(message, {
+            type: 'error',
+            actions: [{ label: t('notifications.retry'), onClick: () => addIconToAfterEffects(csInterface, icon, settings) }]
+        });
+        return false;
+    }
+}
+
+// Swap the glyph and font of the selected Material Symbols text layers in place, keeping
+// their transforms, effects and keyframes. Resolves to true when at least one layer changed
+export async function replaceSelectedIcons(csInterface, icon, settings) {
+    if (!csInterface) {
+        console.log('Replace clicked in browser mode', { iconName: icon.name, mode: 'browser' });
+        alert(`Replace with: ${icon.name}\nFont: Material Symbols ${settings.fontFamily}`);
+        return false;
+    }
+
+    try {
+        // Only the glyph of a text layer can be swapped, whatever the insertion mode says
+        const item = await buildIconItem(csInterface, icon, { ...settings, insertMode: 'text', animateAxes: false });
+        const axesIgnored = useTextLayerAxes(item, settings);
+        const result = await callHostFunction(csInterface, 'MaterialIconsHost.replaceSelectedIcons', [{ item }]);
+        console.log('Icon replacement result:', result);
+        const data = unwrapHostResult(result);
+
+        if (data.skipped.length > 0) {
+            notify(t('replace.partial', { count: data.replaced.length, skipped: data.skipped.join(', ') }), { type: 'info' });
+        } else {
+            notify(t('replace.done', { name: icon.name, count: data.replaced.length }), { type: axesIgnored ? 'info' : 'success' });
+        }
+        if (axesIgnored) {
+            notify(t('replace.defaultAxes'), { type: 'warning' });
+        }
+        return true;
+    } catch (error) {
+        console.error('Failed to replace icon:', error);
+        notify(t('replace.failed', { message: error.message }), {
+            type: 'error',
+            actions: [{ label: t('notifications.retry'), onClick: () => replaceSelectedIcons(csInterface, icon, settings) }]
+        });
+        return false;
+    }
+}
+
+// Text, font and stored icon metadata of the first selected layer in the active comp,
+// or null when nothing is selected
+export async function getSelectedLayerInfo(csInterface) {
+    const result = await callHostFunction(csInterface, 'MaterialIconsHost.getSelectedIconInfo', [], { timeout: 3000 });
+    return unwrapHostResult(result).layer;
+}
+
+// Every Material Symbols layer in the project: tagged layers plus untagged icon text layers.
+// Each entry is a MaterialIconsHost.describeLayer result with compName and layerIndex.
+export async function scanProjectIconLayers(csInterface) {
+    const result = await callHostFunction(csInterface, 'MaterialIconsHost.scanProjectIcons', [], { timeout: 60000 });
+    return unwrapHostResult(result).layers;
+}
+
+// Whether each font family is installed: { 'Material Symbols Outlined': true, ... }.
+// Values are null when the host can't tell.
+export async function getFontStatus(csInterface, families) {
+    const result = await callHostFunction(csInterface, 'MaterialIconsHost.getFontStatus', [families]);
+    return unwrapHostResult(result).fonts;
+}
+
+// Restyle icon layers in place, in one undo step.
+// targets: [{ layer, icon: { name, unicode }, settings }] where settings are the full insert
+// settings the layer should end up with. Resolves to [{ compId, layerId, success, message, axesIgnored }],
+// axesIgnored marking text layers that kept the Regular instance instead of the requested axes
+export async function restyleIconLayers(csInterface, targets) {
+    const payload = [];
+    const results = [];
+    const axesIgnored = new Set();
+    for (const { layer, icon, settings } of targets) {
+        try {
+            const mode = layer.type === 'shape' ? 'shape' : 'text';
+            const item = await buildIconItem(csInterface, icon, { ...settings, insertMode: mode, animateAxes: false });
+            if (mode === 'text' && useTextLayerAxes(item, settings)) {
+                axesIgnored.add(`${layer.compId}:${layer.id}`);
+            }
+            payload.push({ compId: layer.compId, layerId: layer.id, item });
+        } catch (error) {
+            results.push({ compId: layer.compId, layerId: layer.id, success: false, message: error.message });
+        }
+    }
+
+    if (payload.length > 0) {
+        const result = await callHostFunction(csInterface, 'MaterialIconsHost.restyleIcons', [{ targets: payload }],
+            { timeout: 60000 });
+        results.push(...unwrapHostResult(result).results.map(entry => (
+            entry.success && axesIgnored.has(`${entry.compId}:${entry.layerId}`) ? { ...entry, axesIgnored: true } : entry
+        )));
+    }
+    return results;
+}
+
+// Offsets (in pixels, relative to the comp center) for each icon of a batch.
+// layout: 'stack' keeps every icon centered, 'row' lines them up, 'grid' wraps into a square-ish grid.
+export function getBatchLayoutOffsets(count, layout = 'stack', spacing = DEFAULT_INSERTION_SETTINGS.size * 1.5) {
+    const offsets = [];
+    const columns = layout === 'row' ? count : layout === 'grid' ? Math.ceil(Math.sqrt(count)) : 1;
+    const rows = Math.ceil(count / columns);
+
+    for (let i = 0; i < count; i++) {
+        if (layout === 'stack') {
+            offsets.push([0, 0]);
+            continue;
+        }
+        const column = i % columns;
+        const row = Math.floor(i / columns);
+        offsets.push([
+            (column - (columns - 1) / 2) * spacing,
+            (row - (rows - 1) / 2) * spacing
+        ]);
+    }
+    return offsets;
+}
+
+// Add several icons in one ExtendScript call and one undo group.
+// Resolves to per-icon results: [{ name, success, message }]
+export async function addIconsToAfterEffects(csInterface, icons, settings, layout = 'stack') {
+    if (!csInterface) {
+        console.log('Batch insert in browser mode', { icons: icons.map(icon => icon.name), mode: 'browser' });
+        alert(`Icons: ${icons.map(icon => icon.name).join(', ')}\nFont: Material Symbols ${settings.fontFamily}`);
+        return icons.map(icon => ({ name: icon.name, success: false, message: 'Browser mode' }));
+    }
+
+    const size = settings.size || DEFAULT_INSERTION_SETTINGS.size;
+    const offsets = getBatchLayoutOffsets(icons.length, layout, size * 1.5);
+    const results = new Map();
+    const items = [];
+
+    for (let i = 0; i < icons.length; i++) {
+        const icon = icons[i];
+        try {
+            const item = await buildIconItem(csInterface, icon, settings, i + 1);
+            item.offset = offsets[i];
+            items.push(item);
+        } catch (error) {
+            results.set(icon.name, { name: icon.name, success: false, message: error.message });
         }
     }
+
+    if (items.length > 0) {
+        try {
+            const payload = { items, options: buildInsertionOptions(settings) };
+            // Shape-mode batches can take a while to build in the host
+            const result = await callHostFunction(csInterface, 'MaterialIconsHost.addIconBatch', [payload],
+                { timeout: 60000 });
+            console.log('Batch addition result:', result);
+            const response = unwrapHostResult(result);
+            response.results.forEach(result => results.set(result.name, result));
+        } catch (error) {
+            console.error('Batch insertion failed:', error);
+            items.forEach(item => {
+                if (!results.has(item.name)) {
+                    results.set(item.name, { name: item.name, success: false, message: error.message });
+                }
+            });
+        }
+    }
+
+    const summary = icons.map(icon => results.get(icon.name) || { name: icon.name, success: false, message: 'No result' });
+    const failed = summary.filter(result => !result.success);
+    const added = summary.length - failed.length;
+
+    const inserted = summary.filter(result => result.success && result.layer);
+    if (failed.length === 0) {
+        notifyInserted(csInterface, t('insert.batchAdded', { count: added }),
+            inserted.map(result => result.name), inserted.map(result => result.layer));
+    } else {
+        const details = failed.map(result => `${result.name}: ${result.message}`).join(' | ');
+        const retryIcons = icons.filter(icon => failed.some(result => result.name === icon.name));
+        const actions = [{ label: t('notifications.retry'), onClick: () => addIconsToAfterEffects(csInterface, retryIcons, settings, layout) }];
+        if (inserted.length > 0) {
+            const entry = InsertHistory.getInstance().record(inserted.map(result => result.name), inserted.map(result => result.layer));
+            actions.push({ label: t('insert.undo'), onClick: () => undoInsertion(csInterface, entry) });
+        }
+        notify(t('insert.batchPartial', { added, count: summary.length, details }), {
+            type: added > 0 ? 'warning' : 'error',
+            actions
+        });
+    }
+
+    return summary;
 }
 
+// Delete the layers an insertion created (see InsertHistory), as one undo step in AE.
+// Layers removed or replaced since are skipped and reported. Resolves to true once undone.
+// The entry is pending meanwhile, and further calls for it (the notification, its history
+// row and "Undo last insert" all offer it) are ignored.
+export async function undoInsertion(csInterface, entry) {
+    if (!csInterface || !entry || entry.undone || entry.pending) return false;
+
+    const history = InsertHistory.getInstance();
+    history.setPending(entry, true);
+    try {
+        const result = await callHostFunction(csInterface, 'MaterialIconsHost.removeLayers', [{
+            layers: entry.layers,
+            undoName: `Remove Material Icons: ${entry.names.join(', ')}`
+        }]);
+        const { removed, missing } = unwrapHostResult(result);
+        history.markUndone(entry);
+        if (missing.length === 0) {
+            notify(t('undo.done', { count: removed }), { type: 'success' });
+        } else {
+            notify(t('undo.partial', { count: removed, missing: missing.join(', ') }), { type: 'warning' });
+        }
+        return true;
+    } catch (error) {
+        console.error('Failed to undo the insertion:', error);
+        history.setPending(entry, false);
+        notify(t('undo.failed', { message: error.message }), {
+            type: 'error',
+            actions: [{ label: t('notifications.retry'), onClick: () => undoInsertion(csInterface, entry) }]
+        });
+        return false;
+    }
+}
 
 // --- Helper Functions (not exported) ---
 
+// Success notification of an insertion, with an Undo that removes the layers it created.
+// Success notifications normally go quickly; this one stays long enough to reach Undo.
+function notifyInserted(csInterface, message, names, layers = []) {
+    if (layers.length === 0) {
+        notify(message, { type: 'success' });
+        return;
+    }
+    const entry = InsertHistory.getInstance().record(names, layers);
+    notify(message, {
+        type: 'success',
+        duration: 8000,
+        actions: [{ label: t('insert.undo'), onClick: () => undoInsertion(csInterface, entry) }]
+    });
+}
+
+// Layer data for one icon. Shape mode converts the glyph to vector paths here,
+// so the resulting layer doesn't need the font installed.
+// Text layers can't keyframe variation axes, so animated icons are always shape layers.
+async function buildIconItem(csInterface, icon, settings, index = 1) {
+    const size = settings.size || DEFAULT_INSERTION_SETTINGS.size;
+    const item = {
+        name: icon.name,
+        mode: settings.insertMode === 'shape' || settings.animateAxes ? 'shape' : 'text',
+        layerName: formatLayerName(settings.layerName, icon, settings.fontFamily, index),
+        offset: [0, 0]
+    };
+
+    if (item.mode === 'shape') {
+        const extractor = GlyphOutlineExtractor.getInstance();
+        if (settings.animateAxes) {
+            // Grade and optical size stay at the panel's values; only fill and weight move
+            const animation = { ...DEFAULT_INSERTION_SETTINGS, ...settings };
+            const from = { ...settings, fill: animation.animateFromFill, weight: animation.animateFromWeight };
+            const to = { ...settings, fill: animation.animateToFill, weight: animation.animateToWeight };
+            const options = { preserveTopology: true };
+            item.paths = await extractor.getShapePaths(csInterface, icon, from, size, options);
+            item.animation = {
+                endPaths: await extractor.getShapePaths(csInterface, icon, to, size, options),
+                duration: Number(animation.animationDuration),
+                easing: animation.animationEasing
+            };
+        } else {
+            item.paths = await extractor.getShapePaths(csInterface, icon, settings, size);
+        }
+        item.color = hexToRgb(settings.color || DEFAULT_INSERTION_SETTINGS.color);
+    } else {
+        Object.assign(item, {
+            character: String.fromCharCode(parseInt(icon.unicode, 16)),
+            fontName: `Material Symbols ${settings.fontFamily}`,
+            size,
+            fill: Number(settings.fill),
+            weight: Number(settings.weight),
+            grade: Number(settings.grade),
+            opticalSize: Number(settings.opticalSize)
+        });
+    }
+
+    // Stored on the layer (see MaterialIconsHost.writeIconMetadata) for sync, scans and restyling.
+    // Animated icons record the state they end in.
+    const animated = item.animation ? { ...DEFAULT_INSERTION_SETTINGS, ...settings } : null;
+    item.metadata = {
+        name: icon.name,
+        codepoint: icon.unicode.toLowerCase(),
+        fontFamily: settings.fontFamily,
+        fill: Number(animated ? animated.animateToFill : settings.fill),
+        weight: Number(animated ? animated.animateToWeight : settings.weight),
+        grade: Number(settings.grade),
+        opticalSize: Number(settings.opticalSize),
+        size
+    };
+    return item;
+}
+
+// A text item swapped into an existing layer ends up on the Regular instance, so its metadata
+// records those axes. True when the settings asked for others, which only shape layers can show.
+function useTextLayerAxes(item, settings) {
+    Object.assign(item.metadata, TEXT_LAYER_AXES);
+    return Object.keys(TEXT_LAYER_AXES).some(key => Number(settings[key]) !== TEXT_LAYER_AXES[key]);
+}
+
+function buildInsertionOptions(settings) {
+    return {
+        alignment: settings.alignment || DEFAULT_INSERTION_SETTINGS.alignment,
+        color: hexToRgb(settings.color || DEFAULT_INSERTION_SETTINGS.color),
+        startAtCurrentTime: Boolean(settings.startAtCurrentTime),
+        placeAboveSelected: Boolean(settings.placeAboveSelected),
+        parentToSelected: Boolean(settings.parentToSelected)
+    };
+}
+
 function normalizePath(csInterface, filePath) {
     if (!filePath) {
         throw new Error('File path is required');
@@ -287,62 +623,3 @@ function normalizePath(csInterface, filePath) {
 function isAbsolutePath(path) {
     return /^[A-Za-z]:\\/.test(path) || /^\\\\/.test(path);
 }
-
-async function attemptFileRead(csInterface, filePath, attemptNumber) {
-    return new Promise((resolve, reject) => {
-        const timeoutMs = 10000;
-        let timeoutId = setTimeout(() => {
-            console.error(`File read timeout after ${timeoutMs}ms`);
-            reject(new Error(`File read operation timed out after ${timeoutMs}ms`));
-        }, timeoutMs);
-
-        const script = `
-            (function() {
-                try {
-                    // ... (The full script from the original file)
-                    var startTime = new Date().getTime();
-                    var filePath = "${filePath.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}";
-                    var file = new File(filePath);
-                    if (!file.exists) {
-                        return JSON.stringify({ success: false, error: "File does not exist: " + filePath });
-                    }
-                    try {
-                        var testOpen = file.open('r');
-                        if (!testOpen) {
-                            return JSON.stringify({ success: false, error: "Cannot open file for reading: " + filePath });
-                        }
-                        file.close();
-                    } catch (permError) {
-                        return JSON.stringify({ success: false, error: "File permission error: " + permError.toString() });
-                    }
-                    file.open('r');
-                    var content = file.read();
-                    file.close();
-                    var endTime = new Date().getTime();
-                    var duration = endTime - startTime;
-                    if (content === null || content === undefined) {
-                        return JSON.stringify({ success: false, error: "File content is null or undefined" });
-                    }
-                    return JSON.stringify({ success: true, content: content });
-                } catch (e) {
-                    return JSON.stringify({ success: false, error: "ExtendScript error: " + e.toString() });
-                }
-            })();
-        `;
-
-        csInterface.evalScript(script, (result) => {
-            clearTimeout(timeoutId);
-            try {
-                if (!result || result === 'null' || result === 'undefined') {
-                    reject(new Error('ExtendScript returned null or undefined result'));
-                    return;
-                }
-                const parsedResult = JSON.parse(result);
-                resolve(parsedResult);
-            } catch (parseError) {
-                console.error('Failed to parse ExtendScript result:', parseError);
-                reject(new Error(`Failed to parse ExtendScript result: ${parseError.message}. Raw result: ${result}`));
-            }
-        });
-    });
-}
@@ -0,0 +1,204 @@
+import { GlyphOutlineExtractor } from './fontOutline.js';
+import { chooseSaveLocation, writeLocalFile } from './cep.js';
+import { LoadingManager } from './ui.js';
+import { t } from './i18n.js';
+
+export const EXPORT_SIZES = [24, 48, 96, 128, 256, 512, 1024];
+
+// Exports icons as standalone SVG or PNG files using the panel's current variation settings
+export class IconExporter {
+    static instance = null;
+
+    constructor() {
+        if (IconExporter.instance) {
+            return IconExporter.instance;
+        }
+
+        this.extractor = GlyphOutlineExtractor.getInstance();
+        this.loadingManager = LoadingManager.getInstance();
+        this.popover = null;
+        this.lastOptions = { format: 'svg', size: 96, color: '#000000' };
+        this.onDocumentMouseDown = this.onDocumentMouseDown.bind(this);
+        this.onDocumentKeyDown = this.onDocumentKeyDown.bind(this);
+
+        IconExporter.instance = this;
+    }
+
+    static getInstance() {
+        if (!IconExporter.instance) {
+            IconExporter.instance = new IconExporter();
+        }
+        return IconExporter.instance;
+    }
+
+    // settings: { fontFamily, fill, weight, grade, opticalSize }
+    // options: { format: 'svg' | 'png', size, color }
+    async exportIcon(csInterface, icon, settings, options) {
+        const { format = 'svg', size = 96, color = '#000000' } = options;
+        const fileName = `${icon.name}_${settings.fontFamily.toLowerCase()}_${size}.${format}`;
+
+        try {
+            const paths = await this.extractor.getShapePaths(csInterface, icon, settings, size);
+            const pathData = this.buildPathData(paths, size / 2);
+
+            let content;
+            let encoding = 'UTF-8';
+            if (format === 'png') {
+                content = this.renderPng(pathData, size, color);
+                encoding = 'BINARY';
+            } else {
+                content = this.buildSvg(pathData, size, color);
+            }
+
+            if (csInterface) {
+                const filePath = await chooseSaveLocation(csInterface, fileName, t('export.prompt', { name: icon.name, format: format.toUpperCase() }));
+                if (!filePath) return false; // Dialog cancelled
+                await writeLocalFile(csInterface, filePath, content, 2, encoding);
+            } else {
+                this.download(content, fileName, format);
+            }
+
+            this.loadingManager.showToast(t('export.done', { fileName }), 'success', 3000);
+            return true;
+        } catch (error) {
+            console.error('Icon export failed:', error);
+            this.loadingManager.showToast(t('common.exportFailed', { message: error.message }), 'error', 5000);
+            return false;
+        }
+    }
+
+    // SVG path commands from After Effects style paths (vertices + relative tangents)
+    buildPathData(paths, offset) {
+        const point = (x, y) => `${+(x + offset).toFixed(3)} ${+(y + offset).toFixed(3)}`;
+        return paths.map(({ vertices, inTangents, outTangents }) => {
+            let d = `M${point(vertices[0][0], vertices[0][1])}`;
+            for (let i = 1; i <= vertices.length; i++) {
+                const from = i - 1;
+                const to = i % vertices.length;
+                d += `C${point(vertices[from][0] + outTangents[from][0], vertices[from][1] + outTangents[from][1])} ` +
+                    `${point(vertices[to][0] + inTangents[to][0], vertices[to][1] + inTangents[to][1])} ` +
+                    `${point(vertices[to][0], vertices[to][1])}`;
+            }
+            return d + 'Z';
+        }).join('');
+    }
+
+    buildSvg(pathData, size, color) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">` +
+            `<path fill="${color}" fill-rule="nonzero" d="${pathData}"/></svg>\n`;
+    }
+
+    // Returns the PNG as a byte string, ready for a binary file write
+    renderPng(pathData, size, color) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d');
+        context.fillStyle = color;
+        context.fill(new Path2D(pathData), 'nonzero');
+
+        const base64 = canvas.toDataURL('image/png').split(',')[1];
+        return atob(base64);
+    }
+
+    download(content, fileName, format) {
+        let blob;
+        if (format === 'png') {
+            const bytes = new Uint8Array(content.length);
+            for (let i = 0; i < content.length; i++) {
+                bytes[i] = content.charCodeAt(i);
+            }
+            blob = new Blob([bytes], { type: 'image/png' });
+        } else {
+            blob = new Blob([content], { type: 'image/svg+xml' });
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Small popover anchored to a card's export button
+    openExportMenu(anchor, icon, onExport) {
+        this.closeExportMenu();
+
+        const popover = document.createElement('div');
+        popover.className = 'export-popover';
+        popover.innerHTML = `
+            <div class="export-popover-title">${t('export.title', { name: icon.name })}</div>
+            <label>${t('export.format')}
+                <select class="font-selector export-format">
+                    <option value="svg">SVG</option>
+                    <option value="png">PNG</option>
+                </select>
+            </label>
+            <label>${t('export.size')}
+                <select class="font-selector export-size">
+                    ${EXPORT_SIZES.map(size => `<option value="${size}">${size}px</option>`).join('')}
+                </select>
+            </label>
+            <label>${t('export.color')}
+                <input type="color" class="export-color">
+            </label>
+            <div class="export-popover-actions">
+                <button type="button" class="export-cancel">${t('common.cancel')}</button>
+                <button type="button" class="export-confirm">${t('export.confirm')}</button>
+            </div>
+        `;
+
+        popover.querySelector('.export-format').value = this.lastOptions.format;
+        popover.querySelector('.export-size').value = String(this.lastOptions.size);
+        popover.querySelector('.export-color').value = this.lastOptions.color;
+
+        popover.querySelector('.export-cancel').addEventListener('click', () => this.closeExportMenu());
+        popover.querySelector('.export-confirm').addEventListener('click', () => {
+            this.lastOptions = {
+                format: popover.querySelector('.export-format').value,
+                size: parseInt(popover.querySelector('.export-size').value, 10),
+                color: popover.querySelector('.export-color').value
+            };
+            this.closeExportMenu();
+            onExport({ ...this.lastOptions });
+        });
+
+        document.body.appendChild(popover);
+        const rect = anchor.getBoundingClientRect();
+        const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8);
+        const top = rect.bottom + popover.offsetHeight + 8 > window.innerHeight
+            ? rect.top - popover.offsetHeight - 4
+            : rect.bottom + 4;
+        popover.style.left = `${Math.max(8, left)}px`;
+        popover.style.top = `${Math.max(8, top)}px`;
+
+        this.popover = popover;
+        document.addEventListener('mousedown', this.onDocumentMouseDown, true);
+        document.addEventListener('keydown', this.onDocumentKeyDown, true);
+        popover.querySelector('.export-format').focus();
+    }
+
+    closeExportMenu() {
+        if (!this.popover) return;
+        this.popover.remove();
+        this.popover = null;
+        document.removeEventListener('mousedown', this.onDocumentMouseDown, true);
+        document.removeEventListener('keydown', this.onDocumentKeyDown, true);
+    }
+
+    onDocumentMouseDown(e) {
+        if (this.popover && !this.popover.contains(e.target)) {
+            this.closeExportMenu();
+        }
+    }
+
+    onDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.closeExportMenu();
+        }
+    }
+}
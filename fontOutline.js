@@ -0,0 +1,822 @@
+// Glyph outline extraction from the Material Symbols variable fonts.
+// Parses just enough of the TrueType format (cmap, glyf/loca, fvar, avar, gvar) to
+// produce vector paths for a codepoint at any FILL/wght/GRAD/opsz combination.
+
+const FONT_FILE_PATTERN = '/fonts/MaterialSymbols{family}[FILL,GRAD,opsz,wght].ttf';
+
+// glyf simple glyph flags
+const ON_CURVE_POINT = 0x01;
+const X_SHORT_VECTOR = 0x02;
+const Y_SHORT_VECTOR = 0x04;
+const REPEAT_FLAG = 0x08;
+const X_IS_SAME_OR_POSITIVE = 0x10;
+const Y_IS_SAME_OR_POSITIVE = 0x20;
+
+// glyf composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const ARGS_ARE_XY_VALUES = 0x0002;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+// gvar tuple flags
+const SHARED_POINT_NUMBERS = 0x8000;
+const TUPLE_COUNT_MASK = 0x0FFF;
+const EMBEDDED_PEAK_TUPLE = 0x8000;
+const INTERMEDIATE_REGION = 0x4000;
+const PRIVATE_POINT_NUMBERS = 0x2000;
+const TUPLE_INDEX_MASK = 0x0FFF;
+
+// Packed point/delta run flags
+const POINTS_ARE_WORDS = 0x80;
+const POINT_RUN_COUNT_MASK = 0x7F;
+const DELTAS_ARE_ZERO = 0x80;
+const DELTAS_ARE_WORDS = 0x40;
+const DELTA_RUN_COUNT_MASK = 0x3F;
+
+const PHANTOM_POINT_COUNT = 4;
+
+export class VariableFont {
+    constructor(buffer) {
+        this.view = new DataView(buffer);
+        this.tables = this.readTableDirectory();
+
+        const head = this.requireTable('head');
+        this.unitsPerEm = this.view.getUint16(head + 18);
+        this.indexToLocFormat = this.view.getInt16(head + 50);
+        this.numGlyphs = this.view.getUint16(this.requireTable('maxp') + 4);
+
+        const hhea = this.requireTable('hhea');
+        this.ascender = this.view.getInt16(hhea + 4);
+        this.descender = this.view.getInt16(hhea + 6);
+        this.numberOfHMetrics = this.view.getUint16(hhea + 34);
+
+        this.axes = this.readAxes();
+        this.axisMaps = this.readAxisMaps();
+        this.cmapLookup = this.readCmap();
+    }
+
+    readTableDirectory() {
+        const numTables = this.view.getUint16(4);
+        const tables = {};
+        for (let i = 0; i < numTables; i++) {
+            const record = 12 + i * 16;
+            const tag = this.readTag(record);
+            tables[tag] = {
+                offset: this.view.getUint32(record + 8),
+                length: this.view.getUint32(record + 12)
+            };
+        }
+        return tables;
+    }
+
+    readTag(offset) {
+        let tag = '';
+        for (let i = 0; i < 4; i++) {
+            tag += String.fromCharCode(this.view.getUint8(offset + i));
+        }
+        return tag;
+    }
+
+    requireTable(tag) {
+        if (!this.tables[tag]) {
+            throw new Error(`Font is missing the '${tag}' table`);
+        }
+        return this.tables[tag].offset;
+    }
+
+    readFixed(offset) {
+        return this.view.getInt32(offset) / 65536;
+    }
+
+    readF2Dot14(offset) {
+        return this.view.getInt16(offset) / 16384;
+    }
+
+    // fvar: variation axes with their min/default/max user-space values
+    readAxes() {
+        if (!this.tables.fvar) return [];
+        const fvar = this.tables.fvar.offset;
+        const axesArrayOffset = this.view.getUint16(fvar + 4);
+        const axisCount = this.view.getUint16(fvar + 8);
+        const axisSize = this.view.getUint16(fvar + 10);
+
+        const axes = [];
+        for (let i = 0; i < axisCount; i++) {
+            const record = fvar + axesArrayOffset + i * axisSize;
+            axes.push({
+                tag: this.readTag(record),
+                min: this.readFixed(record + 4),
+                default: this.readFixed(record + 8),
+                max: this.readFixed(record + 12)
+            });
+        }
+        return axes;
+    }
+
+    // avar: optional piecewise-linear remapping of normalized coordinates
+    readAxisMaps() {
+        if (!this.tables.avar) return [];
+        const avar = this.tables.avar.offset;
+        const axisCount = this.view.getUint16(avar + 6);
+        const maps = [];
+        let offset = avar + 8;
+        for (let i = 0; i < axisCount; i++) {
+            const count = this.view.getUint16(offset);
+            offset += 2;
+            const map = [];
+            for (let j = 0; j < count; j++) {
+                map.push([this.readF2Dot14(offset), this.readF2Dot14(offset + 2)]);
+                offset += 4;
+            }
+            maps.push(map);
+        }
+        return maps;
+    }
+
+    // cmap: prefer the full-repertoire format 12 subtable, fall back to format 4
+    readCmap() {
+        const cmap = this.requireTable('cmap');
+        const numSubtables = this.view.getUint16(cmap + 2);
+        let format4 = null;
+        let format12 = null;
+
+        for (let i = 0; i < numSubtables; i++) {
+            const record = cmap + 4 + i * 8;
+            const platformId = this.view.getUint16(record);
+            const encodingId = this.view.getUint16(record + 2);
+            const subtable = cmap + this.view.getUint32(record + 4);
+            const format = this.view.getUint16(subtable);
+
+            if (format === 12 && (platformId === 3 || platformId === 0)) {
+                format12 = subtable;
+            } else if (format === 4 && (platformId === 3 || platformId === 0) && encodingId !== 0) {
+                format4 = subtable;
+            }
+        }
+
+        if (format12 !== null) return (codepoint) => this.lookupFormat12(format12, codepoint);
+        if (format4 !== null) return (codepoint) => this.lookupFormat4(format4, codepoint);
+        throw new Error('Font has no supported cmap subtable');
+    }
+
+    lookupFormat12(subtable, codepoint) {
+        const numGroups = this.view.getUint32(subtable + 12);
+        let low = 0;
+        let high = numGroups - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const group = subtable + 16 + mid * 12;
+            const startCode = this.view.getUint32(group);
+            const endCode = this.view.getUint32(group + 4);
+            if (codepoint < startCode) {
+                high = mid - 1;
+            } else if (codepoint > endCode) {
+                low = mid + 1;
+            } else {
+                return this.view.getUint32(group + 8) + (codepoint - startCode);
+            }
+        }
+        return 0;
+    }
+
+    lookupFormat4(subtable, codepoint) {
+        if (codepoint > 0xFFFF) return 0;
+        const segCount = this.view.getUint16(subtable + 6) / 2;
+        const endCodes = subtable + 14;
+        const startCodes = endCodes + segCount * 2 + 2;
+        const idDeltas = startCodes + segCount * 2;
+        const idRangeOffsets = idDeltas + segCount * 2;
+
+        for (let i = 0; i < segCount; i++) {
+            const endCode = this.view.getUint16(endCodes + i * 2);
+            if (codepoint > endCode) continue;
+            const startCode = this.view.getUint16(startCodes + i * 2);
+            if (codepoint < startCode) return 0;
+
+            const idDelta = this.view.getInt16(idDeltas + i * 2);
+            const rangeOffsetPosition = idRangeOffsets + i * 2;
+            const idRangeOffset = this.view.getUint16(rangeOffsetPosition);
+            if (idRangeOffset === 0) {
+                return (codepoint + idDelta) & 0xFFFF;
+            }
+            const glyphPosition = rangeOffsetPosition + idRangeOffset + (codepoint - startCode) * 2;
+            const glyphId = this.view.getUint16(glyphPosition);
+            return glyphId === 0 ? 0 : (glyphId + idDelta) & 0xFFFF;
+        }
+        return 0;
+    }
+
+    getGlyphId(codepoint) {
+        return this.cmapLookup(codepoint);
+    }
+
+    getAdvanceWidth(glyphId) {
+        const hmtx = this.requireTable('hmtx');
+        const index = Math.min(glyphId, this.numberOfHMetrics - 1);
+        return this.view.getUint16(hmtx + index * 4);
+    }
+
+    getGlyphRange(glyphId) {
+        const loca = this.requireTable('loca');
+        let start, end;
+        if (this.indexToLocFormat === 0) {
+            start = this.view.getUint16(loca + glyphId * 2) * 2;
+            end = this.view.getUint16(loca + (glyphId + 1) * 2) * 2;
+        } else {
+            start = this.view.getUint32(loca + glyphId * 4);
+            end = this.view.getUint32(loca + (glyphId + 1) * 4);
+        }
+        return { start: this.requireTable('glyf') + start, length: end - start };
+    }
+
+    // Map user-space axis values (e.g. { wght: 300 }) to normalized -1..1 coordinates
+    normalizeCoordinates(axisValues = {}) {
+        return this.axes.map((axis, i) => {
+            const requested = axisValues[axis.tag];
+            const value = Math.min(axis.max, Math.max(axis.min,
+                requested === undefined || requested === null || isNaN(requested) ? axis.default : Number(requested)));
+
+            let normalized = 0;
+            if (value < axis.default) {
+                normalized = (value - axis.default) / (axis.default - axis.min);
+            } else if (value > axis.default) {
+                normalized = (value - axis.default) / (axis.max - axis.default);
+            }
+
+            const map = this.axisMaps[i];
+            if (map && map.length > 1) {
+                normalized = this.applyAxisMap(map, normalized);
+            }
+            return normalized;
+        });
+    }
+
+    applyAxisMap(map, value) {
+        for (let i = 1; i < map.length; i++) {
+            const [fromA, toA] = map[i - 1];
+            const [fromB, toB] = map[i];
+            if (value <= fromB) {
+                if (fromB === fromA) return toB;
+                return toA + (value - fromA) * (toB - toA) / (fromB - fromA);
+            }
+        }
+        return map[map.length - 1][1];
+    }
+
+    // Returns contours as arrays of { x, y, onCurve } in font units, with variations applied
+    getGlyphContours(glyphId, coordinates, depth = 0) {
+        if (depth > 8) {
+            throw new Error('Composite glyph nesting is too deep');
+        }
+
+        const { start, length } = this.getGlyphRange(glyphId);
+        if (length === 0) return [];
+
+        const numberOfContours = this.view.getInt16(start);
+        if (numberOfContours >= 0) {
+            const glyph = this.readSimpleGlyph(start, numberOfContours);
+            const points = glyph.points.map(point => ({ x: point.x, y: point.y }));
+            this.applyVariations(glyphId, coordinates, points, glyph.endPoints);
+
+            const contours = [];
+            let first = 0;
+            for (const last of glyph.endPoints) {
+                contours.push(points.slice(first, last + 1).map((point, i) => ({
+                    x: point.x,
+                    y: point.y,
+                    onCurve: glyph.points[first + i].onCurve
+                })));
+                first = last + 1;
+            }
+            return contours;
+        }
+
+        return this.readCompositeGlyph(glyphId, start, coordinates, depth);
+    }
+
+    readSimpleGlyph(start, numberOfContours) {
+        let offset = start + 10;
+        const endPoints = [];
+        for (let i = 0; i < numberOfContours; i++) {
+            endPoints.push(this.view.getUint16(offset));
+            offset += 2;
+        }
+        const pointCount = endPoints.length ? endPoints[endPoints.length - 1] + 1 : 0;
+
+        const instructionLength = this.view.getUint16(offset);
+        offset += 2 + instructionLength;
+
+        const flags = [];
+        while (flags.length < pointCount) {
+            const flag = this.view.getUint8(offset++);
+            flags.push(flag);
+            if (flag & REPEAT_FLAG) {
+                let repeat = this.view.getUint8(offset++);
+                while (repeat-- > 0) flags.push(flag);
+            }
+        }
+
+        const points = flags.map(flag => ({ x: 0, y: 0, onCurve: Boolean(flag & ON_CURVE_POINT) }));
+
+        let x = 0;
+        for (let i = 0; i < pointCount; i++) {
+            const flag = flags[i];
+            if (flag & X_SHORT_VECTOR) {
+                const delta = this.view.getUint8(offset++);
+                x += flag & X_IS_SAME_OR_POSITIVE ? delta : -delta;
+            } else if (!(flag & X_IS_SAME_OR_POSITIVE)) {
+                x += this.view.getInt16(offset);
+                offset += 2;
+            }
+            points[i].x = x;
+        }
+
+        let y = 0;
+        for (let i = 0; i < pointCount; i++) {
+            const flag = flags[i];
+            if (flag & Y_SHORT_VECTOR) {
+                const delta = this.view.getUint8(offset++);
+                y += flag & Y_IS_SAME_OR_POSITIVE ? delta : -delta;
+            } else if (!(flag & Y_IS_SAME_OR_POSITIVE)) {
+                y += this.view.getInt16(offset);
+                offset += 2;
+            }
+            points[i].y = y;
+        }
+
+        return { endPoints, points };
+    }
+
+    readCompositeGlyph(glyphId, start, coordinates, depth) {
+        const components = [];
+        let offset = start + 10;
+        let flags;
+
+        do {
+            flags = this.view.getUint16(offset);
+            const componentGlyph = this.view.getUint16(offset + 2);
+            offset += 4;
+
+            let arg1, arg2;
+            if (flags & ARG_1_AND_2_ARE_WORDS) {
+                arg1 = this.view.getInt16(offset);
+                arg2 = this.view.getInt16(offset + 2);
+                offset += 4;
+            } else {
+                arg1 = this.view.getInt8(offset);
+                arg2 = this.view.getInt8(offset + 1);
+                offset += 2;
+            }
+
+            let transform = [1, 0, 0, 1];
+            if (flags & WE_HAVE_A_SCALE) {
+                const scale = this.readF2Dot14(offset);
+                transform = [scale, 0, 0, scale];
+                offset += 2;
+            } else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) {
+                transform = [this.readF2Dot14(offset), 0, 0, this.readF2Dot14(offset + 2)];
+                offset += 4;
+            } else if (flags & WE_HAVE_A_TWO_BY_TWO) {
+                transform = [
+                    this.readF2Dot14(offset), this.readF2Dot14(offset + 2),
+                    this.readF2Dot14(offset + 4), this.readF2Dot14(offset + 6)
+                ];
+                offset += 8;
+            }
+
+            components.push({
+                glyphId: componentGlyph,
+                // Point-matching placement is not used by Material Symbols; treat as no offset
+                dx: flags & ARGS_ARE_XY_VALUES ? arg1 : 0,
+                dy: flags & ARGS_ARE_XY_VALUES ? arg2 : 0,
+                transform
+            });
+        } while (flags & MORE_COMPONENTS);
+
+        // For composites, gvar deltas move the component offsets
+        const offsets = components.map(component => ({ x: component.dx, y: component.dy }));
+        this.applyVariations(glyphId, coordinates, offsets, offsets.map((_, i) => i));
+
+        const contours = [];
+        components.forEach((component, i) => {
+            const [a, b, c, d] = component.transform;
+            for (const contour of this.getGlyphContours(component.glyphId, coordinates, depth + 1)) {
+                contours.push(contour.map(point => ({
+                    x: a * point.x + c * point.y + offsets[i].x,
+                    y: b * point.x + d * point.y + offsets[i].y,
+                    onCurve: point.onCurve
+                })));
+            }
+        });
+        return contours;
+    }
+
+    // Apply gvar deltas in place. `endPoints` delimits contours for IUP interpolation.
+    applyVariations(glyphId, coordinates, points, endPoints) {
+        if (!this.tables.gvar || coordinates.every(value => value === 0)) return;
+
+        const gvar = this.tables.gvar.offset;
+        const axisCount = this.view.getUint16(gvar + 4);
+        const sharedTupleCount = this.view.getUint16(gvar + 6);
+        const sharedTuplesOffset = gvar + this.view.getUint32(gvar + 8);
+        const glyphCount = this.view.getUint16(gvar + 12);
+        const flags = this.view.getUint16(gvar + 14);
+        const dataArrayOffset = gvar + this.view.getUint32(gvar + 16);
+        if (glyphId >= glyphCount) return;
+
+        const longOffsets = flags & 1;
+        const readOffset = (index) => longOffsets
+            ? this.view.getUint32(gvar + 20 + index * 4)
+            : this.view.getUint16(gvar + 20 + index * 2) * 2;
+        const dataStart = dataArrayOffset + readOffset(glyphId);
+        const dataEnd = dataArrayOffset + readOffset(glyphId + 1);
+        if (dataEnd <= dataStart) return;
+
+        const sharedTuples = [];
+        for (let i = 0; i < sharedTupleCount; i++) {
+            const tuple = [];
+            for (let j = 0; j < axisCount; j++) {
+                tuple.push(this.readF2Dot14(sharedTuplesOffset + (i * axisCount + j) * 2));
+            }
+            sharedTuples.push(tuple);
+        }
+
+        const tupleCountField = this.view.getUint16(dataStart);
+        const tupleCount = tupleCountField & TUPLE_COUNT_MASK;
+        let serialized = dataStart + this.view.getUint16(dataStart + 2);
+        let header = dataStart + 4;
+
+        const totalPoints = points.length + PHANTOM_POINT_COUNT;
+        let sharedPoints = null;
+        if (tupleCountField & SHARED_POINT_NUMBERS) {
+            const result = this.readPackedPoints(serialized);
+            sharedPoints = result.points;
+            serialized = result.offset;
+        }
+
+        const original = points.map(point => ({ x: point.x, y: point.y }));
+
+        for (let t = 0; t < tupleCount; t++) {
+            const variationDataSize = this.view.getUint16(header);
+            const tupleIndex = this.view.getUint16(header + 2);
+            header += 4;
+
+            let peak;
+            if (tupleIndex & EMBEDDED_PEAK_TUPLE) {
+                peak = [];
+                for (let j = 0; j < axisCount; j++) {
+                    peak.push(this.readF2Dot14(header));
+                    header += 2;
+                }
+            } else {
+                peak = sharedTuples[tupleIndex & TUPLE_INDEX_MASK];
+            }
+
+            let startTuple = null;
+            let endTuple = null;
+            if (tupleIndex & INTERMEDIATE_REGION) {
+                startTuple = [];
+                endTuple = [];
+                for (let j = 0; j < axisCount; j++) {
+                    startTuple.push(this.readF2Dot14(header));
+                    header += 2;
+                }
+                for (let j = 0; j < axisCount; j++) {
+                    endTuple.push(this.readF2Dot14(header));
+                    header += 2;
+                }
+            }
+
+            const tupleDataStart = serialized;
+            serialized += variationDataSize;
+
+            const scalar = this.getTupleScalar(coordinates, peak, startTuple, endTuple);
+            if (scalar === 0) continue;
+
+            let offset = tupleDataStart;
+            let pointNumbers = sharedPoints;
+            if (tupleIndex & PRIVATE_POINT_NUMBERS) {
+                const result = this.readPackedPoints(offset);
+                pointNumbers = result.points;
+                offset = result.offset;
+            }
+
+            const deltaCount = pointNumbers ? pointNumbers.length : totalPoints;
+            const xResult = this.readPackedDeltas(offset, deltaCount);
+            const yResult = this.readPackedDeltas(xResult.offset, deltaCount);
+
+            const deltas = this.expandDeltas(original, endPoints, pointNumbers, xResult.deltas, yResult.deltas);
+            for (let i = 0; i < points.length; i++) {
+                points[i].x += deltas[i].x * scalar;
+                points[i].y += deltas[i].y * scalar;
+            }
+        }
+    }
+
+    getTupleScalar(coordinates, peak, startTuple, endTuple) {
+        let scalar = 1;
+        for (let i = 0; i < peak.length; i++) {
+            const peakValue = peak[i];
+            if (peakValue === 0) continue;
+            const coord = coordinates[i] || 0;
+            if (coord === 0) return 0;
+
+            if (startTuple) {
+                const start = startTuple[i];
+                const end = endTuple[i];
+                if (start > peakValue || peakValue > end || (start < 0 && end > 0)) continue;
+                if (coord < start || coord > end) return 0;
+                if (coord < peakValue) {
+                    scalar *= (coord - start) / (peakValue - start);
+                } else if (coord > peakValue) {
+                    scalar *= (end - coord) / (end - peakValue);
+                }
+            } else {
+                if (coord < Math.min(0, peakValue) || coord > Math.max(0, peakValue)) return 0;
+                scalar *= coord / peakValue;
+            }
+        }
+        return scalar;
+    }
+
+    // Returns { points: number[] | null (all points), offset }
+    readPackedPoints(offset) {
+        let count = this.view.getUint8(offset++);
+        if (count & POINTS_ARE_WORDS) {
+            count = ((count & POINT_RUN_COUNT_MASK) << 8) | this.view.getUint8(offset++);
+        }
+        if (count === 0) {
+            return { points: null, offset };
+        }
+
+        const points = [];
+        let current = 0;
+        while (points.length < count) {
+            const control = this.view.getUint8(offset++);
+            const runCount = (control & POINT_RUN_COUNT_MASK) + 1;
+            for (let i = 0; i < runCount && points.length < count; i++) {
+                if (control & POINTS_ARE_WORDS) {
+                    current += this.view.getUint16(offset);
+                    offset += 2;
+                } else {
+                    current += this.view.getUint8(offset++);
+                }
+                points.push(current);
+            }
+        }
+        return { points, offset };
+    }
+
+    readPackedDeltas(offset, count) {
+        const deltas = [];
+        while (deltas.length < count) {
+            const control = this.view.getUint8(offset++);
+            const runCount = (control & DELTA_RUN_COUNT_MASK) + 1;
+            for (let i = 0; i < runCount && deltas.length < count; i++) {
+                if (control & DELTAS_ARE_ZERO) {
+                    deltas.push(0);
+                } else if (control & DELTAS_ARE_WORDS) {
+                    deltas.push(this.view.getInt16(offset));
+                    offset += 2;
+                } else {
+                    deltas.push(this.view.getInt8(offset++));
+                }
+            }
+        }
+        return { deltas, offset };
+    }
+
+    // Spread sparse deltas over every outline point, inferring untouched points (IUP)
+    expandDeltas(original, endPoints, pointNumbers, xDeltas, yDeltas) {
+        const count = original.length;
+        const deltas = original.map(() => ({ x: 0, y: 0 }));
+
+        if (!pointNumbers) {
+            for (let i = 0; i < count; i++) {
+                deltas[i].x = xDeltas[i];
+                deltas[i].y = yDeltas[i];
+            }
+            return deltas;
+        }
+
+        const touched = new Array(count).fill(false);
+        pointNumbers.forEach((pointNumber, i) => {
+            if (pointNumber < count) {
+                deltas[pointNumber].x += xDeltas[i];
+                deltas[pointNumber].y += yDeltas[i];
+                touched[pointNumber] = true;
+            }
+        });
+
+        let first = 0;
+        for (const last of endPoints) {
+            this.interpolateContour(original, deltas, touched, first, last);
+            first = last + 1;
+        }
+        return deltas;
+    }
+
+    interpolateContour(original, deltas, touched, first, last) {
+        const touchedPoints = [];
+        for (let i = first; i <= last; i++) {
+            if (touched[i]) touchedPoints.push(i);
+        }
+        if (touchedPoints.length === 0 || touchedPoints.length === last - first + 1) return;
+
+        for (let t = 0; t < touchedPoints.length; t++) {
+            const previous = touchedPoints[t];
+            const next = touchedPoints[(t + 1) % touchedPoints.length];
+
+            // Walk the untouched run between two touched points, wrapping around the contour
+            let i = previous === last ? first : previous + 1;
+            while (i !== next) {
+                deltas[i].x = this.interpolateDelta(original[i].x, original[previous].x, original[next].x,
+                    deltas[previous].x, deltas[next].x);
+                deltas[i].y = this.interpolateDelta(original[i].y, original[previous].y, original[next].y,
+                    deltas[previous].y, deltas[next].y);
+                i = i === last ? first : i + 1;
+            }
+        }
+    }
+
+    interpolateDelta(position, positionA, positionB, deltaA, deltaB) {
+        if (positionA === positionB) {
+            return deltaA === deltaB ? deltaA : 0;
+        }
+        const [lowPosition, lowDelta, highPosition, highDelta] = positionA < positionB
+            ? [positionA, deltaA, positionB, deltaB]
+            : [positionB, deltaB, positionA, deltaA];
+        if (position <= lowPosition) return lowDelta;
+        if (position >= highPosition) return highDelta;
+        return lowDelta + (position - lowPosition) * (highDelta - lowDelta) / (highPosition - lowPosition);
+    }
+}
+
+// Convert TrueType quadratic contours to After Effects path data: vertices with
+// relative cubic in/out tangents, centered on the em box, y pointing down.
+// preserveTopology keeps collapsed contours and closing vertices, so outlines of the
+// same glyph at different axis values line up path for path and vertex for vertex.
+export function contoursToShapePaths(contours, font, advanceWidth, size, { preserveTopology = false } = {}) {
+    const scale = size / font.unitsPerEm;
+    const centerX = advanceWidth / 2;
+    const centerY = (font.ascender + font.descender) / 2;
+    const toPixels = (x, y) => [(x - centerX) * scale, (centerY - y) * scale];
+
+    const paths = [];
+    for (const contour of contours) {
+        // Variation masters often collapse unused contours to a single point
+        if (contour.length < 2) continue;
+        if (!preserveTopology && contour.every(point => point.x === contour[0].x && point.y === contour[0].y)) continue;
+
+        // Start on an on-curve point; synthesize one if the contour is all off-curve
+        let startIndex = contour.findIndex(point => point.onCurve);
+        let points = contour;
+        if (startIndex === -1) {
+            const first = contour[0];
+            const lastPoint = contour[contour.length - 1];
+            points = [{ x: (first.x + lastPoint.x) / 2, y: (first.y + lastPoint.y) / 2, onCurve: true }, ...contour];
+            startIndex = 0;
+        }
+        const ordered = [...points.slice(startIndex), ...points.slice(0, startIndex)];
+
+        // Two consecutive control points imply an on-curve point halfway between them
+        const expanded = [];
+        ordered.forEach((point, i) => {
+            const next = ordered[(i + 1) % ordered.length];
+            expanded.push(point);
+            if (!point.onCurve && !next.onCurve) {
+                expanded.push({ x: (point.x + next.x) / 2, y: (point.y + next.y) / 2, onCurve: true });
+            }
+        });
+
+        const vertices = [];
+        const inTangents = [];
+        const outTangents = [];
+
+        // A quadratic segment P0-C-P1 becomes a cubic with tangents 2/3 of the way to C
+        const tangent = (control, point) => [
+            (control.x - point.x) * scale * 2 / 3,
+            -(control.y - point.y) * scale * 2 / 3
+        ];
+
+        let previous = null;
+        let control = null;
+        for (const point of expanded) {
+            if (!point.onCurve) {
+                control = point;
+                continue;
+            }
+            vertices.push(toPixels(point.x, point.y));
+            inTangents.push(control ? tangent(control, point) : [0, 0]);
+            outTangents.push([0, 0]);
+            if (previous && control) {
+                outTangents[vertices.length - 2] = tangent(control, previous);
+            }
+            previous = point;
+            control = null;
+        }
+
+        // Drop a closing vertex that repeats the first point; the path is closed anyway
+        const firstPoint = expanded[0];
+        if (!preserveTopology && !control && vertices.length > 1 && previous.x === firstPoint.x && previous.y === firstPoint.y) {
+            inTangents[0] = inTangents.pop();
+            vertices.pop();
+            outTangents.pop();
+        } else if (control) {
+            outTangents[vertices.length - 1] = tangent(control, previous);
+            inTangents[0] = tangent(control, firstPoint);
+        }
+
+        paths.push({ vertices, inTangents, outTangents, closed: true });
+    }
+    return paths;
+}
+
+// Loads and caches one parsed font per family
+export class GlyphOutlineExtractor {
+    static instance = null;
+
+    constructor() {
+        if (GlyphOutlineExtractor.instance) {
+            return GlyphOutlineExtractor.instance;
+        }
+
+        this.fonts = new Map(); // family -> Promise<VariableFont>
+
+        GlyphOutlineExtractor.instance = this;
+    }
+
+    static getInstance() {
+        if (!GlyphOutlineExtractor.instance) {
+            GlyphOutlineExtractor.instance = new GlyphOutlineExtractor();
+        }
+        return GlyphOutlineExtractor.instance;
+    }
+
+    getFontPath(fontFamily) {
+        return FONT_FILE_PATTERN.replace('{family}', fontFamily);
+    }
+
+    loadFont(csInterface, fontFamily) {
+        if (!this.fonts.has(fontFamily)) {
+            const loading = this.readFontFile(csInterface, fontFamily)
+                .then(buffer => new VariableFont(buffer))
+                .catch(error => {
+                    this.fonts.delete(fontFamily); // Allow a retry on the next insert
+                    throw error;
+                });
+            this.fonts.set(fontFamily, loading);
+        }
+        return this.fonts.get(fontFamily);
+    }
+
+    // The variable fonts are several megabytes, far too large to pass through evalScript,
+    // so they are read with CEP's native file API (or fetched in browser mode)
+    async readFontFile(csInterface, fontFamily) {
+        const relativePath = this.getFontPath(fontFamily);
+
+        if (csInterface && typeof window !== 'undefined' && window.cep && window.cep.fs) {
+            const fullPath = csInterface.getSystemPath(SystemPath.EXTENSION) + relativePath;
+            const result = window.cep.fs.readFile(fullPath, window.cep.encoding.Base64);
+            if (result.err !== 0) {
+                throw new Error(`Could not read font file ${fullPath} (error ${result.err})`);
+            }
+            return base64ToArrayBuffer(result.data);
+        }
+
+        const response = await fetch('.' + encodeURI(relativePath).replace(/\[/g, '%5B').replace(/\]/g, '%5D'));
+        if (!response.ok) {
+            throw new Error(`Font request failed with status ${response.status}`);
+        }
+        return await response.arrayBuffer();
+    }
+
+    // settings: { fontFamily, fill, weight, grade, opticalSize }; options go to contoursToShapePaths
+    async getShapePaths(csInterface, icon, settings, size, options = {}) {
+        const font = await this.loadFont(csInterface, settings.fontFamily);
+        const glyphId = font.getGlyphId(parseInt(icon.unicode, 16));
+        if (!glyphId) {
+            throw new Error(`Glyph for "${icon.name}" not found in Material Symbols ${settings.fontFamily}`);
+        }
+
+        const coordinates = font.normalizeCoordinates({
+            FILL: Number(settings.fill),
+            wght: Number(settings.weight),
+            GRAD: Number(settings.grade),
+            opsz: Number(settings.opticalSize)
+        });
+        const contours = font.getGlyphContours(glyphId, coordinates);
+        return contoursToShapePaths(contours, font, font.getAdvanceWidth(glyphId), size, options);
+    }
+}
+
+function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
@@ -0,0 +1,670 @@
+// ExtendScript helpers owned by the panel. They are evaluated into the host engine
+// first, under the MaterialIconsHost namespace, so panel features don't depend on
+// which version of jsx/hostscript.jsx is installed. The panel calls them through
+// bridge.js; every function takes JSON-serializable arguments and returns a JSON string.
+// Keep this source ES3: no let/const, arrow functions or template literals.
+export const HOST_EXTENSIONS_SCRIPT = `
+// Older ExtendScript engines have no JSON, and hostscript.jsx isn't loaded yet when this
+// runs, so the bridge and every function below rely on this fallback there
+if (typeof JSON !== "object" || JSON === null) {
+    JSON = {};
+}
+if (typeof JSON.stringify !== "function") {
+    JSON.stringify = function (value) {
+        var escapes = { "\\"": "\\\\\\"", "\\\\": "\\\\\\\\", "\\b": "\\\\b", "\\f": "\\\\f", "\\n": "\\\\n", "\\r": "\\\\r", "\\t": "\\\\t" };
+        function quote(text) {
+            return "\\"" + text.replace(/[\\\\"\\u0000-\\u001f\\u2028\\u2029]/g, function (ch) {
+                return escapes[ch] || "\\\\u" + ("0000" + ch.charCodeAt(0).toString(16)).slice(-4);
+            }) + "\\"";
+        }
+        function write(item) {
+            var i, key, text, parts = [];
+            if (item === null) return "null";
+            switch (typeof item) {
+            case "string":
+                return quote(item);
+            case "number":
+                return isFinite(item) ? String(item) : "null";
+            case "boolean":
+                return String(item);
+            case "object":
+                if (item instanceof Array) {
+                    for (i = 0; i < item.length; i++) {
+                        text = write(item[i]);
+                        parts.push(text === undefined ? "null" : text);
+                    }
+                    return "[" + parts.join(",") + "]";
+                }
+                for (key in item) {
+                    if (item.hasOwnProperty(key)) {
+                        text = write(item[key]);
+                        if (text !== undefined) parts.push(quote(key) + ":" + text);
+                    }
+                }
+                return "{" + parts.join(",") + "}";
+            }
+            return undefined; // Functions and undefined are left out, as with the native JSON
+        }
+        return write(value);
+    };
+}
+if (typeof JSON.parse !== "function") {
+    JSON.parse = function (text) {
+        // json2's check: nothing but JSON punctuation may remain once strings, numbers
+        // and literals are taken out, so eval only ever sees data
+        var rest = String(text)
+            .replace(/\\\\(?:["\\\\\\/bfnrt]|u[0-9a-fA-F]{4})/g, "@")
+            .replace(/"[^"\\\\\\n\\r]*"|true|false|null|-?\\d+(?:\\.\\d*)?(?:[eE][+\\-]?\\d+)?/g, "]")
+            .replace(/(?:^|:|,)(?:\\s*\\[)+/g, "");
+        if (!/^[\\],:{}\\s]*$/.test(rest)) {
+            throw new SyntaxError("JSON.parse: unexpected character");
+        }
+        return eval("(" + text + ")");
+    };
+}
+
+var MaterialIconsHost = MaterialIconsHost || {};
+
+MaterialIconsHost.getActiveComp = function () {
+    var comp = app.project ? app.project.activeItem : null;
+    return (comp && comp instanceof CompItem) ? comp : null;
+};
+
+MaterialIconsHost.loadScriptFile = function (path) {
+    var file = new File(path);
+    if (!file.exists) {
+        return JSON.stringify({ success: false, message: "JSX_FILE_NOT_FOUND: " + path });
+    }
+    $.evalFile(file);
+    return JSON.stringify({ success: true });
+};
+
+MaterialIconsHost.readTextFile = function (path) {
+    var file = new File(path);
+    if (!file.exists) {
+        return JSON.stringify({ success: false, message: "File does not exist: " + path });
+    }
+    file.encoding = "UTF-8";
+    if (!file.open("r")) {
+        return JSON.stringify({ success: false, message: "Cannot open file for reading: " + path });
+    }
+    var content = file.read();
+    file.close();
+    if (content === null || content === undefined) {
+        return JSON.stringify({ success: false, message: "File content is null or undefined" });
+    }
+    return JSON.stringify({ success: true, content: content });
+};
+
+// encoding: "UTF-8", or "BINARY" with a byte string (one char per byte). Creates parent folders.
+MaterialIconsHost.writeTextFile = function (path, content, encoding) {
+    var file = new File(path);
+    if (!file.parent.exists && !file.parent.create()) {
+        return JSON.stringify({ success: false, message: "Cannot create folder: " + file.parent.fsName });
+    }
+    file.encoding = encoding === "BINARY" ? "BINARY" : "UTF-8";
+    if (!file.open("w")) {
+        return JSON.stringify({ success: false, message: "Cannot open file for writing: " + path });
+    }
+    var written = file.write(content);
+    file.close();
+    if (!written) {
+        return JSON.stringify({ success: false, message: "Write failed: " + file.error });
+    }
+    return JSON.stringify({ success: true });
+};
+
+// Returns { path } - null when the dialog was cancelled
+MaterialIconsHost.chooseSaveLocation = function (defaultName, prompt) {
+    var target = new File(Folder.desktop.fsName + "/" + defaultName);
+    var chosen = target.saveDlg(prompt);
+    return JSON.stringify({ success: true, path: chosen ? chosen.fsName : null });
+};
+
+MaterialIconsHost.noCompResult = function () {
+    return JSON.stringify({ success: false, message: "No active composition. Open a composition in the timeline first." });
+};
+
+MaterialIconsHost.toShape = function (pathData) {
+    var shape = new Shape();
+    shape.vertices = pathData.vertices;
+    shape.inTangents = pathData.inTangents;
+    shape.outTangents = pathData.outTangents;
+    shape.closed = pathData.closed;
+    return shape;
+};
+
+// Ease influence (percent) leaving the first keyframe and entering the last; 0 means linear
+MaterialIconsHost.EASING_INFLUENCE = {
+    linear: [0, 0],
+    easeIn: [75, 0],
+    easeOut: [0, 75],
+    easeInOut: [75, 75]
+};
+
+MaterialIconsHost.easeKeyframe = function (property, keyIndex, influence, isOutgoing) {
+    var linear = KeyframeInterpolationType.LINEAR;
+    if (!influence) {
+        property.setInterpolationTypeAtKey(keyIndex, linear, linear);
+        return;
+    }
+    var bezier = KeyframeInterpolationType.BEZIER;
+    var eased = [new KeyframeEase(0, influence)];
+    var neutral = [new KeyframeEase(0, 33.33)];
+    property.setInterpolationTypeAtKey(keyIndex, isOutgoing ? linear : bezier, isOutgoing ? bezier : linear);
+    property.setTemporalEaseAtKey(keyIndex, isOutgoing ? neutral : eased, isOutgoing ? eased : neutral);
+};
+
+// Keyframe a path from one outline to another, starting at the layer's in point.
+// The keys move with the layer if its start time changes afterwards.
+// animation: { duration (seconds), easing: "linear" | "easeIn" | "easeOut" | "easeInOut" }
+MaterialIconsHost.animatePath = function (property, layer, startShape, endShape, animation) {
+    var influence = MaterialIconsHost.EASING_INFLUENCE[animation.easing] || MaterialIconsHost.EASING_INFLUENCE.easeInOut;
+    var startKey = property.addKey(layer.inPoint);
+    property.setValueAtKey(startKey, startShape);
+    var endKey = property.addKey(layer.inPoint + animation.duration);
+    property.setValueAtKey(endKey, endShape);
+    MaterialIconsHost.easeKeyframe(property, startKey, influence[0], true);
+    MaterialIconsHost.easeKeyframe(property, endKey, influence[1], false);
+};
+
+// Build a shape layer from glyph paths. Callers own the undo group.
+// data: { name, paths: [{ vertices, inTangents, outTangents, closed }], color, animation }
+// animation (optional): { endPaths, duration, easing } morphs each path into endPaths[i]
+MaterialIconsHost.createShapeLayer = function (comp, data) {
+    var layer = comp.layers.addShape();
+    layer.name = data.name;
+
+    var group = layer.property("ADBE Root Vectors Group").addProperty("ADBE Vector Group");
+    group.name = data.name;
+    var vectors = group.property("ADBE Vectors Group");
+
+    for (var i = 0; i < data.paths.length; i++) {
+        var shape = MaterialIconsHost.toShape(data.paths[i]);
+        var pathProperty = vectors.addProperty("ADBE Vector Shape - Group").property("ADBE Vector Shape");
+        if (data.animation && data.animation.endPaths[i]) {
+            var endShape = MaterialIconsHost.toShape(data.animation.endPaths[i]);
+            MaterialIconsHost.animatePath(pathProperty, layer, shape, endShape, data.animation);
+        } else {
+            pathProperty.setValue(shape);
+        }
+    }
+
+    // All paths share one fill; non-zero winding keeps the glyph's counters open
+    var fill = vectors.addProperty("ADBE Vector Graphic - Fill");
+    fill.property("ADBE Vector Fill Color").setValue(data.color || [1, 1, 1]);
+    fill.property("ADBE Vector Fill Rule").setValue(1);
+
+    return layer;
+};
+
+// Insert a text icon through jsx/hostscript.jsx and return the layer it created
+MaterialIconsHost.createTextLayer = function (comp, data) {
+    var layerCount = comp.numLayers;
+    var result = JSON.parse(addIconToTimelineJSON(data.character, data.fontName, data.size,
+        data.fill, data.weight, data.grade, data.opticalSize));
+    if (!result.success) {
+        throw new Error(result.message || "Text layer could not be created");
+    }
+    if (comp.numLayers <= layerCount) {
+        throw new Error("No layer was added to the composition");
+    }
+    // New layers are added at the top of the stack
+    return comp.layer(1);
+};
+
+// First selected layer of the comp, captured before inserting (new layers steal the selection)
+MaterialIconsHost.getSelectedLayer = function (comp) {
+    return comp.selectedLayers.length > 0 ? comp.selectedLayers[0] : null;
+};
+
+// Move a layer so the center of its content sits on targetPoint (comp coordinates)
+MaterialIconsHost.centerLayerOn = function (comp, layer, targetPoint) {
+    var transform = layer.property("ADBE Transform Group");
+    var rect = layer.sourceRectAtTime(comp.time, false);
+    var anchor = transform.property("ADBE Anchor Point").value;
+    var scale = transform.property("ADBE Scale").value;
+    var centerX = (rect.left + rect.width / 2 - anchor[0]) * scale[0] / 100;
+    var centerY = (rect.top + rect.height / 2 - anchor[1]) * scale[1] / 100;
+    var position = transform.property("ADBE Position");
+    var current = position.value;
+    var target = [targetPoint[0] - centerX, targetPoint[1] - centerY];
+    position.setValue(current.length > 2 ? [target[0], target[1], current[2]] : target);
+    return { width: rect.width * scale[0] / 100, height: rect.height * scale[1] / 100 };
+};
+
+// options: { alignment, color, startAtCurrentTime, placeAboveSelected, parentToSelected }
+// item: { layerName, offset: [x, y] }
+MaterialIconsHost.applyInsertionOptions = function (comp, layer, item, options, selected) {
+    if (item.layerName) {
+        layer.name = item.layerName;
+    }
+
+    if (options.color && layer instanceof TextLayer) {
+        var textProperty = layer.property("ADBE Text Properties").property("ADBE Text Document");
+        var textDocument = textProperty.value;
+        textDocument.applyFill = true;
+        textDocument.fillColor = options.color;
+        textProperty.setValue(textDocument);
+    }
+
+    var target = [comp.width / 2, comp.height / 2];
+    if (options.alignment === "selected-layer" && selected) {
+        var selectedPosition = selected.property("ADBE Transform Group").property("ADBE Position").value;
+        target = [selectedPosition[0], selectedPosition[1]];
+    }
+    var bounds = MaterialIconsHost.centerLayerOn(comp, layer, target);
+    if (options.alignment === "top-left") {
+        MaterialIconsHost.centerLayerOn(comp, layer, [bounds.width / 2, bounds.height / 2]);
+    }
+
+    if (item.offset && (item.offset[0] !== 0 || item.offset[1] !== 0)) {
+        var position = layer.property("ADBE Transform Group").property("ADBE Position");
+        var current = position.value;
+        current[0] += item.offset[0];
+        current[1] += item.offset[1];
+        position.setValue(current);
+    }
+
+    if (options.startAtCurrentTime) {
+        layer.startTime = comp.time;
+    }
+    if (selected && options.placeAboveSelected) {
+        layer.moveBefore(selected);
+    }
+    if (selected && options.parentToSelected) {
+        layer.parent = selected;
+    }
+};
+
+// Icon settings stored on a layer by the panel, as JSON after this prefix in the layer comment
+MaterialIconsHost.METADATA_PREFIX = "material-icons:";
+
+MaterialIconsHost.readIconMetadata = function (layer) {
+    var comment = layer.comment || "";
+    var start = comment.indexOf(MaterialIconsHost.METADATA_PREFIX);
+    if (start === -1) {
+        return null;
+    }
+    try {
+        return JSON.parse(comment.substring(start + MaterialIconsHost.METADATA_PREFIX.length));
+    } catch (e) {
+        return null;
+    }
+};
+
+// Replace the metadata part of the comment, keeping anything the user wrote before it
+MaterialIconsHost.writeIconMetadata = function (layer, metadata) {
+    if (!metadata) {
+        return;
+    }
+    var comment = layer.comment || "";
+    var start = comment.indexOf(MaterialIconsHost.METADATA_PREFIX);
+    var text = start === -1 ? comment : comment.substring(0, start);
+    if (text.length > 0 && text.charAt(text.length - 1) !== " ") {
+        text += " ";
+    }
+    layer.comment = text + MaterialIconsHost.METADATA_PREFIX + JSON.stringify(metadata);
+};
+
+// item.metadata tags the layer, so the panel can find and restyle it later
+MaterialIconsHost.insertIconLayer = function (comp, item, options, selected) {
+    var layer = item.mode === "shape"
+        ? MaterialIconsHost.createShapeLayer(comp, item)
+        : MaterialIconsHost.createTextLayer(comp, item);
+    MaterialIconsHost.applyInsertionOptions(comp, layer, item, options, selected);
+    MaterialIconsHost.writeIconMetadata(layer, item.metadata);
+    return layer;
+};
+
+// How the panel finds a layer it inserted again: its comp, Layer.id (the index before
+// AE 22, which has no Layer.id) and its name, which removeLayers checks in that case
+MaterialIconsHost.layerRef = function (comp, layer) {
+    return { compId: comp.id, layerId: layer.id !== undefined ? layer.id : layer.index, name: layer.name };
+};
+
+// data: { item, options } - a single icon in its own undo step
+MaterialIconsHost.addIcon = function (data) {
+    var comp = MaterialIconsHost.getActiveComp();
+    if (!comp) {
+        return MaterialIconsHost.noCompResult();
+    }
+
+    var selected = MaterialIconsHost.getSelectedLayer(comp);
+    app.beginUndoGroup("Add Material Icon: " + data.item.name);
+    try {
+        var layer = MaterialIconsHost.insertIconLayer(comp, data.item, data.options, selected);
+        return JSON.stringify({
+            success: true,
+            message: "Icon layer created",
+            layerName: layer.name,
+            layerIndex: layer.index,
+            layers: [MaterialIconsHost.layerRef(comp, layer)]
+        });
+    } catch (e) {
+        return JSON.stringify({ success: false, message: "Icon layer error: " + e.toString() });
+    } finally {
+        app.endUndoGroup();
+    }
+};
+
+// Text layers set in one of the Material Symbols (or legacy Material Icons) fonts
+MaterialIconsHost.isIconTextLayer = function (layer) {
+    if (!(layer instanceof TextLayer)) {
+        return false;
+    }
+    var textDocument = layer.property("ADBE Text Properties").property("ADBE Text Document").value;
+    return /Material ?(Symbols|Icons)/i.test(textDocument.font + " " + textDocument.fontFamily);
+};
+
+// Put another glyph and family into a text document, keeping its size, color and tracking.
+// item: { character, fontName } with fontName the family, e.g. "Material Symbols Rounded".
+// Scripting can't set variation axes, so the document gets the family's Regular instance.
+MaterialIconsHost.applyIconToTextDocument = function (textDocument, item) {
+    var postScriptName = item.fontName.replace(/ /g, "") + "-Regular";
+    if (app.fonts && app.fonts.getFontsByFamilyNameAndStyleName) {
+        var fonts = app.fonts.getFontsByFamilyNameAndStyleName(item.fontName, "Regular");
+        if (fonts && fonts.length > 0) {
+            postScriptName = fonts[0].postScriptName;
+        }
+    }
+    textDocument.text = item.character;
+    textDocument.font = postScriptName;
+    return textDocument;
+};
+
+// Swap glyph and family of a text layer; keyed Source Text is updated per key
+MaterialIconsHost.setIconText = function (layer, item) {
+    var textProperty = layer.property("ADBE Text Properties").property("ADBE Text Document");
+    if (textProperty.numKeys > 0) {
+        for (var k = 1; k <= textProperty.numKeys; k++) {
+            textProperty.setValueAtKey(k, MaterialIconsHost.applyIconToTextDocument(textProperty.keyValue(k), item));
+        }
+    } else {
+        textProperty.setValue(MaterialIconsHost.applyIconToTextDocument(textProperty.value, item));
+    }
+};
+
+// data: { item } - swap the glyph of every selected icon text layer in place, in one
+// undo step. Transforms, effects and keyframes stay.
+MaterialIconsHost.replaceSelectedIcons = function (data) {
+    var comp = MaterialIconsHost.getActiveComp();
+    if (!comp) {
+        return MaterialIconsHost.noCompResult();
+    }
+
+    var layers = comp.selectedLayers;
+    if (layers.length === 0) {
+        return JSON.stringify({ success: false, message: "Select the icon layers to replace first." });
+    }
+
+    var replaced = [];
+    var skipped = [];
+    app.beginUndoGroup("Replace Material Icon: " + data.item.name);
+    try {
+        for (var i = 0; i < layers.length; i++) {
+            var layer = layers[i];
+            if (!MaterialIconsHost.isIconTextLayer(layer)) {
+                skipped.push(layer.name);
+                continue;
+            }
+            MaterialIconsHost.setIconText(layer, data.item);
+            MaterialIconsHost.writeIconMetadata(layer, data.item.metadata);
+            replaced.push(layer.name);
+        }
+    } catch (e) {
+        return JSON.stringify({ success: false, message: "Replace error: " + e.toString() });
+    } finally {
+        app.endUndoGroup();
+    }
+
+    if (replaced.length === 0) {
+        return JSON.stringify({ success: false, message: "None of the selected layers is a Material Symbols text layer." });
+    }
+    return JSON.stringify({ success: true, replaced: replaced, skipped: skipped });
+};
+
+// True when AE substitutes the document's font because it isn't installed. Older versions
+// without fontObject only expose fontLocation, which is empty for missing fonts.
+MaterialIconsHost.isFontMissing = function (textDocument) {
+    if (textDocument.fontObject && textDocument.fontObject.isSubstitute !== undefined) {
+        return textDocument.fontObject.isSubstitute;
+    }
+    if (textDocument.fontLocation !== undefined) {
+        return !textDocument.fontLocation;
+    }
+    return false;
+};
+
+// families: ["Material Symbols Outlined", ...] -> { family: true | false | null }.
+// null means this AE version can't list installed fonts.
+MaterialIconsHost.getFontStatus = function (families) {
+    var status = {};
+    for (var i = 0; i < families.length; i++) {
+        if (app.fonts && app.fonts.getFontsByFamilyNameAndStyleName) {
+            var fonts = app.fonts.getFontsByFamilyNameAndStyleName(families[i], "Regular");
+            status[families[i]] = Boolean(fonts && fonts.length > 0);
+        } else {
+            status[families[i]] = null;
+        }
+    }
+    return JSON.stringify({ success: true, fonts: status });
+};
+
+// What the panel needs to match a layer to an icon: ids, type, text, font and metadata
+MaterialIconsHost.describeLayer = function (comp, layer) {
+    var info = {
+        compId: comp.id,
+        id: layer.id !== undefined ? layer.id : layer.index,
+        name: layer.name,
+        type: layer instanceof TextLayer ? "text" : layer instanceof ShapeLayer ? "shape" : "other",
+        metadata: MaterialIconsHost.readIconMetadata(layer)
+    };
+    if (info.type === "text") {
+        var textDocument = layer.property("ADBE Text Properties").property("ADBE Text Document").value;
+        info.text = textDocument.text;
+        info.font = textDocument.font;
+        info.fontFamily = textDocument.fontFamily;
+        info.fontStyle = textDocument.fontStyle;
+        info.fontMissing = MaterialIconsHost.isFontMissing(textDocument);
+    }
+    return info;
+};
+
+// Describe the first selected layer so the panel can match it to an icon.
+// No comp or no selection isn't an error: the panel polls this while auto sync is on.
+MaterialIconsHost.getSelectedIconInfo = function () {
+    var comp = MaterialIconsHost.getActiveComp();
+    var layer = comp ? MaterialIconsHost.getSelectedLayer(comp) : null;
+    if (!layer) {
+        return JSON.stringify({ success: true, layer: null });
+    }
+    return JSON.stringify({ success: true, layer: MaterialIconsHost.describeLayer(comp, layer) });
+};
+
+// Every tagged layer and icon text layer in every comp of the project
+MaterialIconsHost.scanProjectIcons = function () {
+    if (!app.project) {
+        return JSON.stringify({ success: false, message: "No project is open." });
+    }
+
+    var layers = [];
+    for (var i = 1; i <= app.project.numItems; i++) {
+        var comp = app.project.item(i);
+        if (!(comp instanceof CompItem)) {
+            continue;
+        }
+        for (var j = 1; j <= comp.numLayers; j++) {
+            var layer = comp.layer(j);
+            if (MaterialIconsHost.readIconMetadata(layer) || MaterialIconsHost.isIconTextLayer(layer)) {
+                var info = MaterialIconsHost.describeLayer(comp, layer);
+                info.compName = comp.name;
+                info.layerIndex = j;
+                layers.push(info);
+            }
+        }
+    }
+    return JSON.stringify({ success: true, layers: layers });
+};
+
+// Project.layerByID (AE 22+) finds a layer by its id in any comp; older versions, whose
+// refs hold the layer index instead, walk the comp's layers
+MaterialIconsHost.findLayer = function (compId, layerId) {
+    var comp = app.project.itemByID ? app.project.itemByID(compId) : null;
+    if (!comp || !(comp instanceof CompItem)) {
+        return null;
+    }
+    if (typeof app.project.layerByID === "function") {
+        var found = null;
+        try {
+            found = app.project.layerByID(layerId);
+        } catch (e) {
+            found = null;
+        }
+        return found && found.containingComp.id === comp.id ? found : null;
+    }
+    for (var i = 1; i <= comp.numLayers; i++) {
+        var layer = comp.layer(i);
+        if ((layer.id !== undefined ? layer.id : layer.index) === layerId) {
+            return layer;
+        }
+    }
+    return null;
+};
+
+// Swap the paths of an icon shape layer (see createShapeLayer) for item.paths, keeping
+// the fill and everything outside the icon group. Keyframed paths are left alone.
+MaterialIconsHost.replaceShapePaths = function (layer, item) {
+    var root = layer.property("ADBE Root Vectors Group");
+    var group = null;
+    for (var i = 1; i <= root.numProperties; i++) {
+        if (root.property(i).matchName === "ADBE Vector Group") {
+            group = root.property(i);
+            break;
+        }
+    }
+    if (!group) {
+        throw new Error("Shape layer has no icon group");
+    }
+
+    var vectors = group.property("ADBE Vectors Group");
+    var j;
+    for (j = 1; j <= vectors.numProperties; j++) {
+        var existing = vectors.property(j);
+        if (existing.matchName === "ADBE Vector Shape - Group" && existing.property("ADBE Vector Shape").numKeys > 0) {
+            throw new Error("Animated icon paths can't be restyled");
+        }
+    }
+    for (j = vectors.numProperties; j >= 1; j--) {
+        if (vectors.property(j).matchName === "ADBE Vector Shape - Group") {
+            vectors.property(j).remove();
+        }
+    }
+
+    // New paths are added last; move them above the fill so it still covers them
+    for (var k = 0; k < item.paths.length; k++) {
+        var added = vectors.addProperty("ADBE Vector Shape - Group");
+        added.property("ADBE Vector Shape").setValue(MaterialIconsHost.toShape(item.paths[k]));
+        added.moveTo(k + 1);
+    }
+    group.name = item.name;
+};
+
+// data: { targets: [{ compId, layerId, item }] } - restyle tagged icon layers across
+// the project in one undo step. Text layers get the new glyph and family, shape layers new paths.
+MaterialIconsHost.restyleIcons = function (data) {
+    if (!app.project) {
+        return JSON.stringify({ success: false, message: "No project is open." });
+    }
+
+    var results = [];
+    app.beginUndoGroup("Restyle " + data.targets.length + " Material Icons");
+    try {
+        for (var i = 0; i < data.targets.length; i++) {
+            var target = data.targets[i];
+            try {
+                var layer = MaterialIconsHost.findLayer(target.compId, target.layerId);
+                if (!layer) {
+                    throw new Error("Layer not found");
+                }
+                if (layer instanceof TextLayer) {
+                    MaterialIconsHost.setIconText(layer, target.item);
+                } else if (layer instanceof ShapeLayer) {
+                    MaterialIconsHost.replaceShapePaths(layer, target.item);
+                } else {
+                    throw new Error("Unsupported layer type");
+                }
+                MaterialIconsHost.writeIconMetadata(layer, target.item.metadata);
+                results.push({ compId: target.compId, layerId: target.layerId, success: true });
+            } catch (layerError) {
+                results.push({ compId: target.compId, layerId: target.layerId, success: false, message: layerError.toString() });
+            }
+        }
+    } finally {
+        app.endUndoGroup();
+    }
+
+    return JSON.stringify({ success: true, results: results });
+};
+
+// data: { items, options } - several icons in a single undo step. One failing icon
+// doesn't stop the rest.
+MaterialIconsHost.addIconBatch = function (data) {
+    var comp = MaterialIconsHost.getActiveComp();
+    if (!comp) {
+        return MaterialIconsHost.noCompResult();
+    }
+
+    var selected = MaterialIconsHost.getSelectedLayer(comp);
+    var results = [];
+    app.beginUndoGroup("Add " + data.items.length + " Material Icons");
+    try {
+        for (var i = 0; i < data.items.length; i++) {
+            var item = data.items[i];
+            try {
+                var layer = MaterialIconsHost.insertIconLayer(comp, item, data.options, selected);
+                results.push({ name: item.name, success: true, layer: MaterialIconsHost.layerRef(comp, layer) });
+            } catch (itemError) {
+                results.push({ name: item.name, success: false, message: itemError.toString() });
+            }
+        }
+    } finally {
+        app.endUndoGroup();
+    }
+
+    return JSON.stringify({ success: true, results: results });
+};
+
+// data: { layers: [layerRef], undoName } - delete layers the panel inserted, in one undo
+// step. Layers that are gone are skipped and reported, never guessed at: with index ids
+// another layer may sit at that index by now, so there the name has to match as well.
+MaterialIconsHost.removeLayers = function (data) {
+    if (!app.project) {
+        return JSON.stringify({ success: false, message: "No project is open." });
+    }
+
+    // Resolve every layer before removing any, since removing shifts the indices
+    var found = [];
+    var missing = [];
+    for (var i = 0; i < data.layers.length; i++) {
+        var ref = data.layers[i];
+        var layer = MaterialIconsHost.findLayer(ref.compId, ref.layerId);
+        if (layer && (layer.id !== undefined || layer.name === ref.name)) {
+            found.push(layer);
+        } else {
+            missing.push(ref.name);
+        }
+    }
+
+    app.beginUndoGroup(data.undoName || "Remove Material Icons");
+    try {
+        for (var j = 0; j < found.length; j++) {
+            found[j].remove();
+        }
+    } finally {
+        app.endUndoGroup();
+    }
+
+    return JSON.stringify({ success: true, removed: found.length, missing: missing });
+};
+`;
@@ -0,0 +1,115 @@
+import { MESSAGES } from './locales.js';
+
+export const DEFAULT_LOCALE = 'en';
+export const AUTO_LOCALE = 'auto'; // Preference value: follow After Effects (or the browser)
+
+// Name shown in the language switch, in its own language, and text direction
+export const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+// "ar_AE" (CEP appLocale), "ar-EG" (navigator.language) or "ar" -> "ar";
+// null when there is no catalog for the language
+export function normalizeLocale(value) {
+    if (typeof value !== 'string' || !value) return null;
+    const language = value.split(/[-_]/)[0].toLowerCase();
+    return Object.hasOwn(LOCALES, language) ? language : null;
+}
+
+// The After Effects UI language, then the browser's, then English.
+// CSInterface.getHostEnvironment() returns an object; older builds return its JSON.
+export function detectLocale(csInterface = null) {
+    const candidates = [];
+    try {
+        const environment = csInterface?.getHostEnvironment?.();
+        const data = typeof environment === 'string' ? JSON.parse(environment) : environment;
+        if (data && data.appLocale) candidates.push(data.appLocale);
+    } catch (error) {
+        console.warn('Could not read the host locale:', error.message);
+    }
+    if (typeof navigator !== 'undefined') {
+        candidates.push(...(navigator.languages || []), navigator.language);
+    }
+    return candidates.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+// Active locale and message lookup. Catalog entries are strings with {param}
+// placeholders, or plural forms keyed by Intl.PluralRules category (Arabic uses
+// zero/one/two/few/many/other) and chosen by params.count.
+export class I18n {
+    static instance = null;
+
+    constructor() {
+        if (I18n.instance) {
+            return I18n.instance;
+        }
+
+        this.locale = DEFAULT_LOCALE;
+
+        I18n.instance = this;
+    }
+
+    static getInstance() {
+        if (!I18n.instance) {
+            I18n.instance = new I18n();
+        }
+        return I18n.instance;
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    getDirection() {
+        return LOCALES[this.locale].dir;
+    }
+
+    // Unknown locales fall back to English. Also sets lang and dir on <html>,
+    // which switches the whole layout to right-to-left for Arabic.
+    setLocale(locale) {
+        this.locale = normalizeLocale(locale) || DEFAULT_LOCALE;
+        if (typeof document !== 'undefined') {
+            document.documentElement.lang = this.locale;
+            document.documentElement.dir = this.getDirection();
+        }
+        return this.locale;
+    }
+
+    // Missing keys fall back to the English catalog, then to the key itself
+    t(key, params = {}) {
+        const message = this.lookup(this.locale, key, params) ?? this.lookup(DEFAULT_LOCALE, key, params) ?? key;
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder);
+    }
+
+    lookup(locale, key, params) {
+        const entry = MESSAGES[locale]?.[key];
+        if (entry === undefined || typeof entry === 'string') return entry;
+        const category = new Intl.PluralRules(locale).select(Number(params.count) || 0);
+        return entry[category] ?? entry.other;
+    }
+}
+
+export function t(key, params) {
+    return I18n.getInstance().t(key, params);
+}
+
+const LOCALIZED_ATTRIBUTES = [
+    ['data-i18n-title', 'title'],
+    ['data-i18n-placeholder', 'placeholder'],
+    ['data-i18n-aria-label', 'aria-label']
+];
+
+// Fill in marked-up text under root: data-i18n sets the text, data-i18n-title,
+// -placeholder and -aria-label the attributes. Run again after a language change.
+export function localizeElement(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    LOCALIZED_ATTRIBUTES.forEach(([source, target]) => {
+        root.querySelectorAll(`[${source}]`).forEach(element => {
+            element.setAttribute(target, t(element.getAttribute(source)));
+        });
+    });
+}
@@ -0,0 +1,248 @@
+import { LoadingManager } from './ui.js';
+import { trapFocus } from './a11y.js';
+import { VARIATION_AXES, formatVariationSettings } from './panelState.js';
+import { t } from './i18n.js';
+
+// 'home' -> 'Home', '10k' -> '_10k' (identifiers can't start with a digit)
+function toPascalCase(name) {
+    const pascal = name.split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+    return /^\d/.test(pascal) ? `_${pascal}` : pascal;
+}
+
+// Code snippets for using an icon elsewhere. settings: { fontFamily, fill, weight, grade, opticalSize }
+export function buildIconSnippets(icon, settings) {
+    const family = settings.fontFamily;
+    const familyLower = family.toLowerCase();
+    const codepoint = icon.unicode.toLowerCase();
+    const variation = formatVariationSettings(settings);
+    const flutterName = familyLower === 'outlined' ? icon.name : `${icon.name}_${familyLower}`;
+    const flutterIdentifier = /^\d/.test(flutterName) ? `$${flutterName}` : flutterName;
+
+    return [
+        {
+            id: 'html',
+            label: 'HTML ligature',
+            code: `<span class="material-symbols-${familyLower}">${icon.name}</span>`
+        },
+        {
+            id: 'css',
+            label: 'CSS',
+            code: `.material-symbols-${familyLower} {\n  font-variation-settings: ${variation};\n}`
+        },
+        {
+            id: 'unicode',
+            label: 'Unicode escape',
+            code: `\\u${codepoint}`
+        },
+        {
+            id: 'android',
+            label: 'Android (Compose)',
+            code: `Icon(Icons.${family}.${toPascalCase(icon.name)}, contentDescription = "${icon.name.replace(/_/g, ' ')}")`
+        },
+        {
+            id: 'ios',
+            label: 'iOS (SwiftUI)',
+            code: `Text("\\u{${codepoint.toUpperCase()}}").font(.custom("Material Symbols ${family}", size: ${settings.opticalSize}))`
+        },
+        {
+            id: 'flutter',
+            label: 'Flutter',
+            code: `Icon(Symbols.${flutterIdentifier}, fill: ${settings.fill}, weight: ${settings.weight}, grade: ${settings.grade}, opticalSize: ${settings.opticalSize})`
+        },
+        {
+            id: 'expression',
+            label: 'AE Source Text expression',
+            code: `String.fromCharCode(0x${codepoint.toUpperCase()}) // Material Symbols ${family}`
+        }
+    ];
+}
+
+// Side drawer with a large live preview, the icon's metadata and copyable snippets.
+// Axis sliders only affect the drawer until "Use in panel" or "Insert" is pressed.
+export class IconDetailDrawer {
+    static instance = null;
+
+    constructor() {
+        if (IconDetailDrawer.instance) {
+            return IconDetailDrawer.instance;
+        }
+
+        this.loadingManager = LoadingManager.getInstance();
+        this.drawer = null;
+        this.icon = null;
+        this.settings = null;
+        this.handlers = {};
+        this.releaseFocus = null;
+        this.onDocumentKeyDown = this.onDocumentKeyDown.bind(this);
+
+        IconDetailDrawer.instance = this;
+    }
+
+    static getInstance() {
+        if (!IconDetailDrawer.instance) {
+            IconDetailDrawer.instance = new IconDetailDrawer();
+        }
+        return IconDetailDrawer.instance;
+    }
+
+    isOpen() {
+        return Boolean(this.drawer);
+    }
+
+    // handlers: { onInsert(icon, settings), onApply(settings) }
+    open(icon, settings, handlers = {}) {
+        this.close();
+        this.icon = icon;
+        this.settings = { ...settings };
+        this.handlers = handlers;
+
+        const drawer = document.createElement('aside');
+        drawer.className = 'icon-drawer';
+        drawer.setAttribute('role', 'dialog');
+        drawer.setAttribute('aria-modal', 'true');
+        drawer.setAttribute('aria-labelledby', 'iconDrawerTitle');
+        drawer.innerHTML = `
+            <div class="icon-drawer-header">
+                <span class="icon-drawer-title" id="iconDrawerTitle"></span>
+                <button type="button" class="icon-drawer-close" title="${t('common.close')}">×</button>
+            </div>
+            <div class="icon-drawer-preview"></div>
+            <dl class="icon-drawer-info"></dl>
+            <div class="icon-drawer-axes">
+                ${VARIATION_AXES.map(axis => `
+                    <label class="icon-drawer-axis">
+                        <span>${t(`axis.${axis.key}`)} <code>${axis.tag}</code></span>
+                        <input type="range" data-axis="${axis.key}" min="${axis.min}" max="${axis.max}" step="${axis.step}">
+                        <output data-axis-value="${axis.key}"></output>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="icon-drawer-actions">
+                <button type="button" class="reset-button icon-drawer-insert">${t('details.insert')}</button>
+                <button type="button" class="view-btn icon-drawer-apply" title="${t('details.useInPanelHint')}">${t('details.useInPanel')}</button>
+            </div>
+            <div class="icon-drawer-snippets"></div>
+        `;
+
+        drawer.querySelector('.icon-drawer-title').textContent = icon.name;
+        this.renderInfo(drawer.querySelector('.icon-drawer-info'));
+
+        drawer.querySelectorAll('[data-axis]').forEach(slider => {
+            slider.value = this.settings[slider.dataset.axis];
+            slider.addEventListener('input', () => {
+                this.settings[slider.dataset.axis] = slider.value;
+                this.update();
+            });
+        });
+
+        drawer.querySelector('.icon-drawer-close').addEventListener('click', () => this.close());
+        drawer.querySelector('.icon-drawer-insert').addEventListener('click', () => {
+            this.handlers.onInsert?.(this.icon, { ...this.settings });
+        });
+        drawer.querySelector('.icon-drawer-apply').addEventListener('click', () => {
+            this.handlers.onApply?.({ ...this.settings });
+        });
+        drawer.querySelector('.icon-drawer-snippets').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-copy]');
+            if (!button) return;
+            const snippet = buildIconSnippets(this.icon, this.settings).find(entry => entry.id === button.dataset.copy);
+            if (snippet) this.copy(snippet);
+        });
+
+        document.body.appendChild(drawer);
+        this.drawer = drawer;
+        this.update();
+        document.addEventListener('keydown', this.onDocumentKeyDown, true);
+        this.releaseFocus = trapFocus(drawer, drawer.querySelector('.icon-drawer-close'));
+    }
+
+    close() {
+        if (!this.drawer) return;
+        this.drawer.remove();
+        this.drawer = null;
+        this.icon = null;
+        document.removeEventListener('keydown', this.onDocumentKeyDown, true);
+        this.releaseFocus?.();
+        this.releaseFocus = null;
+    }
+
+    renderInfo(list) {
+        const { icon } = this;
+        const rows = [
+            [t('details.codepoint'), `U+${icon.unicode.toUpperCase()}`],
+            [t('details.category'), (icon.categories || [icon.category]).join(', ')],
+            [t('details.tags'), icon.tags && icon.tags.length > 0 ? icon.tags.join(', ') : '—']
+        ];
+        rows.forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = term;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+    }
+
+    // Refresh the preview, slider readouts and snippets after an axis change
+    update() {
+        if (!this.drawer) return;
+        const { icon, settings } = this;
+
+        const preview = this.drawer.querySelector('.icon-drawer-preview');
+        preview.textContent = String.fromCharCode(parseInt(icon.unicode, 16));
+        preview.style.fontFamily = `'Material Symbols ${settings.fontFamily}', 'Material Icons'`;
+        preview.style.fontVariationSettings = formatVariationSettings(settings);
+
+        this.drawer.querySelectorAll('[data-axis-value]').forEach(output => {
+            output.textContent = settings[output.dataset.axisValue];
+        });
+
+        const snippets = this.drawer.querySelector('.icon-drawer-snippets');
+        snippets.innerHTML = '';
+        buildIconSnippets(icon, settings).forEach(snippet => {
+            const row = document.createElement('div');
+            row.className = 'icon-drawer-snippet';
+            row.innerHTML = `
+                <div class="icon-drawer-snippet-header">
+                    <span></span>
+                    <button type="button" class="view-btn" data-copy="${snippet.id}">${t('details.copy')}</button>
+                </div>
+                <pre dir="ltr"></pre>
+            `;
+            row.querySelector('span').textContent = snippet.label;
+            row.querySelector('pre').textContent = snippet.code;
+            snippets.appendChild(row);
+        });
+    }
+
+    // CEP's Chromium may not expose the async clipboard API, so fall back to execCommand
+    async copy(snippet) {
+        try {
+            if (navigator.clipboard && navigator.clipboard.writeText) {
+                await navigator.clipboard.writeText(snippet.code);
+            } else {
+                const textarea = document.createElement('textarea');
+                textarea.value = snippet.code;
+                textarea.style.position = 'fixed';
+                textarea.style.opacity = '0';
+                document.body.appendChild(textarea);
+                textarea.select();
+                const copied = document.execCommand('copy');
+                textarea.remove();
+                if (!copied) throw new Error(t('details.clipboardUnavailable'));
+            }
+            this.loadingManager.showToast(t('details.copied', { label: snippet.label }), 'success', 2000);
+            return true;
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.loadingManager.showToast(t('details.copyFailed', { message: error.message }), 'error', 4000);
+            return false;
+        }
+    }
+
+    onDocumentKeyDown(e) {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            this.close();
+        }
+    }
+}
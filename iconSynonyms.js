@@ -0,0 +1,102 @@
+// Synonym/tag table shipped with the extension.
+// Keys are tokens that appear in Material Symbols icon names (split on underscores);
+// values are the everyday words people type when looking for those icons.
+export const ICON_SYNONYMS = {
+    // Common actions
+    add: ['plus', 'new', 'create', 'insert'],
+    remove: ['minus', 'subtract'],
+    delete: ['trash', 'bin', 'garbage', 'rubbish', 'erase', 'discard'],
+    edit: ['pencil', 'write', 'modify', 'change'],
+    search: ['find', 'magnify', 'magnifier', 'lookup', 'zoom'],
+    close: ['x', 'cancel', 'dismiss', 'exit'],
+    check: ['tick', 'done', 'ok', 'confirm', 'yes', 'checkmark'],
+    done: ['tick', 'check', 'complete', 'finished'],
+    settings: ['gear', 'cog', 'preferences', 'options', 'config', 'configuration'],
+    tune: ['sliders', 'adjust', 'controls'],
+    refresh: ['reload', 'update', 'sync'],
+    sync: ['refresh', 'reload'],
+    undo: ['revert'],
+    redo: ['repeat'],
+    copy: ['duplicate', 'clone'],
+    paste: ['clipboard'],
+    print: ['printer'],
+    share: ['send', 'social'],
+    download: ['save', 'get'],
+    upload: ['send', 'publish'],
+    logout: ['signout', 'exit', 'leave'],
+    login: ['signin', 'enter'],
+    link: ['url', 'chain', 'hyperlink'],
+    attach: ['paperclip', 'attachment', 'clip'],
+    filter: ['funnel', 'sort'],
+
+    // Navigation & arrows
+    back: ['left', 'previous', 'prev', 'return'],
+    forward: ['right', 'next'],
+    before: ['left', 'previous', 'prev'],
+    next: ['right', 'forward'],
+    upward: ['up', 'top'],
+    downward: ['down', 'bottom'],
+    expand: ['chevron', 'caret', 'dropdown', 'open'],
+    menu: ['hamburger', 'nav', 'navigation'],
+    more: ['dots', 'ellipsis', 'overflow', 'kebab', 'options'],
+    home: ['house', 'main', 'start'],
+    fullscreen: ['maximize', 'enlarge'],
+
+    // Communication & social
+    mail: ['email', 'envelope', 'letter', 'inbox'],
+    call: ['phone', 'telephone', 'dial'],
+    chat: ['message', 'conversation', 'bubble', 'comment', 'talk'],
+    forum: ['discussion', 'conversation', 'comments'],
+    notifications: ['bell', 'alert', 'alarm', 'reminder'],
+    person: ['user', 'profile', 'account', 'avatar', 'people'],
+    group: ['people', 'team', 'users', 'community'],
+    favorite: ['heart', 'love', 'like'],
+    star: ['rate', 'rating', 'bookmark'],
+    thumb: ['like', 'dislike', 'vote'],
+    public: ['globe', 'world', 'earth', 'internet'],
+    language: ['globe', 'world', 'translate', 'international'],
+
+    // Media
+    play: ['start', 'run', 'video'],
+    pause: ['hold', 'break'],
+    stop: ['halt', 'end'],
+    mic: ['microphone', 'voice', 'record', 'audio'],
+    volume: ['sound', 'audio', 'speaker'],
+    music: ['song', 'audio', 'melody'],
+    videocam: ['video', 'camera', 'record', 'film', 'movie'],
+    photo: ['image', 'picture', 'pic', 'camera'],
+    image: ['photo', 'picture', 'pic', 'graphic'],
+    movie: ['film', 'cinema', 'video'],
+
+    // Files & data
+    folder: ['directory', 'files'],
+    description: ['document', 'doc', 'file', 'page', 'text'],
+    cloud: ['storage', 'online', 'server'],
+    save: ['disk', 'floppy', 'store'],
+    storage: ['database', 'disk', 'server'],
+    calendar: ['date', 'schedule', 'event', 'day'],
+    schedule: ['clock', 'time', 'hour'],
+
+    // Status
+    error: ['danger', 'problem', 'fail', 'failure'],
+    warning: ['caution', 'alert', 'danger', 'attention'],
+    info: ['information', 'about', 'details'],
+    help: ['question', 'support', 'faq'],
+    lock: ['secure', 'security', 'password', 'padlock', 'private'],
+    visibility: ['eye', 'show', 'view', 'see', 'visible', 'hide'],
+
+    // Places, devices & commerce
+    location: ['pin', 'map', 'gps', 'marker', 'place'],
+    place: ['pin', 'location', 'marker'],
+    shopping: ['cart', 'buy', 'shop', 'store', 'basket'],
+    payments: ['money', 'cash', 'pay', 'card'],
+    sell: ['tag', 'price', 'label'],
+    wifi: ['wireless', 'internet', 'network'],
+    battery: ['power', 'charge', 'energy'],
+    bolt: ['lightning', 'flash', 'power', 'energy'],
+    lightbulb: ['idea', 'bulb', 'light', 'lamp'],
+    smartphone: ['mobile', 'phone', 'cellphone', 'device'],
+    computer: ['pc', 'desktop', 'monitor'],
+    dark: ['night', 'moon'],
+    light: ['day', 'sun', 'bright']
+};
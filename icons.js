@@ -1,14 +1,44 @@
 import { readLocalFile } from './cep.js';
 import { LoadingManager } from './ui.js';
-import { addIconToAfterEffects } from './cep.js';
+import { addIconToAfterEffects, addIconsToAfterEffects, replaceSelectedIcons } from './cep.js';
+import { IconSearchEngine } from './search.js';
+import { IconMetadataStore } from './metadata.js';
+import { IconLibrary, FAVORITES_CATEGORY, RECENT_CATEGORY } from './library.js';
+import { IconExporter } from './exporter.js';
+import { IconDetailDrawer } from './iconDetails.js';
+import { InsertionSettingsManager } from './insertionSettings.js';
+import { t } from './i18n.js';
+
+// Minimum column widths per view size, mirroring grid-template-columns in css/layout.css
+const VIRTUAL_COLUMN_MIN_WIDTH = { small: 58, medium: 76, large: 96 };
+const VIRTUAL_GRID_GAP = 12;
+const VIRTUAL_BUFFER_ROWS = 3; // Rows rendered above and below the visible area
+
+// Screen-reader name of a card: "arrow back, Navigation, favorite"
+export function getIconLabel(icon, isFavorite = false) {
+    const parts = [icon.name.replace(/_/g, ' '), icon.category];
+    if (isFavorite) parts.push(t('icon.favorite'));
+    return parts.filter(Boolean).join(', ');
+}
 
 export class IconManager {
     constructor(panelContext) {
         this.panel = panelContext; // Reference to the main panel instance
         this.icons = [];
         this.iconObjects = [];
+        this.iconIndex = new Map(); // name -> icon object, for O(1) lookups across the full set
         this.filterCache = null;
+        this.searchEngine = new IconSearchEngine();
+        this.metadata = new IconMetadataStore();
+        this.library = IconLibrary.getInstance();
+        this.library.onChange(() => this.onLibraryChange());
         this.scrollObserver = null;
+        this.virtualState = null;
+        this.renderGeneration = 0; // Bumped on every render so stale batches stop appending
+        this.elementIcons = new WeakMap(); // icon card element -> icon currently bound to it
+        this.selectedNames = new Set(); // Multi-selection, by icon name so it survives re-filtering
+        this.activeIconName = null;     // Keyboard focus in the grid, also by name
+        this.selectionAnchor = null;
     }
 
     async loadIcons(csInterface, fontFamily) {
@@ -27,48 +57,93 @@ export class IconManager {
                 codepointsPath = extensionPath + '/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints';
             }
 
+            await this.metadata.load(csInterface);
             const response = await readLocalFile(csInterface, codepointsPath);
             if (response) {
                 this.icons = this.parseCodepoints(response);
-                loadingManager.showToast(`Loaded ${this.icons.length} icons successfully`, 'success', 3000);
+                loadingManager.showToast(t('icons.loaded', { count: this.icons.length }), 'success', 3000);
             } else {
                 throw new Error('Codepoints file not found');
             }
         } catch (error) {
             console.error('Error loading icons:', error);
             this.icons = this.getBasicIcons();
-            loadingManager.showToast('Using basic icon set - some icons may be missing', 'warning', 5000);
+            loadingManager.showToast(t('icons.basicSet'), 'warning', 5000);
         } finally {
             loadingManager.setIconsGridLoading(false);
         }
 
-        this.iconObjects = this.icons.map(icon => ({
-            name: typeof icon === 'string' ? icon : icon.name,
-            unicode: typeof icon === 'string' ? this.getIconUnicode(icon) : icon.unicode,
-            category: this.categorizeIcon(typeof icon === 'string' ? icon : icon.name)
-        }));
+        this.setIconObjects(this.icons.map(icon => this.buildIconObject(icon)));
+
+        return this.iconObjects;
+    }
 
+    // Browser mode has no codepoints file, so the built-in list is used with whatever metadata is reachable
+    async loadBasicIcons() {
+        await this.metadata.load(null);
+        this.setIconObjects(this.getBasicIcons().map(icon => this.buildIconObject(icon)));
         return this.iconObjects;
     }
 
+    // Merge a parsed codepoint entry with the official metadata; name heuristics only fill the gaps
+    buildIconObject(icon) {
+        const name = typeof icon === 'string' ? icon : icon.name;
+        const meta = this.metadata.get(name);
+        const categories = meta && meta.categories.length > 0
+            ? meta.categories
+            : [icon.category || this.categorizeIcon(name)];
+
+        return {
+            name,
+            unicode: typeof icon === 'string' ? this.getIconUnicode(icon) : icon.unicode,
+            category: categories[0],
+            categories,
+            tags: meta ? meta.tags : [],
+            popularity: meta ? meta.popularity : 0,
+            version: meta ? meta.version : 0
+        };
+    }
+
+    // Replace the working icon set and rebuild the lookup index
+    setIconObjects(iconObjects) {
+        this.iconObjects = iconObjects;
+        this.iconIndex = new Map();
+        for (const icon of iconObjects) {
+            if (!this.iconIndex.has(icon.name)) {
+                this.iconIndex.set(icon.name, icon);
+            }
+        }
+        this.searchEngine.index(iconObjects);
+        this.clearFilterCache();
+
+        // Drop selected icons the new set doesn't contain (e.g. after a family switch)
+        for (const name of this.selectedNames) {
+            if (!this.iconIndex.has(name)) {
+                this.selectedNames.delete(name);
+            }
+        }
+        this.onSelectionChange();
+    }
+
     parseCodepoints(content) {
-        const lines = content.split('\n');
-        const icons = [];
+        const lines = content.split(/\r?\n/);
+        const icons = new Map(); // Keyed by name so duplicate entries don't show up twice
         for (const line of lines) {
             const trimmed = line.trim();
             if (trimmed && !trimmed.startsWith('#')) {
-                const parts = trimmed.split(' ');
-                if (parts.length >= 2) {
-                    icons.push({
+                const parts = trimmed.split(/\s+/);
+                if (parts.length >= 2 && !icons.has(parts[0])) {
+                    icons.set(parts[0], {
                         name: parts[0],
                         unicode: parts[1]
                     });
                 }
             }
         }
-        return icons.slice(0, 500); // Limit for performance
+        return Array.from(icons.values());
     }
 
+    // Fallback for icons missing from the metadata file
     categorizeIcon(iconName) {
         const name = iconName.toLowerCase();
 
@@ -218,18 +293,23 @@ export class IconManager {
     }
 
     filterIcons() {
-        const cacheKey = `${this.panel.selectedCategory || 'All'}_${this.panel.searchQuery || ''}`;
+        const cacheKey = `${this.panel.selectedCategory || 'All'}_${this.panel.searchQuery || ''}_${this.library.revision}`;
         if (this.filterCache && this.filterCache.key === cacheKey) {
             return this.filterCache.results;
         }
 
         let filtered = this.iconObjects;
-        if (this.panel.selectedCategory && this.panel.selectedCategory !== 'All') {
-            filtered = filtered.filter(icon => icon.category === this.panel.selectedCategory);
+        if (this.panel.selectedCategory === FAVORITES_CATEGORY) {
+            filtered = this.resolveIconNames(this.library.getFavorites());
+        } else if (this.panel.selectedCategory === RECENT_CATEGORY) {
+            filtered = this.resolveIconNames(this.library.getRecent());
+        } else if (this.panel.selectedCategory && this.panel.selectedCategory !== 'All') {
+            const category = this.panel.selectedCategory;
+            filtered = filtered.filter(icon => (icon.categories || [icon.category]).includes(category));
         }
         if (this.panel.searchQuery && this.panel.searchQuery.length > 0) {
-            const searchLower = this.panel.searchQuery.toLowerCase();
-            filtered = filtered.filter(icon => icon.name.toLowerCase().includes(searchLower));
+            // Ranked by relevance rather than file order
+            filtered = this.searchEngine.search(this.panel.searchQuery, filtered);
         }
 
         this.filterCache = { key: cacheKey, results: filtered, timestamp: Date.now() };
@@ -240,18 +320,71 @@ export class IconManager {
         this.filterCache = null;
     }
 
+    // Look up stored icon names in the current set, skipping any this font doesn't have
+    resolveIconNames(names) {
+        return names.map(name => this.iconIndex.get(name)).filter(Boolean);
+    }
+
+    onLibraryChange() {
+        this.clearFilterCache();
+        const category = this.panel.selectedCategory;
+        if (category === FAVORITES_CATEGORY || category === RECENT_CATEGORY) {
+            this.renderIcons();
+        }
+    }
+
+    // Snapshot of the panel's current font family and variation axes
+    getFontSettings() {
+        return {
+            fontFamily: this.panel.currentFontFamily,
+            fill: this.panel.currentFontFill,
+            weight: this.panel.currentFontStyle,
+            grade: this.panel.currentFontGrad,
+            opticalSize: this.panel.currentFontOpsz
+        };
+    }
+
+    // Font settings combined with the persisted insertion options (size, color, placement...)
+    getInsertSettings() {
+        return {
+            ...this.getFontSettings(),
+            ...InsertionSettingsManager.getInstance().get()
+        };
+    }
+
+    // Insert an icon with the panel's current settings and remember it as recently used.
+    // overrides replace individual settings, e.g. the detail drawer's axis values.
+    // In "Replace selected" mode the selected icon layers get the new glyph instead.
+    async insertIcon(icon, overrides = {}) {
+        const settings = { ...this.getInsertSettings(), ...overrides };
+        const added = settings.replaceSelected
+            ? await replaceSelectedIcons(this.panel.csInterface, icon, settings)
+            : await addIconToAfterEffects(this.panel.csInterface, icon, settings);
+        if (added) {
+            this.library.recordUsage(icon.name);
+        }
+        return added;
+    }
+
     renderIcons() {
         const filteredIcons = this.filterIcons();
         const iconsGrid = document.getElementById('iconsGrid');
         if (!iconsGrid) return;
 
+        this.cleanup();
+        this.renderGeneration++;
+
         if (filteredIcons.length === 0) {
-            iconsGrid.innerHTML = `<div class="empty-state"><h3>No Icons Found</h3></div>`;
+            iconsGrid.removeAttribute('role');
+            iconsGrid.innerHTML = `<div class="empty-state" role="status"><h3>${t('icons.empty')}</h3></div>`;
             return;
         }
 
-        this.cleanup();
         iconsGrid.innerHTML = '';
+        // A listbox of options; Ctrl/Shift-click selects several
+        iconsGrid.setAttribute('role', 'listbox');
+        iconsGrid.setAttribute('aria-label', t('icons.gridLabel'));
+        iconsGrid.setAttribute('aria-multiselectable', 'true');
 
         if (filteredIcons.length > 100) {
             this.renderIconsVirtual(filteredIcons, iconsGrid);
@@ -260,21 +393,153 @@ export class IconManager {
         }
     }
 
+    // Windowed rendering: only rows in view (plus a buffer) get DOM nodes, and those
+    // nodes are recycled as the grid scrolls
     renderIconsVirtual(icons, container) {
-        // ... (virtual rendering logic)
+        container.classList.add('virtual');
+
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-spacer';
+        const viewport = document.createElement('div');
+        viewport.className = 'virtual-window';
+        spacer.appendChild(viewport);
+        container.appendChild(spacer);
+
+        const state = {
+            icons,
+            container,
+            spacer,
+            viewport,
+            pool: [],
+            columns: 1,
+            rowHeight: 0,
+            firstIndex: -1,
+            lastIndex: -1,
+            frame: null
+        };
+        this.virtualState = state;
+
+        this.measureVirtualGrid(state);
+        this.updateVirtualWindow(state);
+
+        const onScroll = () => {
+            if (state.frame) return;
+            state.frame = requestAnimationFrame(() => {
+                state.frame = null;
+                this.updateVirtualWindow(state);
+            });
+        };
+        container.addEventListener('scroll', onScroll, { passive: true });
+
+        const resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this.refreshLayout())
+            : null;
+        resizeObserver?.observe(container);
+
+        // cleanup() only disconnects, so the scroll listener is torn down through the same interface
+        this.scrollObserver = {
+            disconnect: () => {
+                container.removeEventListener('scroll', onScroll);
+                resizeObserver?.disconnect();
+                if (state.frame) {
+                    cancelAnimationFrame(state.frame);
+                    state.frame = null;
+                }
+                container.classList.remove('virtual');
+                if (this.virtualState === state) {
+                    this.virtualState = null;
+                }
+            }
+        };
+    }
+
+    measureVirtualGrid(state) {
+        const { container, spacer, viewport, icons } = state;
+        const style = getComputedStyle(container);
+        const contentWidth = container.clientWidth -
+            (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+        const minWidth = VIRTUAL_COLUMN_MIN_WIDTH[this.panel.viewSize] || VIRTUAL_COLUMN_MIN_WIDTH.medium;
+
+        state.columns = Math.max(1, Math.floor((contentWidth + VIRTUAL_GRID_GAP) / (minWidth + VIRTUAL_GRID_GAP)));
+        viewport.style.gridTemplateColumns = `repeat(${state.columns}, minmax(0, 1fr))`;
+
+        // Measure a real card so the row height follows the active size class and hide-names state
+        const probe = this.createIconElement(icons[0]);
+        probe.style.visibility = 'hidden';
+        viewport.appendChild(probe);
+        state.rowHeight = (probe.offsetHeight || minWidth) + VIRTUAL_GRID_GAP;
+        probe.remove();
+
+        const totalRows = Math.ceil(icons.length / state.columns);
+        spacer.style.height = `${Math.max(0, totalRows * state.rowHeight - VIRTUAL_GRID_GAP)}px`;
+
+        // Force the next window update to rebind every node
+        state.firstIndex = -1;
+        state.lastIndex = -1;
+    }
+
+    updateVirtualWindow(state) {
+        const { container, spacer, viewport, icons, columns, rowHeight, pool } = state;
+        const totalRows = Math.ceil(icons.length / columns);
+        const scrollTop = Math.max(0, container.scrollTop - spacer.offsetTop);
+        const visibleRows = Math.ceil(container.clientHeight / rowHeight) || 1;
+        const topRow = Math.floor(scrollTop / rowHeight);
+
+        const startRow = Math.max(0, topRow - VIRTUAL_BUFFER_ROWS);
+        const endRow = Math.min(totalRows, topRow + visibleRows + VIRTUAL_BUFFER_ROWS + 1);
+        const firstIndex = startRow * columns;
+        const lastIndex = Math.min(icons.length, endRow * columns);
+
+        if (firstIndex === state.firstIndex && lastIndex === state.lastIndex) return;
+        state.firstIndex = firstIndex;
+        state.lastIndex = lastIndex;
+
+        const count = lastIndex - firstIndex;
+        while (pool.length < count) {
+            pool.push(this.createIconElement(icons[firstIndex + pool.length]));
+        }
+
+        for (let i = 0; i < count; i++) {
+            const element = pool[i];
+            this.updateIconElement(element, icons[firstIndex + i]);
+            this.setIconPosition(element, firstIndex + i, icons.length);
+            if (element.parentNode !== viewport) {
+                viewport.appendChild(element);
+            }
+        }
+
+        // Surplus nodes are detached but kept in the pool for reuse
+        for (let i = count; i < pool.length; i++) {
+            pool[i].remove();
+        }
+        this.ensureTabStop();
+
+        viewport.style.transform = `translateY(${startRow * rowHeight}px)`;
+    }
+
+    // Re-measure the virtual grid after a view size, name visibility or container size change
+    refreshLayout() {
+        if (!this.virtualState) return;
+        this.measureVirtualGrid(this.virtualState);
+        this.updateVirtualWindow(this.virtualState);
     }
 
     renderIconsBatch(icons, container) {
         const BATCH_SIZE = 20;
+        const generation = this.renderGeneration;
         let currentIndex = 0;
         const renderNextBatch = () => {
+            if (generation !== this.renderGeneration) return;
             const fragment = document.createDocumentFragment();
             const endIndex = Math.min(currentIndex + BATCH_SIZE, icons.length);
             for (let i = currentIndex; i < endIndex; i++) {
-                fragment.appendChild(this.createIconElement(icons[i]));
+                const element = this.createIconElement(icons[i]);
+                this.setIconPosition(element, i, icons.length);
+                fragment.appendChild(element);
             }
             container.appendChild(fragment);
             currentIndex = endIndex;
+            this.ensureTabStop();
             if (currentIndex < icons.length) {
                 requestAnimationFrame(renderNextBatch);
             }
@@ -285,27 +550,135 @@ export class IconManager {
     createIconElement(icon) {
         const iconElement = document.createElement('div');
         iconElement.className = 'icon-item';
+        iconElement.setAttribute('role', 'option');
+        iconElement.tabIndex = -1; // Only the active card is a tab stop, see ensureTabStop
+        this.updateIconElement(iconElement, icon);
+        // Tabbing into the grid lands on a card without going through focusIconAt
+        iconElement.addEventListener('focus', () => {
+            const currentIcon = this.elementIcons.get(iconElement);
+            if (!currentIcon || currentIcon.name === this.activeIconName) return;
+            this.activeIconName = currentIcon.name;
+            this.updateActiveElements();
+        });
+        iconElement.addEventListener('click', (e) => {
+            const currentIcon = this.elementIcons.get(iconElement);
+            if (!currentIcon) return;
+            this.activeIconName = currentIcon.name;
+            this.updateActiveElements();
+
+            if (e.target.closest('.icon-favorite-btn')) {
+                e.stopPropagation();
+                this.toggleFavorite(currentIcon);
+                return;
+            }
+
+            if (e.target.closest('.icon-info-btn')) {
+                e.stopPropagation();
+                this.openIconDetails(currentIcon);
+                return;
+            }
+
+            if (e.target.closest('.icon-export-btn')) {
+                e.stopPropagation();
+                this.openExportMenu(currentIcon);
+                return;
+            }
+
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                this.handleSelectionClick(currentIcon, e);
+                return;
+            }
+
+            this.insertIcon(currentIcon);
+        });
+        // Right-click is the secondary action: details instead of inserting
+        iconElement.addEventListener('contextmenu', (e) => {
+            const currentIcon = this.elementIcons.get(iconElement);
+            if (!currentIcon) return;
+            e.preventDefault();
+            this.openIconDetails(currentIcon);
+        });
+        return iconElement;
+    }
+
+    // The menu sits by the card's export mark, or the card when it isn't rendered
+    openExportMenu(icon) {
+        const card = this.getIconElement(icon);
+        const anchor = card?.querySelector('.icon-export-btn') || card || document.getElementById('iconsGrid');
+        const settings = this.getFontSettings();
+        const exporter = IconExporter.getInstance();
+        exporter.openExportMenu(anchor, icon, (options) => {
+            exporter.exportIcon(this.panel.csInterface, icon, settings, options);
+        });
+    }
+
+    openIconDetails(icon) {
+        IconDetailDrawer.getInstance().open(icon, this.getFontSettings(), {
+            onInsert: (drawerIcon, settings) => this.insertIcon(drawerIcon, settings),
+            onApply: (settings) => this.panel.applyStyle(settings)
+        });
+    }
+
+    // Bind an icon to a card element; recycled virtual grid nodes go through here too
+    updateIconElement(iconElement, icon) {
+        const selected = this.selectedNames.has(icon.name);
+        iconElement.classList.toggle('selected', selected);
+        iconElement.setAttribute('aria-selected', String(selected));
+        this.setActiveElement(iconElement, icon.name === this.activeIconName);
+        if (this.elementIcons.get(iconElement) === icon) {
+            this.updateFavoriteButton(iconElement, icon);
+            return;
+        }
+        this.elementIcons.set(iconElement, icon);
+
         const iconChar = String.fromCharCode(parseInt(icon.unicode, 16));
         const fontFamily = `Material Symbols ${this.panel.currentFontFamily}`;
-        const fontVariationSettings = `'FILL' ${this.panel.currentFontFill}, 'wght' ${this.panel.currentFontStyle}, 'GRAD' ${this.panel.currentFontGrad}, 'opsz' ${this.panel.currentFontOpsz}`;
 
+        // Axis values come from the grid's --icon-font-variation, so slider changes don't rebind cards
+        // The card's aria-label stands in for its content. An option can't hold controls,
+        // so the favorite, export and details marks are for the pointer only (the card's
+        // click handler acts on them) and the keyboard has F, E and I for the same actions.
         iconElement.innerHTML = `
-            <span class="icon-symbol" style="font-family: '${fontFamily}', 'Material Icons'; font-variation-settings: ${fontVariationSettings};">${iconChar}</span>
+            <span class="icon-symbol" aria-hidden="true" style="font-family: '${fontFamily}', 'Material Icons';">${iconChar}</span>
             <span class="icon-name">${icon.name}</span>
             <span class="icon-category">${icon.category}</span>
+            <span class="icon-favorite-btn" aria-hidden="true"></span>
+            <span class="icon-export-btn" aria-hidden="true" title="${t('icon.export')}">⤓</span>
+            <span class="icon-info-btn" aria-hidden="true" title="${t('icon.details')}">ⓘ</span>
         `;
-        iconElement.title = `${icon.name} (...)`;
-        iconElement.addEventListener('click', () => {
-            const settings = {
-                fontFamily: this.panel.currentFontFamily,
-                fill: this.panel.currentFontFill,
-                weight: this.panel.currentFontStyle,
-                grade: this.panel.currentFontGrad,
-                opticalSize: this.panel.currentFontOpsz
-            };
-            addIconToAfterEffects(this.panel.csInterface, icon, settings);
-        });
-        return iconElement;
+        iconElement.title = t('icon.title', { name: icon.name, codepoint: icon.unicode.toUpperCase(), category: icon.category });
+        this.updateFavoriteButton(iconElement, icon);
+    }
+
+    updateFavoriteButton(iconElement, icon) {
+        const button = iconElement.querySelector('.icon-favorite-btn');
+        if (!button) return;
+        const isFavorite = this.library.isFavorite(icon.name);
+        button.textContent = isFavorite ? '★' : '☆';
+        button.title = t(isFavorite ? 'icon.removeFavorite' : 'icon.addFavorite');
+        button.classList.toggle('active', isFavorite);
+        iconElement.classList.toggle('is-favorite', isFavorite);
+        iconElement.setAttribute('aria-label', getIconLabel(icon, isFavorite));
+    }
+
+    // Virtual and batch rendering only have part of the list in the DOM
+    setIconPosition(iconElement, index, total) {
+        iconElement.setAttribute('aria-posinset', String(index + 1));
+        iconElement.setAttribute('aria-setsize', String(total));
+    }
+
+    setActiveElement(iconElement, active) {
+        iconElement.classList.toggle('active', active);
+        iconElement.tabIndex = active ? 0 : -1;
+    }
+
+    // Roving tabindex: the active card is the grid's one tab stop, or the first
+    // rendered card while the active one is filtered or scrolled away
+    ensureTabStop() {
+        const cards = [...document.querySelectorAll('#iconsGrid .icon-item')];
+        if (cards.length > 0 && !cards.some(card => card.tabIndex === 0)) {
+            cards[0].tabIndex = 0;
+        }
     }
 
     cleanup() {
@@ -315,8 +688,169 @@ export class IconManager {
         }
     }
 
+    // Ctrl/Cmd-click toggles one icon, Shift-click selects the range from the last clicked icon
+    handleSelectionClick(icon, e) {
+        if (e.shiftKey && this.selectionAnchor) {
+            const visible = this.filterIcons();
+            const anchorIndex = visible.findIndex(item => item.name === this.selectionAnchor);
+            const targetIndex = visible.indexOf(icon);
+            if (anchorIndex !== -1 && targetIndex !== -1) {
+                const [from, to] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+                if (!(e.ctrlKey || e.metaKey)) {
+                    this.selectedNames.clear();
+                }
+                for (let i = from; i <= to; i++) {
+                    this.selectedNames.add(visible[i].name);
+                }
+                this.onSelectionChange();
+                return;
+            }
+        }
+
+        if (this.selectedNames.has(icon.name)) {
+            this.selectedNames.delete(icon.name);
+        } else {
+            this.selectedNames.add(icon.name);
+        }
+        this.selectionAnchor = icon.name;
+        this.onSelectionChange();
+    }
+
+    clearSelection() {
+        this.selectedNames.clear();
+        this.selectionAnchor = null;
+        this.onSelectionChange();
+    }
+
+    // First icon with this codepoint (hex, any case); aliases share codepoints
+    findIconByCodepoint(codepoint) {
+        const key = String(codepoint || '').toLowerCase();
+        return this.iconObjects.find(icon => icon.unicode.toLowerCase() === key) || null;
+    }
+
+    // Make icon the only selected one and scroll its card into view
+    revealIcon(icon) {
+        this.selectedNames.clear();
+        this.selectedNames.add(icon.name);
+        this.selectionAnchor = icon.name;
+        this.onSelectionChange();
+        return this.scrollToIcon(icon);
+    }
+
+    // The virtual grid may not have a card for the icon yet, so it is scrolled to the
+    // icon's row first. Returns the card, or null while it isn't rendered.
+    scrollToIcon(icon) {
+        const state = this.virtualState;
+        const index = this.filterIcons().indexOf(icon);
+        if (state && index !== -1) {
+            state.container.scrollTop = state.spacer.offsetTop + Math.floor(index / state.columns) * state.rowHeight;
+            this.updateVirtualWindow(state);
+        }
+
+        const element = this.getIconElement(icon);
+        element?.scrollIntoView?.({ block: 'nearest' });
+        return element;
+    }
+
+    getIconElement(icon) {
+        return [...document.querySelectorAll('#iconsGrid .icon-item')]
+            .find(item => this.elementIcons.get(item) === icon) || null;
+    }
+
+    getActiveIcon() {
+        const icon = this.activeIconName ? this.iconIndex.get(this.activeIconName) : null;
+        return icon && this.filterIcons().includes(icon) ? icon : null;
+    }
+
+    // Cards per row: known for the virtual grid, counted from the first row otherwise
+    getGridColumns() {
+        if (this.virtualState) return this.virtualState.columns;
+        const cards = document.querySelectorAll('#iconsGrid .icon-item');
+        if (cards.length === 0) return 1;
+        const top = cards[0].offsetTop;
+        let columns = 1;
+        while (columns < cards.length && cards[columns].offsetTop === top) {
+            columns++;
+        }
+        return columns;
+    }
+
+    // Give keyboard focus to the icon at index in the filtered list (clamped)
+    focusIconAt(index) {
+        const icons = this.filterIcons();
+        if (icons.length === 0) return null;
+        const icon = icons[Math.max(0, Math.min(icons.length - 1, index))];
+        this.activeIconName = icon.name;
+        const element = this.scrollToIcon(icon);
+        this.updateActiveElements();
+        element?.focus({ preventScroll: true });
+        return icon;
+    }
+
+    // key: an arrow key, Home or End. The first move just focuses the first icon.
+    moveFocus(key) {
+        const icons = this.filterIcons();
+        const current = icons.indexOf(this.getActiveIcon());
+        if (current === -1) return this.focusIconAt(0);
+
+        const columns = this.getGridColumns();
+        // Right-to-left layouts fill rows from the right, so the horizontal arrows swap
+        const forward = document.documentElement.dir === 'rtl' ? -1 : 1;
+        const targets = {
+            ArrowLeft: current - forward,
+            ArrowRight: current + forward,
+            ArrowUp: current - columns,
+            ArrowDown: current + columns,
+            Home: 0,
+            End: icons.length - 1
+        };
+        return key in targets ? this.focusIconAt(targets[key]) : null;
+    }
+
+    updateActiveElements() {
+        document.querySelectorAll('#iconsGrid .icon-item').forEach(element => {
+            const icon = this.elementIcons.get(element);
+            this.setActiveElement(element, Boolean(icon && icon.name === this.activeIconName));
+        });
+        this.ensureTabStop();
+    }
+
+    toggleFavorite(icon) {
+        this.library.toggleFavorite(icon.name);
+        const element = this.getIconElement(icon);
+        if (element) this.updateFavoriteButton(element, icon);
+    }
+
+    getSelectedIcons() {
+        return this.resolveIconNames([...this.selectedNames]);
+    }
+
+    onSelectionChange() {
+        document.querySelectorAll('#iconsGrid .icon-item').forEach(element => {
+            const icon = this.elementIcons.get(element);
+            const selected = Boolean(icon && this.selectedNames.has(icon.name));
+            element.classList.toggle('selected', selected);
+            element.setAttribute('aria-selected', String(selected));
+        });
+        this.panel.updateSelectionBar?.(this.selectedNames.size);
+    }
+
+    // Insert every selected icon in one undo step, then clear the selection on full success
+    async insertSelectedIcons(layout = 'stack') {
+        const icons = this.getSelectedIcons();
+        if (icons.length === 0) return [];
+
+        const settings = this.getInsertSettings();
+        const results = await addIconsToAfterEffects(this.panel.csInterface, icons, settings, layout);
+        results.filter(result => result.success).forEach(result => this.library.recordUsage(result.name));
+        if (results.every(result => result.success)) {
+            this.clearSelection();
+        }
+        return results;
+    }
+
     getIconUnicode(iconName) {
-        const icon = this.iconObjects.find(i => i.name === iconName);
+        const icon = this.iconIndex.get(iconName);
         return icon ? icon.unicode : 'e88a'; // Default icon
     }
 }
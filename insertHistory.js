@@ -0,0 +1,71 @@
+const HISTORY_LIMIT = 10;
+
+// Insertions made from the panel this session, newest first, with the layers each one
+// created (MaterialIconsHost.layerRef results) so undoing removes exactly those.
+// Undone entries stay in the list, marked as such; pending ones are being undone.
+export class InsertHistory {
+    static instance = null;
+
+    constructor() {
+        if (InsertHistory.instance) {
+            return InsertHistory.instance;
+        }
+
+        this.entries = [];
+        this.nextId = 1;
+        this.listeners = new Set();
+
+        InsertHistory.instance = this;
+    }
+
+    static getInstance() {
+        if (!InsertHistory.instance) {
+            InsertHistory.instance = new InsertHistory();
+        }
+        return InsertHistory.instance;
+    }
+
+    // names: the inserted icons, for display and the undo step's name
+    record(names, layers) {
+        const entry = { id: this.nextId++, names: [...names], layers: [...layers], time: new Date(), undone: false, pending: false };
+        this.entries.unshift(entry);
+        if (this.entries.length > HISTORY_LIMIT) this.entries.pop();
+        this.notify();
+        return entry;
+    }
+
+    list() {
+        return [...this.entries];
+    }
+
+    // The most recent insertion that hasn't been undone
+    getLast() {
+        return this.entries.find(entry => !entry.undone) || null;
+    }
+
+    setPending(entry, pending) {
+        entry.pending = pending;
+        this.notify();
+    }
+
+    markUndone(entry) {
+        entry.undone = true;
+        entry.pending = false;
+        this.notify();
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Insert history listener failed:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,43 @@
+// Insertion defaults and helpers shared by cep.js and InsertionSettingsManager. Kept
+// free of imports so the host layer doesn't depend on the persisted settings.
+
+export const ALIGNMENTS = ['center', 'top-left', 'selected-layer'];
+export const ANIMATION_EASINGS = ['linear', 'easeIn', 'easeOut', 'easeInOut'];
+
+export const DEFAULT_INSERTION_SETTINGS = {
+    insertMode: 'text',        // 'text' or 'shape'
+    size: 100,                 // Icon size in pixels
+    color: '#ffffff',
+    alignment: 'center',       // One of ALIGNMENTS
+    layerName: '{name}',       // Tokens: {name}, {family}, {codepoint}, {index}
+    startAtCurrentTime: false, // Start the layer at the comp's current time indicator
+    placeAboveSelected: false,
+    parentToSelected: false,
+    replaceSelected: false,    // Swap the glyph of selected icon text layers instead of adding a layer
+    animateAxes: false,        // Keyframe fill/weight from the "from" to the "to" values (shape layers only)
+    animateFromFill: 0,
+    animateToFill: 1,
+    animateFromWeight: 400,
+    animateToWeight: 400,
+    animationDuration: 0.5,    // Seconds from the layer's in point
+    animationEasing: 'easeInOut' // One of ANIMATION_EASINGS
+};
+
+// Axes of the family's Regular instance. Scripting can't set variation axes on a text
+// layer, so a text layer whose glyph is swapped in place shows these.
+export const TEXT_LAYER_AXES = { fill: 0, weight: 400, grade: 0, opticalSize: 24 };
+
+// Expand a layer naming pattern for one icon
+export function formatLayerName(pattern, icon, fontFamily, index = 1) {
+    return (pattern || '{name}')
+        .replace(/\{name\}/g, icon.name)
+        .replace(/\{family\}/g, fontFamily)
+        .replace(/\{codepoint\}/g, icon.unicode)
+        .replace(/\{index\}/g, String(index));
+}
+
+// '#rrggbb' -> [r, g, b] in the 0..1 range After Effects expects
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+}
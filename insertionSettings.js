@@ -0,0 +1,85 @@
+import { StorageManager } from './storage.js';
+import { VARIATION_AXES } from './panelState.js';
+import { ALIGNMENTS, ANIMATION_EASINGS, DEFAULT_INSERTION_SETTINGS } from './insertionDefaults.js';
+
+const STORAGE_KEY = 'insertionSettings';
+
+// User-configurable options applied to every inserted layer, persisted between sessions
+export class InsertionSettingsManager {
+    static instance = null;
+
+    constructor() {
+        if (InsertionSettingsManager.instance) {
+            return InsertionSettingsManager.instance;
+        }
+
+        this.settings = { ...DEFAULT_INSERTION_SETTINGS };
+        this.storage = StorageManager.getInstance();
+
+        InsertionSettingsManager.instance = this;
+    }
+
+    static getInstance() {
+        if (!InsertionSettingsManager.instance) {
+            InsertionSettingsManager.instance = new InsertionSettingsManager();
+        }
+        return InsertionSettingsManager.instance;
+    }
+
+    async load() {
+        const stored = await this.storage.load(STORAGE_KEY, null);
+        this.settings = this.sanitize({ ...DEFAULT_INSERTION_SETTINGS, ...(stored || {}) });
+        return this.get();
+    }
+
+    get() {
+        return { ...this.settings };
+    }
+
+    update(changes) {
+        this.settings = this.sanitize({ ...this.settings, ...changes });
+        this.storage.save(STORAGE_KEY, this.settings);
+        return this.get();
+    }
+
+    reset() {
+        return this.update(DEFAULT_INSERTION_SETTINGS);
+    }
+
+    sanitize(settings) {
+        const size = parseFloat(settings.size);
+        // Saved before "cursor" was renamed after what it actually targets
+        const alignment = settings.alignment === 'cursor' ? 'selected-layer' : settings.alignment;
+        const number = (key, min, max) => {
+            const value = parseFloat(settings[key]);
+            return isNaN(value) ? DEFAULT_INSERTION_SETTINGS[key] : Math.min(max, Math.max(min, value));
+        };
+        const axis = (key, axisKey) => {
+            const { min, max } = VARIATION_AXES.find(entry => entry.key === axisKey);
+            return number(key, min, max);
+        };
+
+        return {
+            insertMode: settings.insertMode === 'shape' ? 'shape' : 'text',
+            size: isNaN(size) ? DEFAULT_INSERTION_SETTINGS.size : Math.min(4000, Math.max(1, size)),
+            color: /^#[0-9a-f]{6}$/i.test(settings.color) ? settings.color : DEFAULT_INSERTION_SETTINGS.color,
+            alignment: ALIGNMENTS.includes(alignment) ? alignment : DEFAULT_INSERTION_SETTINGS.alignment,
+            layerName: typeof settings.layerName === 'string' && settings.layerName.trim()
+                ? settings.layerName
+                : DEFAULT_INSERTION_SETTINGS.layerName,
+            startAtCurrentTime: Boolean(settings.startAtCurrentTime),
+            placeAboveSelected: Boolean(settings.placeAboveSelected),
+            parentToSelected: Boolean(settings.parentToSelected),
+            replaceSelected: Boolean(settings.replaceSelected),
+            animateAxes: Boolean(settings.animateAxes),
+            animateFromFill: axis('animateFromFill', 'fill'),
+            animateToFill: axis('animateToFill', 'fill'),
+            animateFromWeight: axis('animateFromWeight', 'weight'),
+            animateToWeight: axis('animateToWeight', 'weight'),
+            animationDuration: number('animationDuration', 0.05, 60),
+            animationEasing: ANIMATION_EASINGS.includes(settings.animationEasing)
+                ? settings.animationEasing
+                : DEFAULT_INSERTION_SETTINGS.animationEasing
+        };
+    }
+}
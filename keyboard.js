@@ -0,0 +1,253 @@
+import { IconDetailDrawer } from './iconDetails.js';
+import { NotificationCenter } from './notifications.js';
+import { trapFocus } from './a11y.js';
+import { t } from './i18n.js';
+
+// Listed in the help overlay, in this order; descriptions are catalog keys
+export const SHORTCUTS = [
+    { keys: ['←', '→', '↑', '↓'], description: 'shortcuts.move' },
+    { keys: ['Home', 'End'], description: 'shortcuts.firstLast' },
+    { keys: ['Enter'], description: 'shortcuts.insert' },
+    { keys: ['F'], description: 'shortcuts.favorite' },
+    { keys: ['I'], description: 'shortcuts.details' },
+    { keys: ['E'], description: 'shortcuts.export' },
+    { keys: ['/'], description: 'shortcuts.search' },
+    { keys: ['Esc'], description: 'shortcuts.clearSearch' },
+    { keys: ['1', '2', '3'], description: 'shortcuts.viewSize' },
+    { keys: ['?'], description: 'shortcuts.help' }
+];
+
+const VIEW_SIZE_KEYS = { 1: 'small', 2: 'medium', 3: 'large' };
+const NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+
+// Native key codes of the shortcut keys. CEP forwards keys the panel doesn't claim to
+// After Effects as well, so without this "1" or "F" would also reach the comp viewer.
+// Windows uses virtual-key codes, macOS its own key codes.
+const HOST_KEY_CODES = {
+    win: { Enter: 13, Escape: 27, End: 35, Home: 36, ArrowLeft: 37, ArrowUp: 38, ArrowRight: 39, ArrowDown: 40, 1: 49, 2: 50, 3: 51, E: 69, F: 70, I: 73, '/': 191 },
+    mac: { F: 3, E: 14, 1: 18, 2: 19, 3: 20, I: 34, Enter: 36, '/': 44, Escape: 53, Home: 115, End: 119, ArrowLeft: 123, ArrowRight: 124, ArrowDown: 125, ArrowUp: 126 }
+};
+
+// The registerKeyEventsInterest payload for "Windows ..." or "Mac OS ..." (getOSInformation)
+export function getHostKeyInterest(osInformation = '') {
+    const codes = /^mac/i.test(osInformation) ? HOST_KEY_CODES.mac : HOST_KEY_CODES.win;
+    return [
+        ...Object.values(codes).map(keyCode => ({ keyCode })),
+        { keyCode: codes['/'], shiftKey: true } // "?"
+    ];
+}
+
+// Typing keys belong to these; arrows also move sliders and select options
+function isFormControl(element) {
+    return Boolean(element && (
+        ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) || element.isContentEditable
+    ));
+}
+
+// Panel-wide shortcuts. Keys with Ctrl, Cmd or Alt are never handled, so After Effects'
+// own shortcuts keep working while the panel has focus.
+export class KeyboardShortcutManager {
+    static instance = null;
+
+    constructor() {
+        if (KeyboardShortcutManager.instance) {
+            return KeyboardShortcutManager.instance;
+        }
+
+        this.panel = null;
+        this.helpOverlay = null;
+        this.releaseHelpFocus = null;
+        this.helpButton = null;
+        this.onKeyDown = this.onKeyDown.bind(this);
+
+        KeyboardShortcutManager.instance = this;
+    }
+
+    static getInstance() {
+        if (!KeyboardShortcutManager.instance) {
+            KeyboardShortcutManager.instance = new KeyboardShortcutManager();
+        }
+        return KeyboardShortcutManager.instance;
+    }
+
+    attach(panel) {
+        this.detach();
+        this.panel = panel;
+        document.addEventListener('keydown', this.onKeyDown);
+        this.registerHostKeys(panel.csInterface);
+        this.createHelpButton();
+    }
+
+    detach() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        this.hideHelp();
+        this.helpButton?.remove();
+        this.helpButton = null;
+        this.panel = null;
+    }
+
+    registerHostKeys(csInterface) {
+        if (!csInterface || typeof csInterface.registerKeyEventsInterest !== 'function') return;
+        try {
+            const osInformation = typeof csInterface.getOSInformation === 'function' ? csInterface.getOSInformation() : '';
+            csInterface.registerKeyEventsInterest(JSON.stringify(getHostKeyInterest(osInformation)));
+        } catch (error) {
+            console.warn('Could not register keyboard shortcuts with the host:', error.message);
+        }
+    }
+
+    createHelpButton() {
+        const controls = document.querySelector('.controls');
+        if (!controls) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.id = 'shortcutHelpButton';
+        button.className = 'view-btn';
+        button.dataset.i18nTitle = 'shortcuts.button';
+        button.title = t('shortcuts.button');
+        button.textContent = '?';
+        button.addEventListener('click', () => this.showHelp());
+        controls.appendChild(button);
+        this.helpButton = button;
+    }
+
+    onKeyDown(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (this.handleKey(e.key, e.target)) {
+            e.preventDefault();
+        }
+    }
+
+    // Returns true when the key was used
+    handleKey(key, target) {
+        const { panel } = this;
+        if (!panel) return false;
+
+        if (this.isHelpOpen()) {
+            if (key === 'Escape' || key === '?') {
+                this.hideHelp();
+                return true;
+            }
+            return false;
+        }
+        // The drawer and the notification history handle their own Escape and own the focus while open
+        if (IconDetailDrawer.getInstance().isOpen() || NotificationCenter.getInstance().isHistoryOpen()) return false;
+
+        const iconManager = panel.iconManager;
+        if (isFormControl(target)) {
+            // From the search field, Esc clears it and ArrowDown moves into the results
+            if (target.id !== 'searchInput') return false;
+            if (key === 'Escape') {
+                panel.clearSearch();
+                target.blur();
+                return true;
+            }
+            if (key === 'ArrowDown') {
+                return Boolean(iconManager.focusIconAt(0));
+            }
+            return false;
+        }
+
+        if (key === '/') {
+            const searchInput = document.getElementById('searchInput');
+            searchInput?.focus();
+            searchInput?.select();
+            return Boolean(searchInput);
+        }
+        if (key === '?') {
+            this.showHelp();
+            return true;
+        }
+        if (key === 'Escape') {
+            if (!panel.searchQuery) return false;
+            panel.clearSearch();
+            return true;
+        }
+        if (VIEW_SIZE_KEYS[key]) {
+            panel.changeViewSize(VIEW_SIZE_KEYS[key]);
+            panel.saveState();
+            return true;
+        }
+        if (key === 'f' || key === 'F') {
+            const icon = iconManager.getActiveIcon();
+            if (icon) iconManager.toggleFavorite(icon);
+            return Boolean(icon);
+        }
+        if (key === 'i' || key === 'I') {
+            const icon = iconManager.getActiveIcon();
+            if (icon) iconManager.openIconDetails(icon);
+            return Boolean(icon);
+        }
+        if (key === 'e' || key === 'E') {
+            const icon = iconManager.getActiveIcon();
+            if (icon) iconManager.openExportMenu(icon);
+            return Boolean(icon);
+        }
+
+        // Buttons outside the grid keep their own Enter
+        if (target && target.tagName === 'BUTTON') return false;
+        if (NAVIGATION_KEYS.includes(key)) {
+            return Boolean(iconManager.moveFocus(key));
+        }
+        if (key === 'Enter') {
+            const icon = iconManager.getActiveIcon();
+            if (icon) iconManager.insertIcon(icon);
+            return Boolean(icon);
+        }
+        return false;
+    }
+
+    isHelpOpen() {
+        return Boolean(this.helpOverlay);
+    }
+
+    showHelp() {
+        if (this.helpOverlay) return;
+        const overlay = document.createElement('div');
+        overlay.id = 'shortcutHelp';
+        overlay.className = 'shortcut-help';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'shortcutHelpTitle');
+        overlay.innerHTML = `
+            <div class="shortcut-help-content">
+                <div class="icon-drawer-header">
+                    <span class="icon-drawer-title" id="shortcutHelpTitle">${t('shortcuts.title')}</span>
+                    <button type="button" class="icon-drawer-close" title="${t('common.close')}">×</button>
+                </div>
+                <dl class="shortcut-help-list"></dl>
+                <p class="shortcut-help-note">${t('shortcuts.note')}</p>
+            </div>
+        `;
+
+        const list = overlay.querySelector('.shortcut-help-list');
+        SHORTCUTS.forEach(shortcut => {
+            const dt = document.createElement('dt');
+            shortcut.keys.forEach(key => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                dt.appendChild(kbd);
+            });
+            const dd = document.createElement('dd');
+            dd.textContent = t(shortcut.description);
+            list.append(dt, dd);
+        });
+
+        overlay.querySelector('.icon-drawer-close').addEventListener('click', () => this.hideHelp());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.hideHelp();
+        });
+
+        document.body.appendChild(overlay);
+        this.helpOverlay = overlay;
+        this.releaseHelpFocus = trapFocus(overlay);
+    }
+
+    hideHelp() {
+        if (!this.helpOverlay) return;
+        this.helpOverlay.remove();
+        this.helpOverlay = null;
+        this.releaseHelpFocus?.();
+        this.releaseHelpFocus = null;
+    }
+}
@@ -0,0 +1,90 @@
+import { StorageManager } from './storage.js';
+
+// Values used for the pseudo-categories in the category dropdown
+export const FAVORITES_CATEGORY = '__favorites__';
+export const RECENT_CATEGORY = '__recent__';
+
+const STORAGE_KEY = 'library';
+const MAX_RECENT = 30;
+
+// Favorite and recently inserted icons, persisted between sessions
+export class IconLibrary {
+    static instance = null;
+
+    constructor() {
+        if (IconLibrary.instance) {
+            return IconLibrary.instance;
+        }
+
+        this.favorites = [];
+        this.recent = [];
+        this.revision = 0; // Bumped on every change; part of the filter cache key
+        this.listeners = new Set();
+        this.storage = StorageManager.getInstance();
+
+        IconLibrary.instance = this;
+    }
+
+    static getInstance() {
+        if (!IconLibrary.instance) {
+            IconLibrary.instance = new IconLibrary();
+        }
+        return IconLibrary.instance;
+    }
+
+    async load() {
+        const data = await this.storage.load(STORAGE_KEY, null);
+        this.favorites = Array.isArray(data?.favorites) ? data.favorites : [];
+        this.recent = Array.isArray(data?.recent) ? data.recent.slice(0, MAX_RECENT) : [];
+        this.notify();
+    }
+
+    isFavorite(iconName) {
+        return this.favorites.includes(iconName);
+    }
+
+    toggleFavorite(iconName) {
+        if (this.isFavorite(iconName)) {
+            this.favorites = this.favorites.filter(name => name !== iconName);
+        } else {
+            this.favorites = [iconName, ...this.favorites];
+        }
+        this.persist();
+        return this.isFavorite(iconName);
+    }
+
+    // Most recent first, without duplicates
+    recordUsage(iconName) {
+        this.recent = [iconName, ...this.recent.filter(name => name !== iconName)].slice(0, MAX_RECENT);
+        this.persist();
+    }
+
+    getFavorites() {
+        return [...this.favorites];
+    }
+
+    getRecent() {
+        return [...this.recent];
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    persist() {
+        this.notify();
+        this.storage.save(STORAGE_KEY, { favorites: this.favorites, recent: this.recent });
+    }
+
+    notify() {
+        this.revision++;
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Icon library listener failed:', error);
+            }
+        });
+    }
+}
@@ -0,0 +1,574 @@
+// UI message catalogs, see I18n in i18n.js. Keys missing from a catalog fall back
+// to English. Counted messages list their plural forms; Arabic has six.
+
+const en = {
+    // Panel start-up
+    'panel.initializing': 'Initializing... (Attempt {attempt})',
+    'panel.connecting': 'Connecting to Adobe CEP...',
+    'panel.loadingIcons': 'Loading icon data...',
+    'panel.loaded': 'Panel loaded successfully!',
+    'panel.initFailedTitle': 'Initialization Failed',
+    'panel.initFailed': 'Failed to initialize: {message}',
+
+    // Loading and error overlays, toasts
+    'loading.default': 'Loading...',
+    'loading.label': 'Loading',
+    'loading.retrying': 'Retrying initialization...',
+    'loading.basicMode': 'Loading basic mode...',
+    'loading.basicModeActive': 'Running in basic mode',
+    'error.title': 'Error',
+    'error.default': 'An error occurred',
+    'error.retry': 'Retry',
+    'error.fallback': 'Basic mode',
+    'common.close': 'Close',
+    'common.dismiss': 'Dismiss',
+    'common.cancel': 'Cancel',
+    'common.exportFailed': 'Export failed: {message}',
+
+    // Controls bar
+    'search.placeholder': 'Search icons...',
+    'search.clear': 'Clear search',
+    'filters.reset': 'Reset',
+    'view.small': 'Small icons',
+    'view.medium': 'Medium icons',
+    'view.large': 'Large icons',
+    'language.label': 'Language',
+    'language.auto': 'Auto (After Effects)',
+    'category.all': 'All Categories',
+    'category.favorites': '★ Favorites',
+    'category.recent': 'Recent',
+    'axis.fill': 'Fill',
+    'axis.weight': 'Weight',
+    'axis.grade': 'Grade',
+    'axis.opticalSize': 'Optical size',
+
+    // Icon grid
+    'icons.gridLabel': 'Icons',
+    'icons.empty': 'No Icons Found',
+    'icons.loaded': 'Loaded {count} icons successfully',
+    'icons.basicSet': 'Using basic icon set - some icons may be missing',
+    'icon.title': '{name} · U+{codepoint} · {category}\nClick to insert, right-click for details',
+    'icon.favorite': 'favorite',
+    'icon.addFavorite': 'Add to favorites',
+    'icon.removeFavorite': 'Remove from favorites',
+    'icon.export': 'Export as SVG or PNG',
+    'icon.details': 'Details and code snippets (I)',
+
+    // Inserting into After Effects
+    'insert.added': 'Added "{name}" to the timeline',
+    'insert.noResponse': 'Error: no response from After Effects. Make sure a composition is active.',
+    'insert.noComp': 'Error: make sure a project and an active composition are open in After Effects.',
+    'insert.failed': 'Could not add the icon: {message}',
+    'insert.batchAdded': { one: 'Added {count} icon to the timeline', other: 'Added {count} icons to the timeline' },
+    'insert.batchPartial': 'Added {added} of {count} icons. Failed: {details}',
+    'replace.done': { one: 'Replaced "{name}" in {count} layer', other: 'Replaced "{name}" in {count} layers' },
+    'replace.partial': {
+        one: 'Replaced the icon in {count} layer. Skipped: {skipped}',
+        other: 'Replaced the icon in {count} layers. Skipped: {skipped}'
+    },
+    'replace.failed': 'Could not replace the icon: {message}',
+    'replace.defaultAxes': "Text layers keep the font's default fill, weight, grade and optical size. Insert the icon as a shape layer to use other values.",
+
+    // Undoing insertions
+    'insert.undo': 'Undo',
+    'undo.done': { one: 'Removed the inserted layer', other: 'Removed {count} inserted layers' },
+    'undo.partial': {
+        one: 'Removed {count} layer. Already gone: {missing}',
+        other: 'Removed {count} layers. Already gone: {missing}'
+    },
+    'undo.failed': 'Could not undo the insertion: {message}',
+    'history.title': 'Recent Inserts',
+    'history.undoLast': 'Undo last insert',
+    'history.empty': 'Nothing inserted yet',
+    'history.undone': 'Undone',
+
+    // Multi-selection bar
+    'selection.count': '{count} selected',
+    'selection.insert': { one: 'Insert {count} icon', other: 'Insert {count} icons' },
+    'selection.layout': 'Layout:',
+    'selection.clear': 'Clear',
+    'layout.stack': 'Stacked',
+    'layout.row': 'Row',
+    'layout.grid': 'Grid',
+
+    // Insertion settings
+    'insertion.title': 'Insertion Settings',
+    'insertion.mode': 'Insert as:',
+    'insertion.modeText': 'Text layer',
+    'insertion.modeShape': 'Shape layer (vector)',
+    'insertion.size': 'Size (px):',
+    'insertion.color': 'Color:',
+    'insertion.position': 'Position:',
+    'insertion.positionCenter': 'Center of comp',
+    'insertion.positionTopLeft': 'Top-left corner',
+    'insertion.positionSelectedLayer': 'At the selected layer',
+    'insertion.layerName': 'Layer name:',
+    'insertion.layerNameTokens': 'Tokens: {name}, {family}, {codepoint}, {index}',
+    'insertion.startAtCurrentTime': 'Start at current time',
+    'insertion.placeAboveSelected': 'Place above selected layer',
+    'insertion.parentToSelected': 'Parent to selected layer',
+    'insertion.replaceSelected': 'Replace selected icon layers',
+    'insertion.replaceSelectedHint': 'Swap the glyph of the selected Material Symbols text layers, keeping transforms, effects and keyframes',
+    'insertion.animateAxes': 'Animate fill / weight (shape layer)',
+    'insertion.animateAxesHint': "Text layers can't animate variation axes, so animated icons are inserted as shape layers",
+    'insertion.fillRange': 'Fill from → to:',
+    'insertion.fillTo': 'Fill to',
+    'insertion.weightRange': 'Weight from → to:',
+    'insertion.weightTo': 'Weight to',
+    'insertion.duration': 'Duration (s):',
+    'insertion.easing': 'Easing:',
+    'easing.linear': 'Linear',
+    'easing.easeIn': 'Ease in',
+    'easing.easeOut': 'Ease out',
+    'easing.easeInOut': 'Ease in and out',
+
+    // Style presets
+    'presets.title': 'Style Presets',
+    'presets.preset': 'Preset:',
+    'presets.name': 'Name:',
+    'presets.namePlaceholder': 'e.g. Brand Rounded 300',
+    'presets.choose': '— Choose a preset —',
+    'presets.save': 'Save',
+    'presets.saveHint': 'Save the current font and axes under this name',
+    'presets.rename': 'Rename',
+    'presets.delete': 'Delete',
+    'presets.export': 'Export…',
+    'presets.import': 'Import…',
+    'presets.saved': 'Saved preset "{name}"',
+    'presets.chooseToRename': 'Choose a preset to rename',
+    'presets.chooseToDelete': 'Choose a preset to delete',
+    'presets.imported': { one: 'Imported {count} preset', other: 'Imported {count} presets' },
+    'presets.importFailed': 'Import failed: {message}',
+    'presets.exportPrompt': 'Export style presets',
+    'presets.exported': { one: 'Exported {count} preset', other: 'Exported {count} presets' },
+    'presets.notFound': 'Preset not found',
+    'presets.duplicate': 'A preset named "{name}" already exists',
+    'presets.nameRequired': 'Preset name is required',
+    'presets.invalidJSON': 'Preset file is not valid JSON',
+    'presets.invalidFile': 'Not a Material Icons preset file',
+    'presets.newerVersion': 'Preset file version {version} is newer than this panel supports',
+
+    // Sync from selection
+    'sync.button': 'Sync from selection',
+    'sync.buttonHint': 'Select the icon, family and axes of the selected layer',
+    'sync.auto': 'Auto',
+    'sync.autoHint': 'Follow the layer selection in the active composition',
+    'sync.needsAE': 'Sync from selection needs After Effects',
+    'sync.notIconLayer': '"{name}" is not a Material Symbols icon layer',
+    'sync.noSelection': 'Select an icon layer in the active composition first',
+    'sync.failed': 'Sync from selection failed: {message}',
+    'sync.notInFamily': 'U+{codepoint} is not in Material Symbols {family}',
+
+    // Project icons
+    'project.title': 'Project Icons',
+    'project.scan': 'Scan project',
+    'project.scanHint': 'Find every Material Symbols layer in the project',
+    'project.report': 'Usage report',
+    'project.reportHint': 'Usage by family and icon, with a missing font check',
+    'project.exportJSON': 'Export JSON…',
+    'project.exportCSV': 'Export CSV…',
+    'project.restyleTo': 'Restyle to:',
+    'project.keepFamily': 'Keep each family',
+    'project.applyAxes': "Apply the panel's axis values",
+    'project.restyle': 'Restyle checked layers',
+    'project.scanNeedsAE': 'Scanning the project needs After Effects',
+    'project.scanFailed': 'Project scan failed: {message}',
+    'project.summary': '{layers} in {comps}',
+    'project.iconLayers': { one: '{count} icon layer', other: '{count} icon layers' },
+    'project.comps': { one: '{count} comp', other: '{count} comps' },
+    'project.none': 'No Material Symbols layers in this project',
+    'project.reportNeedsAE': 'The usage report needs After Effects',
+    'project.reportFailed': 'Usage report failed: {message}',
+    'project.missingFonts': { one: '{count} icon layer uses a missing font', other: '{count} icon layers use a missing font' },
+    'project.familyRow': '{family} ({status}): {layers} — {icons}',
+    'project.layers': { one: '{count} layer', other: '{count} layers' },
+    'project.fontInstalled': 'installed',
+    'project.fontNotInstalled': 'not installed',
+    'project.fontUnknown': 'font status unknown',
+    'project.fontNotNeeded': 'shape layers, font not needed',
+    'project.missingFontRow': 'Missing font: {comp} › {layer} ({font})',
+    'project.reportExportPrompt': 'Export icon usage report',
+    'project.reportExported': 'Exported the usage report as {format}',
+    'project.restyleNeedsSelection': 'Check some layers and choose a family or axes to apply',
+    'project.restyled': { one: 'Restyled {count} icon layer', other: 'Restyled {count} icon layers' },
+    'project.restylePartial': 'Restyled {done} of {count} layers: {message}',
+    'project.restyledDefaultAxes': {
+        one: "Restyled, but {count} text layer kept the font's default axes. Only shape layers take other values.",
+        other: "Restyled, but {count} text layers kept the font's default axes. Only shape layers take other values."
+    },
+    'project.restyleFailed': 'Restyle failed: {message}',
+
+    // Icon details drawer
+    'details.codepoint': 'Codepoint',
+    'details.category': 'Category',
+    'details.tags': 'Tags',
+    'details.insert': 'Insert',
+    'details.useInPanel': 'Use in panel',
+    'details.useInPanelHint': 'Use these axis values for the whole panel',
+    'details.copy': 'Copy',
+    'details.copied': 'Copied {label}',
+    'details.copyFailed': 'Copy failed: {message}',
+    'details.clipboardUnavailable': 'Clipboard unavailable',
+
+    // SVG / PNG export
+    'export.title': 'Export "{name}"',
+    'export.format': 'Format',
+    'export.size': 'Size',
+    'export.color': 'Color',
+    'export.confirm': 'Export',
+    'export.prompt': 'Export {name} as {format}',
+    'export.done': 'Exported {fileName}',
+
+    // Keyboard shortcuts
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.button': 'Keyboard shortcuts (?)',
+    'shortcuts.note': 'Shortcuts with Ctrl, Cmd or Alt are left to After Effects.',
+    'shortcuts.move': 'Move between icons',
+    'shortcuts.firstLast': 'First / last icon',
+    'shortcuts.insert': 'Insert the focused icon',
+    'shortcuts.favorite': 'Favorite / unfavorite the focused icon',
+    'shortcuts.details': 'Details of the focused icon',
+    'shortcuts.export': 'Export the focused icon as SVG or PNG',
+    'shortcuts.search': 'Search',
+    'shortcuts.clearSearch': 'Clear the search',
+    'shortcuts.viewSize': 'Small / medium / large icons',
+    'shortcuts.help': 'Show this help',
+
+    // Notification center
+    'notifications.title': 'Notifications',
+    'notifications.unread': 'Notifications ({count} unread)',
+    'notifications.empty': 'No notifications yet',
+    'notifications.clear': 'Clear history',
+    'notifications.retry': 'Retry'
+};
+
+const ar = {
+    'panel.initializing': 'جارٍ التهيئة... (المحاولة {attempt})',
+    'panel.connecting': 'جارٍ الاتصال بـ Adobe CEP...',
+    'panel.loadingIcons': 'جارٍ تحميل بيانات الأيقونات...',
+    'panel.loaded': 'تم تحميل اللوحة بنجاح!',
+    'panel.initFailedTitle': 'فشلت التهيئة',
+    'panel.initFailed': 'تعذّرت التهيئة: {message}',
+
+    'loading.default': 'جارٍ التحميل...',
+    'loading.label': 'جارٍ التحميل',
+    'loading.retrying': 'جارٍ إعادة محاولة التهيئة...',
+    'loading.basicMode': 'جارٍ تحميل الوضع الأساسي...',
+    'loading.basicModeActive': 'تعمل اللوحة في الوضع الأساسي',
+    'error.title': 'خطأ',
+    'error.default': 'حدث خطأ',
+    'error.retry': 'إعادة المحاولة',
+    'error.fallback': 'الوضع الأساسي',
+    'common.close': 'إغلاق',
+    'common.dismiss': 'إخفاء',
+    'common.cancel': 'إلغاء',
+    'common.exportFailed': 'فشل التصدير: {message}',
+
+    'search.placeholder': 'ابحث عن أيقونة...',
+    'search.clear': 'مسح البحث',
+    'filters.reset': 'إعادة ضبط',
+    'view.small': 'أيقونات صغيرة',
+    'view.medium': 'أيقونات متوسطة',
+    'view.large': 'أيقونات كبيرة',
+    'language.label': 'اللغة',
+    'language.auto': 'تلقائي (After Effects)',
+    'category.all': 'كل الفئات',
+    'category.favorites': '★ المفضلة',
+    'category.recent': 'المستخدمة مؤخرًا',
+    'axis.fill': 'التعبئة',
+    'axis.weight': 'السماكة',
+    'axis.grade': 'الدرجة',
+    'axis.opticalSize': 'الحجم البصري',
+
+    'icons.gridLabel': 'الأيقونات',
+    'icons.empty': 'لم يتم العثور على أيقونات',
+    'icons.loaded': {
+        zero: 'لم يتم تحميل أي أيقونة',
+        one: 'تم تحميل أيقونة واحدة بنجاح',
+        two: 'تم تحميل أيقونتين بنجاح',
+        few: 'تم تحميل {count} أيقونات بنجاح',
+        many: 'تم تحميل {count} أيقونة بنجاح',
+        other: 'تم تحميل {count} أيقونة بنجاح'
+    },
+    'icons.basicSet': 'يتم استخدام مجموعة الأيقونات الأساسية - قد تنقص بعض الأيقونات',
+    'icon.title': '{name} · U+{codepoint} · {category}\nانقر للإدراج، وانقر بالزر الأيمن لعرض التفاصيل',
+    'icon.favorite': 'مفضلة',
+    'icon.addFavorite': 'إضافة إلى المفضلة',
+    'icon.removeFavorite': 'إزالة من المفضلة',
+    'icon.export': 'تصدير بصيغة SVG أو PNG',
+    'icon.details': 'التفاصيل ومقتطفات الكود (I)',
+
+    'insert.added': 'تمت إضافة الأيقونة "{name}" إلى التايم لاين بنجاح',
+    'insert.noResponse': 'خطأ: لم يتم الحصول على استجابة من After Effects. تأكد من وجود composition نشط.',
+    'insert.noComp': 'خطأ: تأكد من وجود مشروع و composition نشط في After Effects.',
+    'insert.failed': 'خطأ في إضافة الأيقونة: {message}',
+    'insert.batchAdded': {
+        zero: 'لم تتم إضافة أي أيقونة',
+        one: 'تمت إضافة أيقونة واحدة بنجاح إلى التايم لاين',
+        two: 'تمت إضافة أيقونتين بنجاح إلى التايم لاين',
+        few: 'تمت إضافة {count} أيقونات بنجاح إلى التايم لاين',
+        many: 'تمت إضافة {count} أيقونة بنجاح إلى التايم لاين',
+        other: 'تمت إضافة {count} أيقونة بنجاح إلى التايم لاين'
+    },
+    'insert.batchPartial': 'تمت إضافة {added} من {count} أيقونة. فشل: {details}',
+    'replace.done': {
+        zero: 'لم يتم استبدال الأيقونة "{name}" في أي طبقة',
+        one: 'تم استبدال الأيقونة "{name}" في طبقة واحدة',
+        two: 'تم استبدال الأيقونة "{name}" في طبقتين',
+        few: 'تم استبدال الأيقونة "{name}" في {count} طبقات',
+        many: 'تم استبدال الأيقونة "{name}" في {count} طبقة',
+        other: 'تم استبدال الأيقونة "{name}" في {count} طبقة'
+    },
+    'replace.partial': {
+        zero: 'لم يتم استبدال الأيقونة في أي طبقة. تم تخطي: {skipped}',
+        one: 'تم استبدال الأيقونة في طبقة واحدة. تم تخطي: {skipped}',
+        two: 'تم استبدال الأيقونة في طبقتين. تم تخطي: {skipped}',
+        few: 'تم استبدال الأيقونة في {count} طبقات. تم تخطي: {skipped}',
+        many: 'تم استبدال الأيقونة في {count} طبقة. تم تخطي: {skipped}',
+        other: 'تم استبدال الأيقونة في {count} طبقة. تم تخطي: {skipped}'
+    },
+    'replace.failed': 'خطأ في استبدال الأيقونة: {message}',
+    'replace.defaultAxes': 'تحتفظ طبقات النص بقيم التعبئة والسماكة والدرجة والحجم البصري الافتراضية للخط. أدرج الأيقونة كطبقة شكل لاستخدام قيم أخرى.',
+
+    'insert.undo': 'تراجع',
+    'undo.done': {
+        zero: 'لم تتم إزالة أي طبقة',
+        one: 'تمت إزالة الطبقة المُدرجة',
+        two: 'تمت إزالة الطبقتين المُدرجتين',
+        few: 'تمت إزالة {count} طبقات مُدرجة',
+        many: 'تمت إزالة {count} طبقة مُدرجة',
+        other: 'تمت إزالة {count} طبقة مُدرجة'
+    },
+    'undo.partial': {
+        zero: 'لم تتم إزالة أي طبقة. محذوفة مسبقًا: {missing}',
+        one: 'تمت إزالة طبقة واحدة. محذوفة مسبقًا: {missing}',
+        two: 'تمت إزالة طبقتين. محذوفة مسبقًا: {missing}',
+        few: 'تمت إزالة {count} طبقات. محذوفة مسبقًا: {missing}',
+        many: 'تمت إزالة {count} طبقة. محذوفة مسبقًا: {missing}',
+        other: 'تمت إزالة {count} طبقة. محذوفة مسبقًا: {missing}'
+    },
+    'undo.failed': 'تعذر التراجع عن الإدراج: {message}',
+    'history.title': 'آخر الإدراجات',
+    'history.undoLast': 'التراجع عن آخر إدراج',
+    'history.empty': 'لم يتم إدراج أي شيء بعد',
+    'history.undone': 'تم التراجع',
+
+    'selection.count': 'المحدد: {count}',
+    'selection.insert': {
+        zero: 'إدراج الأيقونات',
+        one: 'إدراج أيقونة واحدة',
+        two: 'إدراج أيقونتين',
+        few: 'إدراج {count} أيقونات',
+        many: 'إدراج {count} أيقونة',
+        other: 'إدراج {count} أيقونة'
+    },
+    'selection.layout': 'الترتيب:',
+    'selection.clear': 'مسح',
+    'layout.stack': 'متراكبة',
+    'layout.row': 'صف',
+    'layout.grid': 'شبكة',
+
+    'insertion.title': 'إعدادات الإدراج',
+    'insertion.mode': 'الإدراج كـ:',
+    'insertion.modeText': 'طبقة نص',
+    'insertion.modeShape': 'طبقة شكل (متجهة)',
+    'insertion.size': 'الحجم (px):',
+    'insertion.color': 'اللون:',
+    'insertion.position': 'الموضع:',
+    'insertion.positionCenter': 'منتصف الـ composition',
+    'insertion.positionTopLeft': 'الزاوية العلوية اليسرى',
+    'insertion.positionSelectedLayer': 'عند الطبقة المحددة',
+    'insertion.layerName': 'اسم الطبقة:',
+    'insertion.layerNameTokens': 'الرموز المتاحة: {name}، {family}، {codepoint}، {index}',
+    'insertion.startAtCurrentTime': 'البدء عند الوقت الحالي',
+    'insertion.placeAboveSelected': 'الوضع فوق الطبقة المحددة',
+    'insertion.parentToSelected': 'ربط بالطبقة المحددة (Parent)',
+    'insertion.replaceSelected': 'استبدال طبقات الأيقونات المحددة',
+    'insertion.replaceSelectedHint': 'تبديل رمز طبقات نص Material Symbols المحددة مع الحفاظ على التحويلات والتأثيرات والإطارات المفتاحية',
+    'insertion.animateAxes': 'تحريك التعبئة / السماكة (طبقة شكل)',
+    'insertion.animateAxesHint': 'لا يمكن تحريك محاور الخط في طبقات النص، لذا تُدرج الأيقونات المتحركة كطبقات شكل',
+    'insertion.fillRange': 'التعبئة من ← إلى:',
+    'insertion.fillTo': 'التعبئة إلى',
+    'insertion.weightRange': 'السماكة من ← إلى:',
+    'insertion.weightTo': 'السماكة إلى',
+    'insertion.duration': 'المدة (ث):',
+    'insertion.easing': 'التسارع:',
+    'easing.linear': 'خطي',
+    'easing.easeIn': 'تسارع عند البداية',
+    'easing.easeOut': 'تباطؤ عند النهاية',
+    'easing.easeInOut': 'تسارع وتباطؤ',
+
+    'presets.title': 'أنماط محفوظة',
+    'presets.preset': 'النمط:',
+    'presets.name': 'الاسم:',
+    'presets.namePlaceholder': 'مثال: Brand Rounded 300',
+    'presets.choose': '— اختر نمطًا —',
+    'presets.save': 'حفظ',
+    'presets.saveHint': 'حفظ الخط والمحاور الحالية بهذا الاسم',
+    'presets.rename': 'إعادة تسمية',
+    'presets.delete': 'حذف',
+    'presets.export': 'تصدير…',
+    'presets.import': 'استيراد…',
+    'presets.saved': 'تم حفظ النمط "{name}"',
+    'presets.chooseToRename': 'اختر نمطًا لإعادة تسميته',
+    'presets.chooseToDelete': 'اختر نمطًا لحذفه',
+    'presets.imported': {
+        zero: 'لم يتم استيراد أي نمط',
+        one: 'تم استيراد نمط واحد',
+        two: 'تم استيراد نمطين',
+        few: 'تم استيراد {count} أنماط',
+        many: 'تم استيراد {count} نمطًا',
+        other: 'تم استيراد {count} نمط'
+    },
+    'presets.importFailed': 'فشل الاستيراد: {message}',
+    'presets.exportPrompt': 'تصدير الأنماط المحفوظة',
+    'presets.exported': {
+        zero: 'لا توجد أنماط للتصدير',
+        one: 'تم تصدير نمط واحد',
+        two: 'تم تصدير نمطين',
+        few: 'تم تصدير {count} أنماط',
+        many: 'تم تصدير {count} نمطًا',
+        other: 'تم تصدير {count} نمط'
+    },
+    'presets.notFound': 'النمط غير موجود',
+    'presets.duplicate': 'يوجد نمط باسم "{name}" بالفعل',
+    'presets.nameRequired': 'اسم النمط مطلوب',
+    'presets.invalidJSON': 'ملف الأنماط ليس JSON صالحًا',
+    'presets.invalidFile': 'هذا ليس ملف أنماط Material Icons',
+    'presets.newerVersion': 'إصدار ملف الأنماط {version} أحدث مما تدعمه هذه اللوحة',
+
+    'sync.button': 'مزامنة مع التحديد',
+    'sync.buttonHint': 'تحديد أيقونة الطبقة المحددة وعائلتها ومحاورها',
+    'sync.auto': 'تلقائي',
+    'sync.autoHint': 'متابعة تحديد الطبقات في الـ composition النشط',
+    'sync.needsAE': 'المزامنة مع التحديد تتطلب After Effects',
+    'sync.notIconLayer': '"{name}" ليست طبقة أيقونة Material Symbols',
+    'sync.noSelection': 'حدد طبقة أيقونة في الـ composition النشط أولًا',
+    'sync.failed': 'فشلت المزامنة مع التحديد: {message}',
+    'sync.notInFamily': 'U+{codepoint} غير موجود في Material Symbols {family}',
+
+    'project.title': 'أيقونات المشروع',
+    'project.scan': 'فحص المشروع',
+    'project.scanHint': 'العثور على كل طبقات Material Symbols في المشروع',
+    'project.report': 'تقرير الاستخدام',
+    'project.reportHint': 'الاستخدام حسب العائلة والأيقونة، مع التحقق من الخطوط المفقودة',
+    'project.exportJSON': 'تصدير JSON…',
+    'project.exportCSV': 'تصدير CSV…',
+    'project.restyleTo': 'تغيير النمط إلى:',
+    'project.keepFamily': 'إبقاء عائلة كل طبقة',
+    'project.applyAxes': 'تطبيق قيم المحاور في اللوحة',
+    'project.restyle': 'تغيير نمط الطبقات المحددة',
+    'project.scanNeedsAE': 'فحص المشروع يتطلب After Effects',
+    'project.scanFailed': 'فشل فحص المشروع: {message}',
+    'project.summary': '{layers} في {comps}',
+    'project.iconLayers': {
+        zero: 'لا طبقات أيقونات',
+        one: 'طبقة أيقونة واحدة',
+        two: 'طبقتا أيقونات',
+        few: '{count} طبقات أيقونات',
+        many: '{count} طبقة أيقونات',
+        other: '{count} طبقة أيقونات'
+    },
+    'project.comps': {
+        zero: 'لا تركيبات',
+        one: 'تركيبة واحدة',
+        two: 'تركيبتين',
+        few: '{count} تركيبات',
+        many: '{count} تركيبة',
+        other: '{count} تركيبة'
+    },
+    'project.none': 'لا توجد طبقات Material Symbols في هذا المشروع',
+    'project.reportNeedsAE': 'تقرير الاستخدام يتطلب After Effects',
+    'project.reportFailed': 'فشل تقرير الاستخدام: {message}',
+    'project.missingFonts': {
+        zero: 'لا توجد طبقات تستخدم خطًا مفقودًا',
+        one: 'طبقة أيقونة واحدة تستخدم خطًا مفقودًا',
+        two: 'طبقتا أيقونات تستخدمان خطًا مفقودًا',
+        few: '{count} طبقات أيقونات تستخدم خطًا مفقودًا',
+        many: '{count} طبقة أيقونات تستخدم خطًا مفقودًا',
+        other: '{count} طبقة أيقونات تستخدم خطًا مفقودًا'
+    },
+    'project.familyRow': '{family} ({status}): {layers} — {icons}',
+    'project.layers': {
+        zero: 'لا طبقات',
+        one: 'طبقة واحدة',
+        two: 'طبقتان',
+        few: '{count} طبقات',
+        many: '{count} طبقة',
+        other: '{count} طبقة'
+    },
+    'project.fontInstalled': 'مثبت',
+    'project.fontNotInstalled': 'غير مثبت',
+    'project.fontUnknown': 'حالة الخط غير معروفة',
+    'project.fontNotNeeded': 'طبقات أشكال، لا حاجة للخط',
+    'project.missingFontRow': 'خط مفقود: {comp} › {layer} ({font})',
+    'project.reportExportPrompt': 'تصدير تقرير استخدام الأيقونات',
+    'project.reportExported': 'تم تصدير تقرير الاستخدام بصيغة {format}',
+    'project.restyleNeedsSelection': 'حدد بعض الطبقات واختر عائلة أو محاور لتطبيقها',
+    'project.restyled': {
+        zero: 'لم يتغير نمط أي طبقة',
+        one: 'تم تغيير نمط طبقة أيقونة واحدة',
+        two: 'تم تغيير نمط طبقتي أيقونات',
+        few: 'تم تغيير نمط {count} طبقات أيقونات',
+        many: 'تم تغيير نمط {count} طبقة أيقونات',
+        other: 'تم تغيير نمط {count} طبقة أيقونات'
+    },
+    'project.restylePartial': 'تم تغيير نمط {done} من {count} طبقة: {message}',
+    'project.restyledDefaultAxes': {
+        zero: 'تم تغيير النمط',
+        one: 'تم تغيير النمط، لكن طبقة نص واحدة احتفظت بمحاور الخط الافتراضية. طبقات الشكل وحدها تقبل قيمًا أخرى.',
+        two: 'تم تغيير النمط، لكن طبقتي نص احتفظتا بمحاور الخط الافتراضية. طبقات الشكل وحدها تقبل قيمًا أخرى.',
+        few: 'تم تغيير النمط، لكن {count} طبقات نص احتفظت بمحاور الخط الافتراضية. طبقات الشكل وحدها تقبل قيمًا أخرى.',
+        many: 'تم تغيير النمط، لكن {count} طبقة نص احتفظت بمحاور الخط الافتراضية. طبقات الشكل وحدها تقبل قيمًا أخرى.',
+        other: 'تم تغيير النمط، لكن {count} طبقة نص احتفظت بمحاور الخط الافتراضية. طبقات الشكل وحدها تقبل قيمًا أخرى.'
+    },
+    'project.restyleFailed': 'فشل تغيير النمط: {message}',
+
+    'details.codepoint': 'رمز المحرف',
+    'details.category': 'الفئة',
+    'details.tags': 'الوسوم',
+    'details.insert': 'إدراج',
+    'details.useInPanel': 'استخدام في اللوحة',
+    'details.useInPanelHint': 'استخدام قيم المحاور هذه في اللوحة كلها',
+    'details.copy': 'نسخ',
+    'details.copied': 'تم نسخ {label}',
+    'details.copyFailed': 'فشل النسخ: {message}',
+    'details.clipboardUnavailable': 'الحافظة غير متاحة',
+
+    'export.title': 'تصدير "{name}"',
+    'export.format': 'الصيغة',
+    'export.size': 'الحجم',
+    'export.color': 'اللون',
+    'export.confirm': 'تصدير',
+    'export.prompt': 'تصدير {name} بصيغة {format}',
+    'export.done': 'تم تصدير {fileName}',
+
+    'shortcuts.title': 'اختصارات لوحة المفاتيح',
+    'shortcuts.button': 'اختصارات لوحة المفاتيح (?)',
+    'shortcuts.note': 'الاختصارات مع Ctrl أو Cmd أو Alt تبقى لـ After Effects.',
+    'shortcuts.move': 'التنقل بين الأيقونات',
+    'shortcuts.firstLast': 'الأيقونة الأولى / الأخيرة',
+    'shortcuts.insert': 'إدراج الأيقونة المحددة',
+    'shortcuts.favorite': 'إضافة الأيقونة المحددة إلى المفضلة أو إزالتها',
+    'shortcuts.details': 'تفاصيل الأيقونة المحددة',
+    'shortcuts.export': 'تصدير الأيقونة المحددة بصيغة SVG أو PNG',
+    'shortcuts.search': 'البحث',
+    'shortcuts.clearSearch': 'مسح البحث',
+    'shortcuts.viewSize': 'أيقونات صغيرة / متوسطة / كبيرة',
+    'shortcuts.help': 'عرض هذه المساعدة',
+
+    'notifications.title': 'الإشعارات',
+    'notifications.unread': {
+        zero: 'الإشعارات (لا يوجد جديد)',
+        one: 'الإشعارات (إشعار جديد واحد)',
+        two: 'الإشعارات (إشعاران جديدان)',
+        few: 'الإشعارات ({count} إشعارات جديدة)',
+        many: 'الإشعارات ({count} إشعارًا جديدًا)',
+        other: 'الإشعارات ({count} إشعار جديد)'
+    },
+    'notifications.empty': 'لا توجد إشعارات بعد',
+    'notifications.clear': 'مسح السجل',
+    'notifications.retry': 'إعادة المحاولة'
+};
+
+export const MESSAGES = { en, ar };
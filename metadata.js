@@ -0,0 +1,116 @@
+import { readLocalFile } from './cep.js';
+
+// Local copy of the Google Fonts Material Symbols metadata (fonts.google.com/metadata/icons)
+export const METADATA_FILE = '/src/material_symbols_metadata.json';
+
+// Display names for the lowercase category keys used by the metadata feed
+const CATEGORY_LABELS = {
+    action: 'Action',
+    alert: 'Alert',
+    av: 'AV',
+    communication: 'Communication',
+    content: 'Content',
+    device: 'Device',
+    editor: 'Editor',
+    file: 'File',
+    hardware: 'Hardware',
+    home: 'Home',
+    image: 'Image',
+    maps: 'Maps',
+    navigation: 'Navigation',
+    notification: 'Notification',
+    places: 'Places',
+    search: 'Search',
+    social: 'Social',
+    toggle: 'Toggle'
+};
+
+// Icon metadata store: categories, tags, popularity and version keyed by icon name
+export class IconMetadataStore {
+    constructor() {
+        this.entries = new Map();
+        this.loaded = false;
+        this.loadPromise = null;
+    }
+
+    // Load once per session; a missing or malformed file leaves the store empty so
+    // callers fall back to name heuristics
+    async load(csInterface) {
+        if (this.loaded) return this.entries;
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = (async () => {
+            try {
+                const content = await this.readMetadataFile(csInterface);
+                this.entries = this.parse(content);
+                console.log(`Loaded metadata for ${this.entries.size} icons`);
+            } catch (error) {
+                console.warn('Icon metadata unavailable, using name-based categories:', error.message);
+                this.entries = new Map();
+            }
+            this.loaded = true;
+            this.loadPromise = null;
+            return this.entries;
+        })();
+
+        return this.loadPromise;
+    }
+
+    async readMetadataFile(csInterface) {
+        if (csInterface) {
+            const extensionPath = csInterface.getSystemPath(SystemPath.EXTENSION);
+            return await readLocalFile(csInterface, extensionPath + METADATA_FILE, 1);
+        }
+        const response = await fetch('.' + METADATA_FILE);
+        if (!response.ok) {
+            throw new Error(`Metadata request failed with status ${response.status}`);
+        }
+        return await response.text();
+    }
+
+    parse(content) {
+        if (!content) {
+            throw new Error('Metadata file is empty');
+        }
+
+        // The Google Fonts endpoint prefixes its JSON with an XSSI guard: )]}'
+        const jsonStart = content.indexOf('{');
+        if (jsonStart === -1) {
+            throw new Error('Metadata file does not contain JSON');
+        }
+
+        const data = JSON.parse(content.slice(jsonStart));
+        const icons = Array.isArray(data.icons) ? data.icons : [];
+        const entries = new Map();
+
+        for (const icon of icons) {
+            if (!icon || !icon.name) continue;
+            entries.set(icon.name, {
+                categories: (icon.categories || []).map(category => this.formatCategory(category)),
+                tags: Array.isArray(icon.tags) ? icon.tags : [],
+                popularity: Number(icon.popularity) || 0,
+                version: Number(icon.version) || 0,
+                codepoint: typeof icon.codepoint === 'number' ? icon.codepoint.toString(16) : null
+            });
+        }
+
+        return entries;
+    }
+
+    formatCategory(category) {
+        const key = String(category).trim();
+        if (CATEGORY_LABELS[key.toLowerCase()]) {
+            return CATEGORY_LABELS[key.toLowerCase()];
+        }
+        // Newer feeds use labels such as "Audio&Video"; only tidy the spacing
+        return key.replace(/\s*&\s*/g, ' & ');
+    }
+
+    get(iconName) {
+        return this.entries.get(iconName) || null;
+    }
+
+    has(iconName) {
+        return this.entries.has(iconName);
+    }
+}
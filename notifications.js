@@ -0,0 +1,292 @@
+import { announce, trapFocus } from './a11y.js';
+import { I18n, t } from './i18n.js';
+
+const SEVERITY_ICONS = { success: '✓', info: 'ℹ', warning: '⚠', error: '✗' };
+const DEFAULT_DURATIONS = { success: 3000, info: 4000, warning: 5000, error: 0 };
+const MAX_VISIBLE = 3;     // Further notifications wait in the queue
+const HISTORY_LIMIT = 100; // Oldest entries drop off the session history
+
+// Everything the panel tells the user goes through here. Notifications stack in the
+// corner, at most MAX_VISIBLE at once with the rest queued, and each keeps its own
+// timer. Errors stay until dismissed, or until newer notifications need their place.
+// All of them are kept in the session history, where their actions ("Retry", "Undo")
+// stay available until used.
+export class NotificationCenter {
+    static instance = null;
+
+    constructor() {
+        if (NotificationCenter.instance) {
+            return NotificationCenter.instance;
+        }
+
+        this.nextId = 1;
+        this.history = [];        // Newest first
+        this.visible = new Map(); // id -> { entry, element, timer }
+        this.queue = [];
+        this.unread = 0;
+        this.historyButton = null;
+        this.historyOverlay = null;
+        this.releaseHistoryFocus = null;
+
+        NotificationCenter.instance = this;
+    }
+
+    static getInstance() {
+        if (!NotificationCenter.instance) {
+            NotificationCenter.instance = new NotificationCenter();
+        }
+        return NotificationCenter.instance;
+    }
+
+    // The history button in the controls bar; notifications work without it
+    attach() {
+        this.detach();
+        const controls = document.querySelector('.controls');
+        if (!controls) return;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.id = 'notificationHistoryButton';
+        button.className = 'view-btn';
+        button.innerHTML = '🔔<span class="notification-badge" aria-hidden="true"></span>';
+        button.addEventListener('click', () => this.showHistory());
+        controls.appendChild(button);
+        this.historyButton = button;
+        this.updateHistoryButton();
+    }
+
+    detach() {
+        this.hideHistory();
+        this.dismissAll();
+        this.historyButton?.remove();
+        this.historyButton = null;
+    }
+
+    // actions: [{ label, onClick }]. Returns the notification id.
+    notify(message, { type = 'info', duration, actions = [], persistent = type === 'error' } = {}) {
+        const entry = {
+            id: this.nextId++,
+            message,
+            type: Object.hasOwn(SEVERITY_ICONS, type) ? type : 'info',
+            time: new Date(),
+            actions: [...actions],
+            persistent,
+            duration: duration ?? DEFAULT_DURATIONS[type] ?? DEFAULT_DURATIONS.info
+        };
+
+        this.history.unshift(entry);
+        if (this.history.length > HISTORY_LIMIT) this.history.pop();
+        this.unread++;
+        this.updateHistoryButton();
+        if (this.historyOverlay) this.renderHistory();
+
+        announce(message, entry.type === 'error' ? 'assertive' : 'polite');
+        if (this.visible.size < MAX_VISIBLE) {
+            this.show(entry);
+        } else {
+            this.queue.push(entry);
+            this.makeRoom();
+        }
+        return entry.id;
+    }
+
+    // Persistent notifications never leave by themselves, so with the stack full the oldest
+    // of them moves over to the history (actions included) and the queue moves up
+    makeRoom() {
+        const oldest = [...this.visible.values()].find(item => item.entry.persistent);
+        if (oldest) this.dismiss(oldest.entry.id);
+    }
+
+    show(entry) {
+        const element = document.createElement('div');
+        element.className = `notification notification-${entry.type}`;
+        element.dataset.notificationId = entry.id;
+        element.innerHTML = `
+            <span class="notification-icon" aria-hidden="true">${SEVERITY_ICONS[entry.type]}</span>
+            <span class="notification-message"></span>
+            <div class="notification-actions"></div>
+            <button type="button" class="notification-close">×</button>
+        `;
+        element.querySelector('.notification-message').textContent = entry.message;
+        this.renderActions(entry, element.querySelector('.notification-actions'));
+
+        const close = element.querySelector('.notification-close');
+        close.title = t('common.dismiss');
+        close.setAttribute('aria-label', t('common.dismiss'));
+        close.addEventListener('click', () => this.dismiss(entry.id));
+
+        // Hovering or focusing a notification holds its timer
+        element.addEventListener('mouseenter', () => this.stopTimer(entry.id));
+        element.addEventListener('mouseleave', () => this.startTimer(entry.id));
+        element.addEventListener('focusin', () => this.stopTimer(entry.id));
+        element.addEventListener('focusout', () => this.startTimer(entry.id));
+
+        this.getStack().appendChild(element);
+        this.visible.set(entry.id, { entry, element, timer: null });
+        this.startTimer(entry.id);
+    }
+
+    renderActions(entry, container) {
+        container.innerHTML = '';
+        entry.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'view-btn';
+            button.textContent = action.label;
+            button.addEventListener('click', () => this.runAction(entry, action));
+            container.appendChild(button);
+        });
+    }
+
+    // Actions run once: afterwards they are gone from the notification and the history
+    async runAction(entry, action) {
+        entry.actions = [];
+        this.dismiss(entry.id);
+        if (this.historyOverlay) this.renderHistory();
+        try {
+            await action.onClick();
+        } catch (error) {
+            console.error(`Notification action "${action.label}" failed:`, error);
+        }
+    }
+
+    startTimer(id) {
+        const item = this.visible.get(id);
+        if (!item || item.entry.persistent || !(item.entry.duration > 0)) return;
+        clearTimeout(item.timer);
+        item.timer = setTimeout(() => this.dismiss(id), item.entry.duration);
+    }
+
+    stopTimer(id) {
+        const item = this.visible.get(id);
+        if (item) clearTimeout(item.timer);
+    }
+
+    // Hides the notification (it stays in the history) and shows the next queued one
+    dismiss(id) {
+        this.queue = this.queue.filter(entry => entry.id !== id);
+        const item = this.visible.get(id);
+        if (!item) return;
+        clearTimeout(item.timer);
+        item.element.remove();
+        this.visible.delete(id);
+
+        while (this.visible.size < MAX_VISIBLE && this.queue.length > 0) {
+            this.show(this.queue.shift());
+        }
+    }
+
+    dismissAll() {
+        this.queue = [];
+        [...this.visible.keys()].forEach(id => this.dismiss(id));
+    }
+
+    getStack() {
+        let stack = document.getElementById('notificationStack');
+        if (!stack) {
+            stack = document.createElement('div');
+            stack.id = 'notificationStack';
+            stack.className = 'notification-stack';
+            document.body.appendChild(stack);
+        }
+        return stack;
+    }
+
+    updateHistoryButton() {
+        if (!this.historyButton) return;
+        const label = this.unread > 0 ? t('notifications.unread', { count: this.unread }) : t('notifications.title');
+        this.historyButton.title = label;
+        this.historyButton.setAttribute('aria-label', label);
+        this.historyButton.querySelector('.notification-badge').textContent = this.unread > 0 ? String(this.unread) : '';
+    }
+
+    isHistoryOpen() {
+        return Boolean(this.historyOverlay);
+    }
+
+    showHistory() {
+        if (this.historyOverlay) return;
+        const overlay = document.createElement('div');
+        overlay.id = 'notificationHistory';
+        overlay.className = 'notification-history';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        overlay.setAttribute('aria-labelledby', 'notificationHistoryTitle');
+        overlay.innerHTML = `
+            <div class="notification-history-content">
+                <div class="icon-drawer-header">
+                    <span class="icon-drawer-title" id="notificationHistoryTitle">${t('notifications.title')}</span>
+                    <button type="button" class="icon-drawer-close" title="${t('common.close')}">×</button>
+                </div>
+                <ol class="notification-history-list"></ol>
+                <div class="preset-actions">
+                    <button type="button" class="view-btn notification-history-clear">${t('notifications.clear')}</button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.icon-drawer-close').addEventListener('click', () => this.hideHistory());
+        overlay.querySelector('.notification-history-clear').addEventListener('click', () => this.clearHistory());
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) this.hideHistory();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.hideHistory();
+        });
+
+        document.body.appendChild(overlay);
+        this.historyOverlay = overlay;
+        this.renderHistory();
+        this.unread = 0;
+        this.updateHistoryButton();
+        this.releaseHistoryFocus = trapFocus(overlay);
+    }
+
+    renderHistory() {
+        const list = this.historyOverlay.querySelector('.notification-history-list');
+        list.innerHTML = '';
+        if (this.history.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'notification-history-empty';
+            empty.textContent = t('notifications.empty');
+            list.appendChild(empty);
+            return;
+        }
+
+        const timeFormat = new Intl.DateTimeFormat(I18n.getInstance().getLocale(), { timeStyle: 'medium' });
+        this.history.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = `notification-history-item notification-${entry.type}`;
+            item.innerHTML = `
+                <span class="notification-icon" aria-hidden="true">${SEVERITY_ICONS[entry.type]}</span>
+                <span class="notification-message"></span>
+                <time datetime="${entry.time.toISOString()}">${timeFormat.format(entry.time)}</time>
+                <div class="notification-actions"></div>
+            `;
+            item.querySelector('.notification-message').textContent = entry.message;
+            this.renderActions(entry, item.querySelector('.notification-actions'));
+            list.appendChild(item);
+        });
+    }
+
+    hideHistory() {
+        if (!this.historyOverlay) return;
+        this.historyOverlay.remove();
+        this.historyOverlay = null;
+        this.releaseHistoryFocus?.();
+        this.releaseHistoryFocus = null;
+    }
+
+    clearHistory() {
+        this.history = [];
+        this.unread = 0;
+        this.updateHistoryButton();
+        if (this.historyOverlay) this.renderHistory();
+    }
+}
+
+export function notify(message, options) {
+    return NotificationCenter.getInstance().notify(message, options);
+}
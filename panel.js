@@ -2,10 +2,41 @@ import { DebugManager } from './debug.js';
 import { ErrorRecoveryManager } from './errorRecovery.js';
 import { DOMManager } from './dom.js';
 import { LoadingManager } from './ui.js';
-import { initializeCSInterface, loadJSXHostScript } from './cep.js';
+import {
+    initializeCSInterface, loadJSXHostScript, installHostExtensions, chooseSaveLocation, writeLocalFile, getSelectedLayerInfo,
+    undoInsertion
+} from './cep.js';
 import { IconManager } from './icons.js';
+import { StorageManager } from './storage.js';
+import { FAVORITES_CATEGORY, RECENT_CATEGORY } from './library.js';
+import { InsertionSettingsManager } from './insertionSettings.js';
+import { DEFAULT_PANEL_STATE, FONT_FAMILIES, PanelStateStore, VARIATION_AXES, formatVariationSettings } from './panelState.js';
+import { PresetManager, PRESET_FIELDS } from './presets.js';
+import { SelectionSync, parseIconLayerInfo } from './selectionSync.js';
+import { ProjectIconManager, usageReportToCSV } from './projectIcons.js';
+import { KeyboardShortcutManager } from './keyboard.js';
+import { NotificationCenter } from './notifications.js';
+import { InsertHistory } from './insertHistory.js';
+import { AUTO_LOCALE, I18n, LOCALES, detectLocale, localizeElement, t } from './i18n.js';
 
-class MaterialIconsPanel {
+// Text of index.html elements, by id: catalog keys for the text and attributes
+const STATIC_TEXT = {
+    searchInput: { placeholder: 'search.placeholder' },
+    clearSearch: { title: 'search.clear' },
+    resetFilters: { text: 'filters.reset' },
+    retryButton: { text: 'error.retry' },
+    fallbackButton: { text: 'error.fallback' }
+};
+
+// Axis control ids in index.html, keyed by VARIATION_AXES key
+const AXIS_CONTROL_IDS = {
+    fill: 'fontFill',
+    weight: 'fontStyle',
+    grade: 'fontGrad',
+    opticalSize: 'fontOpsz'
+};
+
+export class MaterialIconsPanel {
     constructor() {
         this.csInterface = null;
         this.currentFontFamily = 'Outlined';
@@ -17,11 +48,25 @@ class MaterialIconsPanel {
         this.selectedCategory = 'All';
         this.viewSize = 'medium';
         this.hideNames = false;
+        this.autoSyncSelection = false;
+        this.language = AUTO_LOCALE;
 
+        this.i18n = I18n.getInstance();
+        this.i18n.setLocale(detectLocale()); // The browser's until the host and saved state are known
         this.debugManager = DebugManager.getInstance();
         this.errorRecovery = ErrorRecoveryManager.getInstance();
         this.loadingManager = LoadingManager.getInstance();
         this.iconManager = new IconManager(this);
+        this.insertionSettings = InsertionSettingsManager.getInstance();
+        this.stateStore = PanelStateStore.getInstance();
+        this.presets = PresetManager.getInstance();
+        this.selectionSync = SelectionSync.getInstance();
+        this.projectIcons = ProjectIconManager.getInstance();
+        this.usageReport = null; // Last report built from the Project Icons section
+        this.insertHistory = InsertHistory.getInstance();
+        this.resolveProjectIcon = codepoint => this.iconManager.findIconByCodepoint(codepoint);
+
+        this.variationFrame = null; // Pending grid variation update while a slider is dragged
 
         this.debugMode = this.getDebugMode();
         if (this.debugMode) {
@@ -47,13 +92,13 @@ class MaterialIconsPanel {
     async initializeAsync() {
         try {
             await this.errorRecovery.executeWithRetry('Panel_Initialize', async (attempt) => {
-                this.loadingManager.showLoading(`Initializing... (Attempt ${attempt})`, 10);
+                this.loadingManager.showLoading(t('panel.initializing', { attempt }), 10);
 
-                this.loadingManager.updateLoadingText('Connecting to Adobe CEP...');
+                this.loadingManager.updateLoadingText(t('panel.connecting'));
                 this.csInterface = await initializeCSInterface();
                 this.debugManager.log('initialization', 'CSInterface initialization completed');
 
-                this.loadingManager.updateLoadingText('Loading icon data...');
+                this.loadingManager.updateLoadingText(t('panel.loadingIcons'));
                 await this.init();
                 this.debugManager.log('initialization', 'Panel initialization completed');
 
@@ -62,12 +107,12 @@ class MaterialIconsPanel {
 
             setTimeout(() => {
                 this.loadingManager.hideLoading();
-                this.loadingManager.showToast('Panel loaded successfully!', 'success');
+                this.loadingManager.showToast(t('panel.loaded'), 'success');
             }, 500);
 
         } catch (error) {
             console.error('Initialization failed after all retries:', error);
-            this.loadingManager.showError('Initialization Failed', `Failed to initialize: ${error.message}`, true);
+            this.loadingManager.showError(t('panel.initFailedTitle'), t('panel.initFailed', { message: error.message }), true);
             // Setup manual retry
             const retryBtn = document.querySelector('.error-retry-btn');
             if (retryBtn) {
@@ -81,23 +126,128 @@ class MaterialIconsPanel {
     }
 
     async init() {
+        // Every host call, storage and loading hostscript.jsx included, goes through
+        // MaterialIconsHost, so it goes in first. It brings its own JSON fallback for hosts
+        // without one, since hostscript.jsx isn't loaded at that point.
         if (this.csInterface) {
+            await installHostExtensions(this.csInterface);
             await loadJSXHostScript(this.csInterface);
+        }
+
+        StorageManager.getInstance().configure(this.csInterface);
+        this.applyState(await this.stateStore.load());
+        this.applyLanguage();
+        await this.iconManager.library.load();
+        await this.insertionSettings.load();
+        await this.presets.load();
+
+        if (this.csInterface) {
             await this.iconManager.loadIcons(this.csInterface, this.currentFontFamily);
         } else {
-            this.iconManager.iconObjects = this.iconManager.getBasicIcons();
+            await this.iconManager.loadBasicIcons();
         }
 
         this.populateCategories();
+        this.createAxisControls();
+        this.createInsertionSettingsSection();
+        this.createPresetsSection();
+        this.createSelectionSyncControls();
+        this.createProjectIconsSection();
+        this.createInsertHistorySection();
+        this.createSelectionBar();
+        this.createLanguageSwitch();
+        this.markStaticText();
+        localizeElement();
+        this.syncStateControls();
         this.setupEventListeners();
+        KeyboardShortcutManager.getInstance().attach(this);
+        NotificationCenter.getInstance().attach();
         this.iconManager.renderIcons();
+        this.updateSelectionSync();
+    }
+
+    // Panel fields <-> the persisted state (see panelState.js)
+    getState() {
+        return {
+            fontFamily: this.currentFontFamily,
+            weight: this.currentFontStyle,
+            fill: this.currentFontFill,
+            grade: this.currentFontGrad,
+            opticalSize: this.currentFontOpsz,
+            category: this.selectedCategory,
+            searchQuery: this.searchQuery,
+            viewSize: this.viewSize,
+            hideNames: this.hideNames,
+            autoSyncSelection: this.autoSyncSelection,
+            language: this.language
+        };
+    }
+
+    applyState(state) {
+        this.currentFontFamily = state.fontFamily;
+        this.currentFontStyle = state.weight;
+        this.currentFontFill = state.fill;
+        this.currentFontGrad = state.grade;
+        this.currentFontOpsz = state.opticalSize;
+        this.selectedCategory = state.category;
+        this.searchQuery = state.searchQuery;
+        this.viewSize = state.viewSize;
+        this.hideNames = state.hideNames;
+        this.autoSyncSelection = state.autoSyncSelection;
+        this.language = state.language;
+    }
+
+    saveState() {
+        this.stateStore.update(this.getState());
+    }
+
+    // Push the current state into the controls and grid classes
+    syncStateControls() {
+        const categoryFilter = document.getElementById('categoryFilter');
+        if (categoryFilter) {
+            categoryFilter.value = this.selectedCategory;
+            // The saved category may not exist in this icon set
+            if (categoryFilter.value !== this.selectedCategory) {
+                this.selectedCategory = 'All';
+                categoryFilter.value = 'All';
+            }
+        }
+
+        const values = {
+            fontFamily: this.currentFontFamily,
+            searchInput: this.searchQuery
+        };
+        for (const [id, value] of Object.entries(values)) {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        }
+
+        this.syncAxisControls();
+        this.applyGridVariation();
+
+        const hideNames = document.getElementById('hideNames');
+        if (hideNames) hideNames.checked = this.hideNames;
+        document.getElementById('iconsGrid')?.classList.toggle('hide-names', this.hideNames);
+
+        const autoSync = document.getElementById('autoSyncSelection');
+        if (autoSync) autoSync.checked = this.autoSyncSelection;
+
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) languageSelect.value = this.language;
+
+        this.changeViewSize(this.viewSize);
     }
 
     populateCategories() {
         const categorySelect = document.getElementById('categoryFilter');
         if (!categorySelect) return;
-        const categories = [...new Set(this.iconManager.iconObjects.map(icon => icon.category))].sort();
-        categorySelect.innerHTML = '<option value="All">All Categories</option>';
+        const categories = [...new Set(this.iconManager.iconObjects.flatMap(icon => icon.categories || [icon.category]))].sort();
+        categorySelect.innerHTML = `
+            <option value="All" data-i18n="category.all"></option>
+            <option value="${FAVORITES_CATEGORY}" data-i18n="category.favorites"></option>
+            <option value="${RECENT_CATEGORY}" data-i18n="category.recent"></option>
+        `;
+        localizeElement(categorySelect);
         categories.forEach(category => {
             const option = document.createElement('option');
             option.value = category;
@@ -106,6 +256,848 @@ class MaterialIconsPanel {
         });
     }
 
+    // Collapsible insertion options, added below the controls bar at runtime
+    createInsertionSettingsSection() {
+        if (document.getElementById('insertionSettings')) return;
+        const controls = document.querySelector('.controls');
+        if (!controls) return;
+
+        const section = document.createElement('details');
+        section.id = 'insertionSettings';
+        section.className = 'insertion-settings';
+        section.innerHTML = `
+            <summary data-i18n="insertion.title"></summary>
+            <div class="insertion-settings-grid">
+                <label for="insertMode" data-i18n="insertion.mode"></label>
+                <select id="insertMode" class="font-selector" data-setting="insertMode">
+                    <option value="text" data-i18n="insertion.modeText"></option>
+                    <option value="shape" data-i18n="insertion.modeShape"></option>
+                </select>
+
+                <label for="insertSize" data-i18n="insertion.size"></label>
+                <input id="insertSize" type="number" min="1" max="4000" step="1" class="search-input" data-setting="size">
+
+                <label for="insertColor" data-i18n="insertion.color"></label>
+                <input id="insertColor" type="color" class="insertion-color" data-setting="color">
+
+                <label for="insertAlignment" data-i18n="insertion.position"></label>
+                <select id="insertAlignment" class="font-selector" data-setting="alignment">
+                    <option value="center" data-i18n="insertion.positionCenter"></option>
+                    <option value="top-left" data-i18n="insertion.positionTopLeft"></option>
+                    <option value="selected-layer" data-i18n="insertion.positionSelectedLayer"></option>
+                </select>
+
+                <label for="insertLayerName" data-i18n="insertion.layerName"></label>
+                <input id="insertLayerName" type="text" class="search-input" data-setting="layerName"
+                       placeholder="{name}" data-i18n-title="insertion.layerNameTokens">
+            </div>
+            <div class="insertion-settings-options">
+                <label class="checkbox-label">
+                    <input type="checkbox" data-setting="startAtCurrentTime">
+                    <span class="checkmark"></span>
+                    <span data-i18n="insertion.startAtCurrentTime"></span>
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-setting="placeAboveSelected">
+                    <span class="checkmark"></span>
+                    <span data-i18n="insertion.placeAboveSelected"></span>
+                </label>
+                <label class="checkbox-label">
+                    <input type="checkbox" data-setting="parentToSelected">
+                    <span class="checkmark"></span>
+                    <span data-i18n="insertion.parentToSelected"></span>
+                </label>
+                <label class="checkbox-label" data-i18n-title="insertion.replaceSelectedHint">
+                    <input type="checkbox" data-setting="replaceSelected">
+                    <span class="checkmark"></span>
+                    <span data-i18n="insertion.replaceSelected"></span>
+                </label>
+            </div>
+            <div class="insertion-settings-animation">
+                <label class="checkbox-label" data-i18n-title="insertion.animateAxesHint">
+                    <input type="checkbox" data-setting="animateAxes">
+                    <span class="checkmark"></span>
+                    <span data-i18n="insertion.animateAxes"></span>
+                </label>
+                <div class="insertion-settings-grid">
+                    <label for="animateFromFill" data-i18n="insertion.fillRange"></label>
+                    <div class="animation-range">
+                        <input id="animateFromFill" type="number" min="0" max="1" step="0.01" class="search-input" data-setting="animateFromFill" data-animation-option>
+                        <input id="animateToFill" type="number" min="0" max="1" step="0.01" class="search-input" data-setting="animateToFill" data-animation-option data-i18n-aria-label="insertion.fillTo">
+                    </div>
+
+                    <label for="animateFromWeight" data-i18n="insertion.weightRange"></label>
+                    <div class="animation-range">
+                        <input id="animateFromWeight" type="number" min="100" max="700" step="1" class="search-input" data-setting="animateFromWeight" data-animation-option>
+                        <input id="animateToWeight" type="number" min="100" max="700" step="1" class="search-input" data-setting="animateToWeight" data-animation-option data-i18n-aria-label="insertion.weightTo">
+                    </div>
+
+                    <label for="animationDuration" data-i18n="insertion.duration"></label>
+                    <input id="animationDuration" type="number" min="0.05" max="60" step="0.05" class="search-input" data-setting="animationDuration" data-animation-option>
+
+                    <label for="animationEasing" data-i18n="insertion.easing"></label>
+                    <select id="animationEasing" class="font-selector" data-setting="animationEasing" data-animation-option>
+                        <option value="linear" data-i18n="easing.linear"></option>
+                        <option value="easeIn" data-i18n="easing.easeIn"></option>
+                        <option value="easeOut" data-i18n="easing.easeOut"></option>
+                        <option value="easeInOut" data-i18n="easing.easeInOut"></option>
+                    </select>
+                </div>
+            </div>
+        `;
+        localizeElement(section);
+        controls.parentNode.insertBefore(section, controls.nextSibling);
+
+        this.syncInsertionSettingsControls();
+        section.querySelectorAll('[data-setting]').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = input.type === 'checkbox' ? input.checked : input.value;
+                this.insertionSettings.update({ [input.dataset.setting]: value });
+                this.syncInsertionSettingsControls();
+            });
+        });
+    }
+
+    syncInsertionSettingsControls() {
+        const settings = this.insertionSettings.get();
+        document.querySelectorAll('#insertionSettings [data-setting]').forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value;
+            }
+        });
+        document.querySelectorAll('#insertionSettings [data-animation-option]').forEach(input => {
+            input.disabled = !settings.animateAxes;
+        });
+    }
+
+    // Font family + axis values, the part of the state a preset captures
+    getStyle() {
+        const state = this.getState();
+        return Object.fromEntries(PRESET_FIELDS.map(field => [field, state[field]]));
+    }
+
+    applyStyle(style) {
+        const previousFamily = this.currentFontFamily;
+        this.applyState({ ...this.getState(), ...style });
+        this.syncStateControls();
+        this.saveState();
+
+        // Axis values alone only need the grid variation, which syncStateControls applied
+        if (this.currentFontFamily !== previousFamily) {
+            return this.updateIcons();
+        }
+        return Promise.resolve();
+    }
+
+    // Replace the discrete axis selects with continuous sliders plus numeric inputs.
+    // The slider keeps the select's id, so labels and lookups by id still work.
+    createAxisControls() {
+        VARIATION_AXES.forEach(axis => {
+            const id = AXIS_CONTROL_IDS[axis.key];
+            let slider = document.getElementById(id);
+            if (!slider) return;
+
+            if (slider.tagName === 'SELECT') {
+                const control = document.createElement('div');
+                control.className = 'axis-control';
+                control.innerHTML = `
+                    <input type="range" id="${id}" class="axis-slider">
+                    <input type="number" id="${id}Value" class="axis-value">
+                `;
+                slider.replaceWith(control);
+                slider = control.querySelector('.axis-slider');
+            }
+
+            const numberInput = document.getElementById(`${id}Value`);
+            [slider, numberInput].forEach(input => {
+                if (!input) return;
+                input.min = axis.min;
+                input.max = axis.max;
+                input.step = axis.step;
+                input.dataset.axis = axis.key;
+            });
+        });
+        this.localizeAxisControls();
+    }
+
+    localizeAxisControls() {
+        VARIATION_AXES.forEach(axis => {
+            const numberInput = document.getElementById(`${AXIS_CONTROL_IDS[axis.key]}Value`);
+            numberInput?.setAttribute('aria-label', `${t(`axis.${axis.key}`)} (${axis.tag})`);
+        });
+    }
+
+    // Live update while dragging or typing; persisting waits for the 'change' event
+    setAxisValue(key, value) {
+        const axis = VARIATION_AXES.find(entry => entry.key === key);
+        const number = parseFloat(value);
+        if (!axis || isNaN(number)) return;
+
+        const state = this.getState();
+        state[key] = String(Math.min(axis.max, Math.max(axis.min, number)));
+        this.applyState(state);
+        this.syncAxisControls(key);
+        this.scheduleGridVariationUpdate();
+    }
+
+    syncAxisControls(onlyKey = null) {
+        const state = this.getState();
+        VARIATION_AXES.forEach(axis => {
+            if (onlyKey && axis.key !== onlyKey) return;
+            const id = AXIS_CONTROL_IDS[axis.key];
+            [document.getElementById(id), document.getElementById(`${id}Value`)].forEach(input => {
+                // Don't rewrite the number field the user is typing into
+                if (input && input !== document.activeElement) input.value = state[axis.key];
+            });
+        });
+    }
+
+    // Throttled to one update per frame; only a CSS variable changes, no card is rebuilt
+    scheduleGridVariationUpdate() {
+        if (this.variationFrame) return;
+        this.variationFrame = requestAnimationFrame(() => {
+            this.variationFrame = null;
+            this.applyGridVariation();
+        });
+    }
+
+    applyGridVariation() {
+        document.getElementById('iconsGrid')?.style.setProperty('--icon-font-variation', formatVariationSettings(this.getState()));
+    }
+
+    // Named style presets, added below the insertion settings at runtime
+    createPresetsSection() {
+        if (document.getElementById('stylePresets')) return;
+        const anchor = document.getElementById('insertionSettings') || document.querySelector('.controls');
+        if (!anchor) return;
+
+        const section = document.createElement('details');
+        section.id = 'stylePresets';
+        section.className = 'insertion-settings style-presets';
+        section.innerHTML = `
+            <summary data-i18n="presets.title"></summary>
+            <div class="insertion-settings-grid">
+                <label for="presetSelect" data-i18n="presets.preset"></label>
+                <select id="presetSelect" class="font-selector"></select>
+
+                <label for="presetName" data-i18n="presets.name"></label>
+                <input id="presetName" type="text" class="search-input" data-i18n-placeholder="presets.namePlaceholder">
+            </div>
+            <div class="preset-actions">
+                <button type="button" class="view-btn" data-preset-action="save" data-i18n="presets.save" data-i18n-title="presets.saveHint"></button>
+                <button type="button" class="view-btn" data-preset-action="rename" data-i18n="presets.rename"></button>
+                <button type="button" class="view-btn" data-preset-action="delete" data-i18n="presets.delete"></button>
+                <button type="button" class="view-btn" data-preset-action="export" data-i18n="presets.export"></button>
+                <button type="button" class="view-btn" data-preset-action="import" data-i18n="presets.import"></button>
+                <input type="file" id="presetImportFile" accept=".json,application/json" hidden>
+            </div>
+        `;
+        localizeElement(section);
+        anchor.parentNode.insertBefore(section, anchor.nextSibling);
+
+        const select = section.querySelector('#presetSelect');
+        const nameInput = section.querySelector('#presetName');
+        const fileInput = section.querySelector('#presetImportFile');
+
+        this.renderPresetOptions();
+        this.presets.onChange(() => this.renderPresetOptions());
+
+        select.addEventListener('change', () => {
+            const preset = this.presets.get(select.value);
+            if (!preset) return;
+            nameInput.value = preset.name;
+            this.applyStyle(preset);
+        });
+
+        section.querySelector('.preset-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-preset-action]');
+            if (!button) return;
+            const action = button.dataset.presetAction;
+            try {
+                if (action === 'save') {
+                    const preset = this.presets.create(nameInput.value, this.getStyle());
+                    select.value = preset.id;
+                    this.loadingManager.showToast(t('presets.saved', { name: preset.name }), 'success', 3000);
+                } else if (action === 'rename') {
+                    if (!select.value) throw new Error(t('presets.chooseToRename'));
+                    this.presets.rename(select.value, nameInput.value);
+                } else if (action === 'delete') {
+                    if (!select.value) throw new Error(t('presets.chooseToDelete'));
+                    this.presets.remove(select.value);
+                    nameInput.value = '';
+                } else if (action === 'export') {
+                    this.exportPresets();
+                } else if (action === 'import') {
+                    fileInput.click();
+                }
+            } catch (error) {
+                this.loadingManager.showToast(error.message, 'error', 4000);
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const count = this.presets.importJSON(await file.text());
+                this.loadingManager.showToast(t('presets.imported', { count }), 'success', 3000);
+            } catch (error) {
+                this.loadingManager.showToast(t('presets.importFailed', { message: error.message }), 'error', 5000);
+            }
+        });
+    }
+
+    renderPresetOptions() {
+        const select = document.getElementById('presetSelect');
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = '<option value=""></option>';
+        select.options[0].textContent = t('presets.choose');
+        this.presets.list().forEach(preset => {
+            const option = document.createElement('option');
+            option.value = preset.id;
+            option.textContent = `${preset.name} (${preset.fontFamily}, FILL ${preset.fill}, wght ${preset.weight}, GRAD ${preset.grade}, opsz ${preset.opticalSize})`;
+            select.appendChild(option);
+        });
+        select.value = selected;
+        if (select.value !== selected) select.value = '';
+    }
+
+    // Save dialog in AE, a download in browser mode. Resolves to false if the dialog is cancelled
+    async saveTextFile(fileName, content, prompt, type = 'application/json') {
+        if (this.csInterface) {
+            const filePath = await chooseSaveLocation(this.csInterface, fileName, prompt);
+            if (!filePath) return false;
+            await writeLocalFile(this.csInterface, filePath, content, 2);
+        } else {
+            const url = URL.createObjectURL(new Blob([content], { type }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+        return true;
+    }
+
+    async exportPresets() {
+        try {
+            const saved = await this.saveTextFile('material-icons-presets.json', this.presets.exportJSON(), t('presets.exportPrompt'));
+            if (!saved) return false;
+            this.loadingManager.showToast(t('presets.exported', { count: this.presets.list().length }), 'success', 3000);
+            return true;
+        } catch (error) {
+            console.error('Preset export failed:', error);
+            this.loadingManager.showToast(t('common.exportFailed', { message: error.message }), 'error', 5000);
+            return false;
+        }
+    }
+
+    // "Sync from selection": point the panel at the icon of the selected AE layer
+    createSelectionSyncControls() {
+        if (document.getElementById('selectionSync')) return;
+        const anchor = document.getElementById('stylePresets') || document.querySelector('.controls');
+        if (!anchor) return;
+
+        const bar = document.createElement('div');
+        bar.id = 'selectionSync';
+        bar.className = 'selection-sync';
+        bar.innerHTML = `
+            <button type="button" id="syncFromSelection" class="view-btn"
+                    data-i18n="sync.button" data-i18n-title="sync.buttonHint"></button>
+            <label class="checkbox-label" data-i18n-title="sync.autoHint">
+                <input type="checkbox" id="autoSyncSelection">
+                <span class="checkmark"></span>
+                <span data-i18n="sync.auto"></span>
+            </label>
+        `;
+        localizeElement(bar);
+        anchor.parentNode.insertBefore(bar, anchor.nextSibling);
+
+        bar.querySelector('#syncFromSelection').addEventListener('click', () => this.syncFromSelection());
+        bar.querySelector('#autoSyncSelection').addEventListener('change', (e) => {
+            this.autoSyncSelection = e.target.checked;
+            this.saveState();
+            this.updateSelectionSync();
+        });
+    }
+
+    // Start or stop following the AE selection to match the auto sync setting
+    updateSelectionSync() {
+        if (this.autoSyncSelection && this.csInterface) {
+            if (!this.selectionSync.isRunning()) {
+                this.selectionSync.start(this.csInterface, (icon) => this.applyIconLayer(icon));
+            }
+        } else {
+            this.selectionSync.stop();
+        }
+    }
+
+    async syncFromSelection() {
+        if (!this.csInterface) {
+            this.loadingManager.showToast(t('sync.needsAE'), 'warning', 3000);
+            return false;
+        }
+
+        try {
+            const layer = await getSelectedLayerInfo(this.csInterface);
+            const icon = parseIconLayerInfo(layer);
+            if (!icon) {
+                const message = layer ? t('sync.notIconLayer', { name: layer.name }) : t('sync.noSelection');
+                this.loadingManager.showToast(message, 'warning', 4000);
+                return false;
+            }
+            return await this.applyIconLayer(icon);
+        } catch (error) {
+            console.error('Sync from selection failed:', error);
+            this.loadingManager.showToast(t('sync.failed', { message: error.message }), 'error', 4000);
+            return false;
+        }
+    }
+
+    // icon: parseIconLayerInfo result. Family and axes are applied first, since a
+    // different family reloads the icon set the glyph is looked up in.
+    async applyIconLayer(icon) {
+        const style = { ...icon.axes };
+        if (icon.fontFamily) {
+            style.fontFamily = icon.fontFamily;
+        }
+        await this.applyStyle(style);
+
+        const match = (icon.name && this.iconManager.iconIndex.get(icon.name)) ||
+            this.iconManager.findIconByCodepoint(icon.codepoint);
+        if (!match) {
+            this.loadingManager.showToast(t('sync.notInFamily', {
+                codepoint: String(icon.codepoint).toUpperCase(),
+                family: this.currentFontFamily
+            }), 'warning', 4000);
+            return false;
+        }
+
+        // Filters that hide the icon are cleared so it can be shown
+        if (!this.iconManager.filterIcons().includes(match)) {
+            this.selectedCategory = 'All';
+            this.searchQuery = '';
+            this.syncStateControls();
+            this.saveState();
+            this.iconManager.renderIcons();
+        }
+        this.iconManager.revealIcon(match);
+        return true;
+    }
+
+    // Scan the project for icon layers and restyle them in bulk
+    createProjectIconsSection() {
+        if (document.getElementById('projectIcons')) return;
+        const anchor = document.getElementById('selectionSync') || document.querySelector('.controls');
+        if (!anchor) return;
+
+        const section = document.createElement('details');
+        section.id = 'projectIcons';
+        section.className = 'insertion-settings project-icons';
+        section.innerHTML = `
+            <summary data-i18n="project.title"></summary>
+            <div class="preset-actions">
+                <button type="button" class="view-btn" data-project-action="scan" data-i18n="project.scan" data-i18n-title="project.scanHint"></button>
+                <button type="button" class="view-btn" data-project-action="report" data-i18n="project.report" data-i18n-title="project.reportHint"></button>
+                <button type="button" class="view-btn" data-project-action="export-json" data-i18n="project.exportJSON" disabled></button>
+                <button type="button" class="view-btn" data-project-action="export-csv" data-i18n="project.exportCSV" disabled></button>
+            </div>
+            <div class="project-icons-report"></div>
+            <p class="project-icons-summary"></p>
+            <ul class="project-icons-list"></ul>
+            <div class="insertion-settings-grid">
+                <label for="restyleFamily" data-i18n="project.restyleTo"></label>
+                <select id="restyleFamily" class="font-selector">
+                    <option value="" data-i18n="project.keepFamily"></option>
+                    ${FONT_FAMILIES.map(family => `<option value="${family}">${family}</option>`).join('')}
+                </select>
+            </div>
+            <div class="insertion-settings-options">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="restyleAxes">
+                    <span class="checkmark"></span>
+                    <span data-i18n="project.applyAxes"></span>
+                </label>
+            </div>
+            <div class="preset-actions">
+                <button type="button" class="reset-button" data-project-action="restyle" data-i18n="project.restyle" disabled></button>
+            </div>
+        `;
+        localizeElement(section);
+        anchor.parentNode.insertBefore(section, anchor.nextSibling);
+
+        section.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-project-action]')?.dataset.projectAction;
+            if (action === 'scan') this.scanProjectIcons();
+            if (action === 'report') this.createUsageReport();
+            if (action === 'export-json') this.exportUsageReport('json');
+            if (action === 'export-csv') this.exportUsageReport('csv');
+            if (action === 'restyle') this.restyleProjectIcons();
+        });
+    }
+
+    async scanProjectIcons() {
+        if (!this.csInterface) {
+            this.loadingManager.showToast(t('project.scanNeedsAE'), 'warning', 3000);
+            return [];
+        }
+        try {
+            const entries = await this.projectIcons.scan(this.csInterface, this.resolveProjectIcon);
+            this.renderProjectIcons(entries);
+            return entries;
+        } catch (error) {
+            console.error('Project scan failed:', error);
+            this.loadingManager.showToast(t('project.scanFailed', { message: error.message }), 'error', 4000, [
+                { label: t('notifications.retry'), onClick: () => this.scanProjectIcons() }
+            ]);
+            return [];
+        }
+    }
+
+    renderProjectIcons(entries) {
+        const section = document.getElementById('projectIcons');
+        if (!section) return;
+        const comps = new Set(entries.map(entry => entry.layer.compId));
+        section.querySelector('.project-icons-summary').textContent = entries.length > 0
+            ? t('project.summary', {
+                layers: t('project.iconLayers', { count: entries.length }),
+                comps: t('project.comps', { count: comps.size })
+            })
+            : t('project.none');
+
+        const list = section.querySelector('.project-icons-list');
+        list.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const { layer, icon } = entry;
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <label class="checkbox-label">
+                    <input type="checkbox" data-entry-index="${index}" checked>
+                    <span class="checkmark"></span>
+                    <span class="project-icon-glyph"></span>
+                    <span class="project-icon-label"></span>
+                </label>
+            `;
+            const glyph = item.querySelector('.project-icon-glyph');
+            glyph.textContent = String.fromCodePoint(parseInt(icon.codepoint, 16));
+            glyph.style.fontFamily = `'Material Symbols ${icon.fontFamily || 'Outlined'}', 'Material Icons'`;
+            item.querySelector('.project-icon-label').textContent =
+                `${icon.name || `U+${icon.codepoint.toUpperCase()}`} · ${icon.fontFamily || '?'} — ${layer.compName} › ${layer.name}`;
+            list.appendChild(item);
+        });
+        section.querySelector('[data-project-action="restyle"]').disabled = entries.length === 0;
+    }
+
+    async createUsageReport() {
+        if (!this.csInterface) {
+            this.loadingManager.showToast(t('project.reportNeedsAE'), 'warning', 3000);
+            return null;
+        }
+        try {
+            this.usageReport = await this.projectIcons.buildReport(this.csInterface, this.resolveProjectIcon);
+            this.renderProjectIcons(this.projectIcons.list());
+            this.renderUsageReport(this.usageReport);
+            const missing = this.usageReport.summary.missingFontLayers;
+            if (missing > 0) {
+                this.loadingManager.showToast(t('project.missingFonts', { count: missing }), 'warning', 5000);
+            }
+            return this.usageReport;
+        } catch (error) {
+            console.error('Usage report failed:', error);
+            this.loadingManager.showToast(t('project.reportFailed', { message: error.message }), 'error', 4000);
+            return null;
+        }
+    }
+
+    renderUsageReport(report) {
+        const section = document.getElementById('projectIcons');
+        if (!section) return;
+        const container = section.querySelector('.project-icons-report');
+        container.innerHTML = '';
+
+        report.families.forEach(group => {
+            const row = document.createElement('div');
+            row.className = 'project-report-family';
+            const status = !group.needsFont ? 'project.fontNotNeeded'
+                : group.installed === false ? 'project.fontNotInstalled'
+                    : group.installed ? 'project.fontInstalled' : 'project.fontUnknown';
+            const icons = group.icons.map(icon => `${icon.name || `U+${icon.codepoint.toUpperCase()}`} ×${icon.layers}`).join(', ');
+            row.textContent = t('project.familyRow', {
+                family: group.family,
+                status: t(status),
+                layers: t('project.layers', { count: group.layers }),
+                icons
+            });
+            row.classList.toggle('missing', group.installed === false);
+            container.appendChild(row);
+        });
+
+        report.layers.filter(layer => layer.fontMissing).forEach(layer => {
+            const row = document.createElement('div');
+            row.className = 'project-report-missing';
+            row.textContent = t('project.missingFontRow', { comp: layer.comp, layer: layer.layer, font: layer.font });
+            container.appendChild(row);
+        });
+
+        section.querySelectorAll('[data-project-action^="export-"]').forEach(button => { button.disabled = false; });
+    }
+
+    async exportUsageReport(format) {
+        if (!this.usageReport) return false;
+        const content = format === 'csv' ? usageReportToCSV(this.usageReport) : JSON.stringify(this.usageReport, null, 2);
+        const type = format === 'csv' ? 'text/csv' : 'application/json';
+        try {
+            const saved = await this.saveTextFile(`material-icons-usage.${format}`, content, t('project.reportExportPrompt'), type);
+            if (saved) {
+                this.loadingManager.showToast(t('project.reportExported', { format: format.toUpperCase() }), 'success', 3000);
+            }
+            return saved;
+        } catch (error) {
+            console.error('Usage report export failed:', error);
+            this.loadingManager.showToast(t('common.exportFailed', { message: error.message }), 'error', 5000);
+            return false;
+        }
+    }
+
+    async restyleProjectIcons() {
+        const section = document.getElementById('projectIcons');
+        const entries = this.projectIcons.list();
+        const checked = [...section.querySelectorAll('[data-entry-index]')]
+            .filter(input => input.checked)
+            .map(input => entries[Number(input.dataset.entryIndex)])
+            .filter(Boolean);
+
+        const style = {};
+        const family = section.querySelector('#restyleFamily').value;
+        if (family) style.fontFamily = family;
+        if (section.querySelector('#restyleAxes').checked) {
+            const current = this.getStyle();
+            VARIATION_AXES.forEach(axis => { style[axis.key] = current[axis.key]; });
+        }
+        if (checked.length === 0 || Object.keys(style).length === 0) {
+            this.loadingManager.showToast(t('project.restyleNeedsSelection'), 'warning', 3000);
+            return [];
+        }
+
+        try {
+            const results = await this.projectIcons.restyle(this.csInterface, checked, style, this.iconManager.getInsertSettings());
+            const failed = results.filter(result => !result.success);
+            const axesIgnored = results.filter(result => result.axesIgnored);
+            this.renderProjectIcons(this.projectIcons.list());
+            if (failed.length === 0 && axesIgnored.length === 0) {
+                this.loadingManager.showToast(t('project.restyled', { count: results.length }), 'success', 3000);
+            } else if (failed.length === 0) {
+                this.loadingManager.showToast(t('project.restyledDefaultAxes', { count: axesIgnored.length }), 'warning', 5000);
+            } else {
+                this.loadingManager.showToast(t('project.restylePartial', {
+                    done: results.length - failed.length,
+                    count: results.length,
+                    message: failed[0].message
+                }), 'warning', 5000);
+            }
+            return results;
+        } catch (error) {
+            console.error('Restyle failed:', error);
+            this.loadingManager.showToast(t('project.restyleFailed', { message: error.message }), 'error', 4000);
+            return [];
+        }
+    }
+
+    // Recent insertions, each with an Undo that removes the layers it created
+    createInsertHistorySection() {
+        if (document.getElementById('insertHistory')) return;
+        const anchor = document.getElementById('projectIcons') || document.querySelector('.controls');
+        if (!anchor) return;
+
+        const section = document.createElement('details');
+        section.id = 'insertHistory';
+        section.className = 'insertion-settings insert-history';
+        section.innerHTML = `
+            <summary data-i18n="history.title"></summary>
+            <div class="preset-actions">
+                <button type="button" class="view-btn" data-history-action="undo-last" data-i18n="history.undoLast"></button>
+            </div>
+            <ul class="insert-history-list"></ul>
+        `;
+        localizeElement(section);
+        anchor.parentNode.insertBefore(section, anchor.nextSibling);
+
+        section.querySelector('[data-history-action="undo-last"]').addEventListener('click', () => this.undoLastInsert());
+        this.insertHistory.onChange(() => this.renderInsertHistory());
+        this.renderInsertHistory();
+    }
+
+    // Resolves to true when there was an insertion to undo and it was undone
+    undoLastInsert() {
+        return undoInsertion(this.csInterface, this.insertHistory.getLast());
+    }
+
+    renderInsertHistory() {
+        const section = document.getElementById('insertHistory');
+        if (!section) return;
+
+        const last = this.insertHistory.getLast();
+        section.querySelector('[data-history-action="undo-last"]').disabled = !last || last.pending;
+        const list = section.querySelector('.insert-history-list');
+        list.innerHTML = '';
+        const entries = this.insertHistory.list();
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'insert-history-empty';
+            empty.textContent = t('history.empty');
+            list.appendChild(empty);
+            return;
+        }
+
+        const timeFormat = new Intl.DateTimeFormat(this.i18n.getLocale(), { timeStyle: 'short' });
+        entries.forEach(entry => {
+            const row = document.createElement('li');
+            row.className = 'insert-history-item';
+            row.classList.toggle('undone', entry.undone);
+
+            const names = document.createElement('span');
+            names.className = 'insert-history-names';
+            names.textContent = entry.names.join(', ');
+            const time = document.createElement('time');
+            time.dateTime = entry.time.toISOString();
+            time.textContent = timeFormat.format(entry.time);
+            row.append(names, time);
+
+            if (entry.undone) {
+                const status = document.createElement('span');
+                status.className = 'insert-history-status';
+                status.textContent = t('history.undone');
+                row.appendChild(status);
+            } else {
+                const undo = document.createElement('button');
+                undo.type = 'button';
+                undo.className = 'view-btn';
+                undo.textContent = t('insert.undo');
+                undo.disabled = entry.pending;
+                undo.addEventListener('click', () => undoInsertion(this.csInterface, entry));
+                row.appendChild(undo);
+            }
+            list.appendChild(row);
+        });
+    }
+
+    // Action bar for multi-selected icons, shown above the grid while a selection exists
+    createSelectionBar() {
+        if (document.getElementById('selectionBar')) return;
+        const iconsGrid = document.getElementById('iconsGrid');
+        if (!iconsGrid) return;
+
+        const bar = document.createElement('div');
+        bar.id = 'selectionBar';
+        bar.className = 'selection-bar';
+        bar.style.display = 'none';
+        bar.innerHTML = `
+            <span class="selection-count"></span>
+            <label for="batchLayout" data-i18n="selection.layout"></label>
+            <select id="batchLayout" class="font-selector">
+                <option value="stack" data-i18n="layout.stack"></option>
+                <option value="row" data-i18n="layout.row"></option>
+                <option value="grid" data-i18n="layout.grid"></option>
+            </select>
+            <button type="button" class="selection-insert reset-button"></button>
+            <button type="button" class="selection-clear view-btn" data-i18n="selection.clear"></button>
+        `;
+        localizeElement(bar);
+        iconsGrid.parentNode.insertBefore(bar, iconsGrid);
+
+        const insertButton = bar.querySelector('.selection-insert');
+        insertButton.addEventListener('click', async () => {
+            insertButton.disabled = true;
+            try {
+                await this.iconManager.insertSelectedIcons(bar.querySelector('#batchLayout').value);
+            } finally {
+                insertButton.disabled = false;
+            }
+        });
+        bar.querySelector('.selection-clear').addEventListener('click', () => this.iconManager.clearSelection());
+    }
+
+    updateSelectionBar(count) {
+        const bar = document.getElementById('selectionBar');
+        if (!bar) return;
+        bar.style.display = count > 0 ? 'flex' : 'none';
+        bar.querySelector('.selection-count').textContent = t('selection.count', { count });
+        bar.querySelector('.selection-insert').textContent = t('selection.insert', { count });
+    }
+
+    // Language switch at the end of the controls bar; "auto" follows After Effects
+    createLanguageSwitch() {
+        if (document.getElementById('languageSelect')) return;
+        const controls = document.querySelector('.controls');
+        if (!controls) return;
+
+        const select = document.createElement('select');
+        select.id = 'languageSelect';
+        select.className = 'font-selector';
+        select.dataset.i18nTitle = 'language.label';
+        select.dataset.i18nAriaLabel = 'language.label';
+        select.innerHTML = `<option value="${AUTO_LOCALE}" data-i18n="language.auto"></option>`;
+        Object.entries(LOCALES).forEach(([code, locale]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code; // Each language names itself
+            option.textContent = locale.name;
+            select.appendChild(option);
+        });
+        controls.appendChild(select);
+
+        select.addEventListener('change', () => {
+            this.language = select.value;
+            this.saveState();
+            this.applyLanguage();
+            this.refreshLocalizedText();
+        });
+    }
+
+    // index.html isn't generated, so its text is marked up for localizeElement here
+    markStaticText() {
+        Object.entries(STATIC_TEXT).forEach(([id, keys]) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            if (keys.text) element.dataset.i18n = keys.text;
+            if (keys.title) element.dataset.i18nTitle = keys.title;
+            if (keys.placeholder) element.dataset.i18nPlaceholder = keys.placeholder;
+        });
+        document.querySelectorAll('.view-btn[data-size]').forEach(button => {
+            button.dataset.i18nTitle = `view.${button.dataset.size}`;
+        });
+    }
+
+    // The saved language, or After Effects' own when it is "auto"
+    applyLanguage() {
+        this.i18n.setLocale(this.language === AUTO_LOCALE ? detectLocale(this.csInterface) : this.language);
+    }
+
+    // Re-render everything showing text after a language change. Generated text
+    // (counts, lists, cards) is rebuilt; marked-up text is swapped in place.
+    refreshLocalizedText() {
+        localizeElement();
+        this.populateCategories();
+        this.syncStateControls();
+        this.localizeAxisControls();
+        this.renderPresetOptions();
+        this.updateSelectionBar(this.iconManager.selectedNames.size);
+        NotificationCenter.getInstance().updateHistoryButton();
+        if (this.projectIcons.list().length > 0) {
+            this.renderProjectIcons(this.projectIcons.list());
+        }
+        if (this.usageReport) {
+            this.renderUsageReport(this.usageReport);
+        }
+        this.renderInsertHistory();
+        this.iconManager.renderIcons();
+    }
+
     setupEventListeners(retryCount = 0) {
         const elementsToFind = [
             'categoryFilter', 'fontFamily', 'fontStyle', 'fontFill',
@@ -131,36 +1123,31 @@ class MaterialIconsPanel {
 
         elements.categoryFilter?.addEventListener('change', (e) => {
             this.selectedCategory = e.target.value;
+            this.saveState();
             this.iconManager.renderIcons();
         });
 
         elements.fontFamily?.addEventListener('change', (e) => {
             this.currentFontFamily = e.target.value;
+            this.saveState();
             this.updateIcons();
         });
 
-        elements.fontStyle?.addEventListener('change', (e) => {
-            this.currentFontStyle = e.target.value;
-            this.iconManager.renderIcons();
-        });
-
-        elements.fontFill?.addEventListener('change', (e) => {
-            this.currentFontFill = e.target.value;
-            this.iconManager.renderIcons();
-        });
-
-        elements.fontGrad?.addEventListener('change', (e) => {
-            this.currentFontGrad = e.target.value;
-            this.iconManager.renderIcons();
-        });
-
-        elements.fontOpsz?.addEventListener('change', (e) => {
-            this.currentFontOpsz = e.target.value;
-            this.iconManager.renderIcons();
+        const axisInputs = Object.values(AXIS_CONTROL_IDS)
+            .flatMap(id => [document.getElementById(id), document.getElementById(`${id}Value`)])
+            .filter(Boolean);
+        axisInputs.forEach(input => {
+            input.addEventListener('input', () => this.setAxisValue(input.dataset.axis, input.value));
+            input.addEventListener('change', () => {
+                this.setAxisValue(input.dataset.axis, input.value);
+                input.value = this.getState()[input.dataset.axis]; // Show the clamped value
+                this.saveState();
+            });
         });
 
         const debouncedSearch = this.debounce((query) => {
             this.searchQuery = query;
+            this.saveState();
             this.iconManager.clearFilterCache();
             this.iconManager.renderIcons();
         }, 300);
@@ -172,15 +1159,18 @@ class MaterialIconsPanel {
         elements.clearSearch?.addEventListener('click', () => this.clearSearch());
         elements.resetFilters?.addEventListener('click', () => this.resetAllFilters());
 
-        document.querySelectorAll('.view-btn').forEach(btn => {
+        document.querySelectorAll('.view-btn[data-size]').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 this.changeViewSize(e.target.dataset.size);
+                this.saveState();
             });
         });
 
         elements.hideNames?.addEventListener('change', (e) => {
             this.hideNames = e.target.checked;
+            this.saveState();
             document.getElementById('iconsGrid')?.classList.toggle('hide-names', this.hideNames);
+            this.iconManager.refreshLayout();
         });
     }
 
@@ -189,44 +1179,39 @@ class MaterialIconsPanel {
         if (searchInput) {
             searchInput.value = '';
             this.searchQuery = '';
+            this.saveState();
             this.iconManager.renderIcons();
         }
     }
 
     changeViewSize(size) {
         this.viewSize = size;
-        document.querySelectorAll('.view-btn').forEach(btn => btn.classList.remove('active'));
+        document.querySelectorAll('.view-btn[data-size]').forEach(btn => btn.classList.remove('active'));
         document.querySelector(`[data-size="${size}"]`)?.classList.add('active');
         const iconsGrid = document.getElementById('iconsGrid');
         if (iconsGrid) {
             iconsGrid.classList.remove('small', 'medium', 'large');
             iconsGrid.classList.add(size);
         }
+        this.iconManager.refreshLayout();
     }
 
+    // Auto sync and the language are preferences rather than filters, so they survive the reset
     resetAllFilters() {
-        this.selectedCategory = 'All';
-        this.currentFontFamily = 'Outlined';
-        this.currentFontStyle = '400';
-        this.currentFontFill = '0';
-        this.currentFontGrad = '0';
-        this.currentFontOpsz = '48';
-        this.searchQuery = '';
-        this.viewSize = 'medium';
-        this.hideNames = false;
-
-        document.getElementById('categoryFilter').value = this.selectedCategory;
-        document.getElementById('fontFamily').value = this.currentFontFamily;
-        document.getElementById('fontStyle').value = this.currentFontStyle;
-        document.getElementById('fontFill').value = this.currentFontFill;
-        document.getElementById('fontGrad').value = this.currentFontGrad;
-        document.getElementById('fontOpsz').value = this.currentFontOpsz;
-        document.getElementById('searchInput').value = '';
-        document.getElementById('hideNames').checked = false;
+        const previousFamily = this.currentFontFamily;
+        this.applyState(this.stateStore.update({
+            ...DEFAULT_PANEL_STATE,
+            autoSyncSelection: this.autoSyncSelection,
+            language: this.language
+        }));
+        this.syncStateControls();
 
-        this.changeViewSize('medium');
-
-        this.iconManager.renderIcons();
+        // A different family needs its own codepoints file
+        if (this.currentFontFamily !== previousFamily) {
+            this.updateIcons();
+        } else {
+            this.iconManager.renderIcons();
+        }
     }
 
     debounce(func, delay = 300) {
@@ -237,19 +1222,20 @@ class MaterialIconsPanel {
         };
     }
 
+    // Resolves once the grid shows the current family
     updateIcons() {
         this.iconManager.clearFilterCache();
         this.iconManager.cleanup();
         if (this.csInterface) {
             this.loadingManager.setIconsGridLoading(true);
-            this.iconManager.loadIcons(this.csInterface, this.currentFontFamily).then(() => {
+            return this.iconManager.loadIcons(this.csInterface, this.currentFontFamily).then(() => {
                 this.iconManager.clearFilterCache();
                 this.iconManager.renderIcons();
                 this.loadingManager.setIconsGridLoading(false);
             });
-        } else {
-            this.iconManager.renderIcons();
         }
+        this.iconManager.renderIcons();
+        return Promise.resolve();
     }
 }
 
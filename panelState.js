@@ -0,0 +1,127 @@
+import { StorageManager } from './storage.js';
+import { AUTO_LOCALE, LOCALES } from './i18n.js';
+
+const STORAGE_KEY = 'panelState';
+
+// Bump when the shape of the state changes and add a step to MIGRATIONS
+export const PANEL_STATE_VERSION = 1;
+
+export const FONT_FAMILIES = ['Outlined', 'Rounded', 'Sharp'];
+export const VIEW_SIZES = ['small', 'medium', 'large'];
+
+// Axis values are kept as strings, the way the panel's controls report them
+export const DEFAULT_PANEL_STATE = {
+    fontFamily: 'Outlined',
+    weight: '400',
+    fill: '0',
+    grade: '0',
+    opticalSize: '48',
+    category: 'All',
+    searchQuery: '',
+    viewSize: 'medium',
+    hideNames: false,
+    autoSyncSelection: false,
+    language: AUTO_LOCALE
+};
+
+export const LANGUAGES = [AUTO_LOCALE, ...Object.keys(LOCALES)];
+
+// Variation axes of the Material Symbols fonts, keyed by the state field they drive.
+// All of them are continuous; step is the slider resolution.
+export const VARIATION_AXES = [
+    { key: 'fill', tag: 'FILL', label: 'Fill', min: 0, max: 1, step: 0.01 },
+    { key: 'weight', tag: 'wght', label: 'Weight', min: 100, max: 700, step: 1 },
+    { key: 'grade', tag: 'GRAD', label: 'Grade', min: -50, max: 200, step: 1 },
+    { key: 'opticalSize', tag: 'opsz', label: 'Optical size', min: 20, max: 48, step: 1 }
+];
+
+// CSS font-variation-settings value for a state (or settings) object
+export function formatVariationSettings(values) {
+    return VARIATION_AXES.map(axis => `'${axis.tag}' ${values[axis.key]}`).join(', ');
+}
+
+// MIGRATIONS[n] upgrades a version n state to version n + 1.
+// Version 1 is the first schema; nothing was stored before it.
+const MIGRATIONS = {};
+
+// Font, filter and view settings of the panel, restored between sessions
+export class PanelStateStore {
+    static instance = null;
+
+    constructor() {
+        if (PanelStateStore.instance) {
+            return PanelStateStore.instance;
+        }
+
+        this.state = { ...DEFAULT_PANEL_STATE };
+        this.storage = StorageManager.getInstance();
+
+        PanelStateStore.instance = this;
+    }
+
+    static getInstance() {
+        if (!PanelStateStore.instance) {
+            PanelStateStore.instance = new PanelStateStore();
+        }
+        return PanelStateStore.instance;
+    }
+
+    async load() {
+        const stored = await this.storage.load(STORAGE_KEY, null);
+        this.state = stored ? this.migrate(stored) : { ...DEFAULT_PANEL_STATE };
+        return this.get();
+    }
+
+    get() {
+        return { ...this.state };
+    }
+
+    update(changes) {
+        this.state = this.sanitize({ ...this.state, ...changes });
+        this.storage.save(STORAGE_KEY, { version: PANEL_STATE_VERSION, state: this.state });
+        return this.get();
+    }
+
+    reset() {
+        return this.update(DEFAULT_PANEL_STATE);
+    }
+
+    // Stored snapshots are { version, state }; any version this build doesn't know is discarded
+    migrate(stored) {
+        let version = stored.version;
+        let state = stored.state;
+
+        if (!Number.isInteger(version) || version < 1 || version > PANEL_STATE_VERSION || !state || typeof state !== 'object') {
+            console.warn(`Ignoring panel state with unsupported version ${version}`);
+            return { ...DEFAULT_PANEL_STATE };
+        }
+
+        while (version < PANEL_STATE_VERSION) {
+            state = MIGRATIONS[version](state);
+            version++;
+        }
+        return this.sanitize({ ...DEFAULT_PANEL_STATE, ...state });
+    }
+
+    sanitize(state) {
+        const axis = (key) => {
+            const value = parseFloat(state[key]);
+            const { min, max } = VARIATION_AXES.find(entry => entry.key === key);
+            return isNaN(value) ? DEFAULT_PANEL_STATE[key] : String(Math.min(max, Math.max(min, value)));
+        };
+
+        return {
+            fontFamily: FONT_FAMILIES.includes(state.fontFamily) ? state.fontFamily : DEFAULT_PANEL_STATE.fontFamily,
+            weight: axis('weight'),
+            fill: axis('fill'),
+            grade: axis('grade'),
+            opticalSize: axis('opticalSize'),
+            category: typeof state.category === 'string' && state.category ? state.category : DEFAULT_PANEL_STATE.category,
+            searchQuery: typeof state.searchQuery === 'string' ? state.searchQuery : DEFAULT_PANEL_STATE.searchQuery,
+            viewSize: VIEW_SIZES.includes(state.viewSize) ? state.viewSize : DEFAULT_PANEL_STATE.viewSize,
+            hideNames: Boolean(state.hideNames),
+            autoSyncSelection: Boolean(state.autoSyncSelection),
+            language: LANGUAGES.includes(state.language) ? state.language : DEFAULT_PANEL_STATE.language
+        };
+    }
+}
@@ -0,0 +1,179 @@
+import { StorageManager } from './storage.js';
+import { DEFAULT_PANEL_STATE, PanelStateStore } from './panelState.js';
+import { t } from './i18n.js';
+
+const STORAGE_KEY = 'stylePresets';
+
+// Identifies preset files shared between team members
+export const PRESET_FILE_FORMAT = 'material-icons-ae-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// The panel state fields a preset captures
+export const PRESET_FIELDS = ['fontFamily', 'weight', 'fill', 'grade', 'opticalSize'];
+
+// Named font family + variation axis combinations, persisted between sessions
+export class PresetManager {
+    static instance = null;
+
+    constructor() {
+        if (PresetManager.instance) {
+            return PresetManager.instance;
+        }
+
+        this.presets = [];
+        this.storage = StorageManager.getInstance();
+        this.listeners = new Set();
+
+        PresetManager.instance = this;
+    }
+
+    static getInstance() {
+        if (!PresetManager.instance) {
+            PresetManager.instance = new PresetManager();
+        }
+        return PresetManager.instance;
+    }
+
+    async load() {
+        const stored = await this.storage.load(STORAGE_KEY, []);
+        this.presets = Array.isArray(stored)
+            ? stored.filter(preset => preset && preset.id && preset.name).map(preset => this.normalize(preset))
+            : [];
+        return this.list();
+    }
+
+    list() {
+        return this.presets.map(preset => ({ ...preset }));
+    }
+
+    get(id) {
+        const preset = this.presets.find(entry => entry.id === id);
+        return preset ? { ...preset } : null;
+    }
+
+    findByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.presets.find(preset => preset.name.toLowerCase() === key) || null;
+    }
+
+    // Saving under an existing name overwrites that preset
+    create(name, style) {
+        const trimmed = this.validateName(name);
+        const existing = this.findByName(trimmed);
+        const preset = this.normalize({ ...style, id: existing ? existing.id : this.createId(), name: trimmed });
+
+        this.presets = existing
+            ? this.presets.map(entry => (entry.id === existing.id ? preset : entry))
+            : [...this.presets, preset];
+        this.persist();
+        return { ...preset };
+    }
+
+    rename(id, name) {
+        const trimmed = this.validateName(name);
+        const preset = this.presets.find(entry => entry.id === id);
+        if (!preset) {
+            throw new Error(t('presets.notFound'));
+        }
+        const clash = this.findByName(trimmed);
+        if (clash && clash.id !== id) {
+            throw new Error(t('presets.duplicate', { name: trimmed }));
+        }
+
+        preset.name = trimmed;
+        this.persist();
+        return { ...preset };
+    }
+
+    remove(id) {
+        const count = this.presets.length;
+        this.presets = this.presets.filter(preset => preset.id !== id);
+        if (this.presets.length !== count) {
+            this.persist();
+        }
+        return this.presets.length !== count;
+    }
+
+    exportJSON() {
+        return JSON.stringify({
+            format: PRESET_FILE_FORMAT,
+            version: PRESET_FILE_VERSION,
+            presets: this.presets.map(({ id, ...preset }) => preset)
+        }, null, 2);
+    }
+
+    // Accepts an exported file (or a bare array of presets). Presets are merged by name,
+    // so re-importing a team file updates the existing entries. Returns the imported count.
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(t('presets.invalidJSON'));
+        }
+
+        const entries = Array.isArray(data) ? data : data && data.presets;
+        if (!Array.isArray(entries) || (!Array.isArray(data) && data.format !== PRESET_FILE_FORMAT)) {
+            throw new Error(t('presets.invalidFile'));
+        }
+        if (!Array.isArray(data) && data.version > PRESET_FILE_VERSION) {
+            throw new Error(t('presets.newerVersion', { version: data.version }));
+        }
+
+        const valid = entries.filter(entry => entry && typeof entry.name === 'string' && entry.name.trim());
+        for (const entry of valid) {
+            const existing = this.findByName(entry.name);
+            const preset = this.normalize({ ...entry, id: existing ? existing.id : this.createId(), name: entry.name.trim() });
+            this.presets = existing
+                ? this.presets.map(item => (item.id === existing.id ? preset : item))
+                : [...this.presets, preset];
+        }
+
+        if (valid.length > 0) {
+            this.persist();
+        }
+        return valid.length;
+    }
+
+    // Listeners are called with the new preset list after every change
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    persist() {
+        this.notify();
+        this.storage.save(STORAGE_KEY, this.presets);
+    }
+
+    notify() {
+        const presets = this.list();
+        this.listeners.forEach(listener => {
+            try {
+                listener(presets);
+            } catch (error) {
+                console.error('Preset listener failed:', error);
+            }
+        });
+    }
+
+    // Style values go through the panel state rules, so presets can't hold out-of-range axes
+    normalize(preset) {
+        const state = PanelStateStore.getInstance().sanitize({ ...DEFAULT_PANEL_STATE, ...preset });
+        const normalized = { id: preset.id, name: String(preset.name).trim() };
+        PRESET_FIELDS.forEach(field => { normalized[field] = state[field]; });
+        return normalized;
+    }
+
+    validateName(name) {
+        const trimmed = typeof name === 'string' ? name.trim() : '';
+        if (!trimmed) {
+            throw new Error(t('presets.nameRequired'));
+        }
+        return trimmed;
+    }
+
+    createId() {
+        return `preset_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    }
+}
@@ -0,0 +1,168 @@
+import { getFontStatus, restyleIconLayers, scanProjectIconLayers } from './cep.js';
+import { parseIconLayerInfo } from './selectionSync.js';
+
+export const USAGE_REPORT_FORMAT = 'material-icons-ae-usage-report';
+export const USAGE_REPORT_VERSION = 1;
+
+const OTHER_FAMILY = 'Other';
+const CSV_COLUMNS = [
+    ['comp', 'Comp'], ['layer', 'Layer'], ['layerIndex', 'Index'], ['type', 'Type'], ['family', 'Family'],
+    ['icon', 'Icon'], ['codepoint', 'Codepoint'], ['font', 'Font'], ['fontMissing', 'Font missing']
+];
+
+// The font family a layer's icon comes from: its Material Symbols family, or the font of
+// a legacy "Material Icons" text layer
+function fontNameOf({ layer, icon }) {
+    return icon.fontFamily ? `Material Symbols ${icon.fontFamily}` : (layer.fontFamily || '');
+}
+
+// Usage grouped by family and icon, from scan entries and getFontStatus results.
+// Text layers are flagged when AE substitutes their font or the family isn't installed;
+// shape layers are vectors and never need the font, so shape-only families aren't checked.
+export function buildUsageReport(entries, fontStatus = {}, generatedAt = new Date()) {
+    const families = new Map();
+    const layers = entries.map(({ layer, icon }) => {
+        const fontName = fontNameOf({ layer, icon });
+        const family = icon.fontFamily || fontName || OTHER_FAMILY;
+        const needsFont = layer.type === 'text';
+        const row = {
+            comp: layer.compName,
+            layer: layer.name,
+            layerIndex: layer.layerIndex,
+            type: layer.type,
+            family,
+            icon: icon.name || '',
+            codepoint: icon.codepoint,
+            font: needsFont ? (layer.font || fontName) : '',
+            fontMissing: needsFont && (Boolean(layer.fontMissing) || fontStatus[fontName] === false)
+        };
+
+        if (!families.has(family)) {
+            families.set(family, { family, fontName, needsFont: false, installed: null, layers: 0, icons: new Map() });
+        }
+        const group = families.get(family);
+        group.layers++;
+        if (needsFont) {
+            group.needsFont = true;
+            group.installed = fontStatus[fontName] ?? null;
+        }
+        const iconKey = row.icon || row.codepoint;
+        const usage = group.icons.get(iconKey) || { name: row.icon, codepoint: row.codepoint, layers: 0 };
+        usage.layers++;
+        group.icons.set(iconKey, usage);
+        return row;
+    });
+
+    const missing = layers.filter(row => row.fontMissing);
+    return {
+        format: USAGE_REPORT_FORMAT,
+        version: USAGE_REPORT_VERSION,
+        generatedAt: generatedAt.toISOString(),
+        summary: {
+            layers: layers.length,
+            comps: new Set(layers.map(row => row.comp)).size,
+            icons: new Set(layers.map(row => `${row.family}/${row.codepoint}`)).size,
+            missingFontLayers: missing.length
+        },
+        families: [...families.values()].map(group => ({
+            ...group,
+            icons: [...group.icons.values()].sort((a, b) => b.layers - a.layers || a.codepoint.localeCompare(b.codepoint))
+        })),
+        layers
+    };
+}
+
+export function usageReportToCSV(report) {
+    const escape = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [CSV_COLUMNS.map(([, header]) => header).join(',')];
+    report.layers.forEach(row => {
+        lines.push(CSV_COLUMNS.map(([key]) => escape(key === 'fontMissing' ? (row[key] ? 'yes' : 'no') : row[key])).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Material Symbols layers found across the project by the last scan.
+// Entries: { layer (host description), icon (parseIconLayerInfo result) }
+export class ProjectIconManager {
+    static instance = null;
+
+    constructor() {
+        if (ProjectIconManager.instance) {
+            return ProjectIconManager.instance;
+        }
+
+        this.entries = [];
+        this.resolveIcon = null;
+
+        ProjectIconManager.instance = this;
+    }
+
+    static getInstance() {
+        if (!ProjectIconManager.instance) {
+            ProjectIconManager.instance = new ProjectIconManager();
+        }
+        return ProjectIconManager.instance;
+    }
+
+    // resolveIcon(codepoint) names untagged text layers, which only carry their glyph
+    async scan(csInterface, resolveIcon = this.resolveIcon) {
+        this.resolveIcon = resolveIcon;
+        const layers = await scanProjectIconLayers(csInterface);
+        this.entries = layers
+            .map(layer => ({ layer, icon: parseIconLayerInfo(layer) }))
+            .filter(entry => entry.icon)
+            .map(entry => {
+                if (!entry.icon.name && resolveIcon) {
+                    const match = resolveIcon(entry.icon.codepoint);
+                    entry.icon.name = match ? match.name : null;
+                }
+                return entry;
+            });
+        return this.list();
+    }
+
+    list() {
+        return [...this.entries];
+    }
+
+    // Each layer keeps its own family, axes and size unless style overrides them.
+    // baseSettings are the panel's insert settings, used where a layer has no metadata.
+    getRestyleSettings(entry, style, baseSettings) {
+        const settings = { ...baseSettings, ...entry.icon.axes };
+        if (entry.icon.fontFamily) {
+            settings.fontFamily = entry.icon.fontFamily;
+        }
+        const metadata = entry.layer.metadata;
+        if (metadata && metadata.size) {
+            settings.size = metadata.size;
+        }
+        return { ...settings, ...style };
+    }
+
+    // Rescan and check which of the used fonts are installed
+    async buildReport(csInterface, resolveIcon = this.resolveIcon) {
+        const entries = await this.scan(csInterface, resolveIcon);
+        const fontNames = [...new Set(entries
+            .filter(entry => entry.layer.type === 'text')
+            .map(fontNameOf)
+            .filter(Boolean))];
+        const fontStatus = fontNames.length > 0 ? await getFontStatus(csInterface, fontNames) : {};
+        return buildUsageReport(entries, fontStatus);
+    }
+
+    // style: any of { fontFamily, fill, weight, grade, opticalSize }. Rescans afterwards,
+    // so the list reflects the new styles. Resolves to the per-layer results.
+    async restyle(csInterface, entries, style, baseSettings) {
+        const targets = entries.map(entry => ({
+            layer: entry.layer,
+            icon: { name: entry.icon.name || entry.layer.name, unicode: entry.icon.codepoint },
+            settings: this.getRestyleSettings(entry, style, baseSettings)
+        }));
+        const results = await restyleIconLayers(csInterface, targets);
+        await this.scan(csInterface);
+        return results;
+    }
+}
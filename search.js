@@ -0,0 +1,200 @@
+import { ICON_SYNONYMS } from './iconSynonyms.js';
+
+// Relative weights for the different ways a query token can match an icon
+const SCORE = {
+    exactName: 1000,
+    namePrefix: 300,
+    exactToken: 100,
+    tokenPrefix: 70,
+    synonym: 60,
+    tag: 50,
+    substring: 40,
+    tagPrefix: 30,
+    fuzzy: 30
+};
+
+// Ranked icon search: tokenized names, prefix/substring matching, a synonym table
+// and edit-distance typo tolerance
+export class IconSearchEngine {
+    constructor(synonyms = ICON_SYNONYMS) {
+        this.synonymLookup = this.buildSynonymLookup(synonyms);
+        this.entries = new Map(); // icon object -> precomputed search entry
+    }
+
+    // Map each search term to the icon name tokens it stands for
+    buildSynonymLookup(synonyms) {
+        const lookup = new Map();
+        for (const [token, terms] of Object.entries(synonyms)) {
+            for (const term of terms) {
+                if (!lookup.has(term)) {
+                    lookup.set(term, new Set());
+                }
+                lookup.get(term).add(token);
+            }
+        }
+        return lookup;
+    }
+
+    index(icons) {
+        this.entries = new Map();
+        for (const icon of icons) {
+            this.entries.set(icon, this.createEntry(icon));
+        }
+    }
+
+    createEntry(icon) {
+        const name = icon.name.toLowerCase();
+        return {
+            name,
+            tokens: name.split('_').filter(Boolean),
+            tags: (icon.tags || []).map(tag => tag.toLowerCase())
+        };
+    }
+
+    tokenize(query) {
+        return query.toLowerCase().split(/[\s_\-]+/).filter(Boolean);
+    }
+
+    // Returns the matching icons from `icons`, most relevant first
+    search(query, icons) {
+        const queryTokens = this.tokenize(query || '');
+        if (queryTokens.length === 0) {
+            return icons;
+        }
+
+        const joinedQuery = queryTokens.join('_');
+        const results = [];
+
+        for (const icon of icons) {
+            let entry = this.entries.get(icon);
+            if (!entry) {
+                entry = this.createEntry(icon);
+                this.entries.set(icon, entry);
+            }
+
+            const score = this.scoreEntry(entry, queryTokens, joinedQuery, icon.popularity);
+            if (score > 0) {
+                results.push({ icon, score });
+            }
+        }
+
+        results.sort((a, b) => b.score - a.score || a.icon.name.localeCompare(b.icon.name));
+        return results.map(result => result.icon);
+    }
+
+    scoreEntry(entry, queryTokens, joinedQuery, popularity = 0) {
+        let score = 0;
+
+        if (entry.name === joinedQuery) {
+            score += SCORE.exactName;
+        } else if (entry.name.startsWith(joinedQuery)) {
+            score += SCORE.namePrefix;
+        }
+
+        // Every query token has to match something, so multi-word queries narrow results
+        for (let i = 0; i < queryTokens.length; i++) {
+            const tokenScore = this.scoreToken(entry, queryTokens[i]);
+            if (tokenScore === 0) {
+                return 0;
+            }
+            score += tokenScore;
+        }
+
+        // Prefer short, specific names and (when metadata is loaded) popular icons on ties
+        score -= entry.tokens.length * 2;
+        if (popularity > 0) {
+            score += Math.min(10, Math.log10(popularity + 1) * 2);
+        }
+
+        return score;
+    }
+
+    scoreToken(entry, queryToken) {
+        let best = 0;
+        const synonymTokens = this.synonymLookup.get(queryToken);
+
+        entry.tokens.forEach((token, position) => {
+            let tokenScore = 0;
+            if (token === queryToken) {
+                tokenScore = SCORE.exactToken;
+            } else if (token.startsWith(queryToken)) {
+                tokenScore = SCORE.tokenPrefix * (queryToken.length / token.length) + SCORE.substring * 0.5;
+            } else if (synonymTokens && synonymTokens.has(token)) {
+                tokenScore = SCORE.synonym;
+            } else {
+                const distance = this.editDistance(queryToken, token, this.maxTypos(queryToken));
+                if (distance > 0) {
+                    tokenScore = SCORE.fuzzy - (distance - 1) * 10;
+                }
+            }
+
+            // Matches on the leading token describe the icon best
+            if (tokenScore > 0 && position === 0) {
+                tokenScore += 10;
+            }
+            best = Math.max(best, tokenScore);
+        });
+
+        if (best === 0 && queryToken.length >= 3 && entry.name.includes(queryToken)) {
+            best = SCORE.substring;
+        }
+
+        for (const tag of entry.tags) {
+            if (tag === queryToken) {
+                best = Math.max(best, SCORE.tag);
+            } else if (queryToken.length >= 3 && tag.startsWith(queryToken)) {
+                best = Math.max(best, SCORE.tagPrefix);
+            }
+        }
+
+        return best;
+    }
+
+    maxTypos(token) {
+        if (token.length >= 8) return 2;
+        if (token.length >= 4) return 1;
+        return 0;
+    }
+
+    // Damerau-Levenshtein distance (adjacent transpositions count as one edit).
+    // Returns -1 when the distance exceeds maxDistance so callers can bail early.
+    editDistance(a, b, maxDistance) {
+        if (maxDistance <= 0 || Math.abs(a.length - b.length) > maxDistance) {
+            return -1;
+        }
+
+        const rows = a.length + 1;
+        const cols = b.length + 1;
+        const matrix = Array.from({ length: rows }, (_, i) => {
+            const row = new Array(cols).fill(0);
+            row[0] = i;
+            return row;
+        });
+        for (let j = 0; j < cols; j++) {
+            matrix[0][j] = j;
+        }
+
+        for (let i = 1; i < rows; i++) {
+            let rowMin = Infinity;
+            for (let j = 1; j < cols; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(
+                    matrix[i - 1][j] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j - 1] + cost
+                );
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, matrix[i - 2][j - 2] + 1);
+                }
+                matrix[i][j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > maxDistance) {
+                return -1;
+            }
+        }
+
+        const distance = matrix[rows - 1][cols - 1];
+        return distance <= maxDistance ? distance : -1;
+    }
+}
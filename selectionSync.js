@@ -0,0 +1,120 @@
+import { getSelectedLayerInfo } from './cep.js';
+import { FONT_FAMILIES, VARIATION_AXES } from './panelState.js';
+
+// After Effects doesn't send selection events to panels, so changes are picked up by
+// polling, plus an immediate check whenever the host application regains focus
+export const SELECTION_POLL_INTERVAL = 1000;
+export const SELECTION_EVENTS = ['com.adobe.csxs.events.ApplicationActivate'];
+
+const ICON_FONT_PATTERN = /Material ?(Symbols|Icons)/i;
+const FAMILY_PATTERN = /Material ?Symbols ?(Outlined|Rounded|Sharp)/i;
+
+// Turn the host's layer description (see MaterialIconsHost.getSelectedIconInfo) into
+// { name, codepoint, fontFamily, axes }, or null when the layer isn't a Material Symbols icon.
+// Stored metadata wins; text layers without it are read from their character and font.
+export function parseIconLayerInfo(layer) {
+    if (!layer) return null;
+
+    const metadata = layer.metadata && typeof layer.metadata === 'object' ? layer.metadata : {};
+    const fontName = `${layer.fontFamily || ''} ${layer.font || ''}`;
+    const character = typeof layer.text === 'string' ? layer.text.trim() : '';
+    const isIconText = layer.type === 'text' && ICON_FONT_PATTERN.test(fontName) && character.length > 0;
+
+    const codepoint = metadata.codepoint
+        ? String(metadata.codepoint).toLowerCase()
+        : isIconText ? character.codePointAt(0).toString(16) : null;
+    if (!codepoint && !metadata.name) return null;
+
+    const familyMatch = FAMILY_PATTERN.exec(fontName);
+    const familyName = String(metadata.fontFamily || (familyMatch && familyMatch[1]) || '').toLowerCase();
+    const axes = {};
+    VARIATION_AXES.forEach(axis => {
+        if (metadata[axis.key] !== undefined && metadata[axis.key] !== null) {
+            axes[axis.key] = String(metadata[axis.key]);
+        }
+    });
+
+    return {
+        name: typeof metadata.name === 'string' ? metadata.name : null,
+        codepoint,
+        fontFamily: FONT_FAMILIES.find(family => family.toLowerCase() === familyName) || null,
+        axes
+    };
+}
+
+// Follows the selected layer in the active comp and reports each new icon layer
+export class SelectionSync {
+    static instance = null;
+
+    constructor() {
+        if (SelectionSync.instance) {
+            return SelectionSync.instance;
+        }
+
+        this.csInterface = null;
+        this.handler = null;
+        this.timer = null;
+        this.lastSignature = null;
+        this.checking = false;
+        this.onHostEvent = () => this.check();
+
+        SelectionSync.instance = this;
+    }
+
+    static getInstance() {
+        if (!SelectionSync.instance) {
+            SelectionSync.instance = new SelectionSync();
+        }
+        return SelectionSync.instance;
+    }
+
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    // handler(icon, layer) is called with the parseIconLayerInfo result whenever the
+    // selection moves to a different icon layer (or the selected one changes)
+    start(csInterface, handler, interval = SELECTION_POLL_INTERVAL) {
+        this.stop();
+        this.csInterface = csInterface;
+        this.handler = handler;
+        SELECTION_EVENTS.forEach(type => csInterface.addEventListener(type, this.onHostEvent));
+        this.timer = setInterval(() => this.check(), interval);
+        return this.check();
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.csInterface) {
+            SELECTION_EVENTS.forEach(type => this.csInterface.removeEventListener(type, this.onHostEvent));
+        }
+        this.csInterface = null;
+        this.handler = null;
+        this.lastSignature = null;
+    }
+
+    async check() {
+        if (this.checking || !this.csInterface) return;
+        this.checking = true;
+        try {
+            const layer = await getSelectedLayerInfo(this.csInterface);
+            const signature = layer
+                ? JSON.stringify([layer.compId, layer.id, layer.text, layer.font, layer.metadata])
+                : null;
+            if (signature === this.lastSignature) return;
+            this.lastSignature = signature;
+
+            const icon = parseIconLayerInfo(layer);
+            if (icon && this.handler) {
+                await this.handler(icon, layer);
+            }
+        } catch (error) {
+            console.warn('Selection sync check failed:', error.message);
+        } finally {
+            this.checking = false;
+        }
+    }
+}
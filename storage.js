@@ -0,0 +1,96 @@
+import { readLocalFile, writeLocalFile } from './cep.js';
+
+const STORAGE_PREFIX = 'materialicons_';
+const USER_DATA_FOLDER = 'MaterialIconsAE';
+
+// Persistent key/value storage: localStorage in the browser, JSON files in the
+// user data folder when running inside CEP
+export class StorageManager {
+    static instance = null;
+
+    constructor() {
+        if (StorageManager.instance) {
+            return StorageManager.instance;
+        }
+
+        this.csInterface = null;
+        this.dataFolder = null;
+        this.cache = new Map();
+        this.pendingWrites = new Map();
+
+        StorageManager.instance = this;
+    }
+
+    static getInstance() {
+        if (!StorageManager.instance) {
+            StorageManager.instance = new StorageManager();
+        }
+        return StorageManager.instance;
+    }
+
+    // Switch to file-backed storage once CSInterface is available
+    configure(csInterface) {
+        this.csInterface = csInterface;
+        this.dataFolder = null;
+        this.cache.clear();
+
+        if (csInterface && typeof SystemPath !== 'undefined') {
+            try {
+                this.dataFolder = csInterface.getSystemPath(SystemPath.USER_DATA) + '/' + USER_DATA_FOLDER;
+            } catch (error) {
+                console.warn('User data folder unavailable, falling back to localStorage:', error);
+            }
+        }
+    }
+
+    getFilePath(key) {
+        return `${this.dataFolder}/${key}.json`;
+    }
+
+    async load(key, defaultValue = null) {
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        let value = defaultValue;
+        try {
+            const raw = this.dataFolder
+                ? await readLocalFile(this.csInterface, this.getFilePath(key), 1)
+                : localStorage.getItem(STORAGE_PREFIX + key);
+            if (raw) {
+                value = JSON.parse(raw);
+            }
+        } catch (error) {
+            // A missing file just means nothing has been saved yet
+            console.log(`No stored value for "${key}": ${error.message}`);
+        }
+
+        this.cache.set(key, value);
+        return value;
+    }
+
+    async save(key, value) {
+        this.cache.set(key, value);
+        const serialized = JSON.stringify(value);
+
+        if (!this.dataFolder) {
+            try {
+                localStorage.setItem(STORAGE_PREFIX + key, serialized);
+                return true;
+            } catch (error) {
+                console.error(`Failed to save "${key}" to localStorage:`, error);
+                return false;
+            }
+        }
+
+        // Serialize writes per key so an older snapshot never lands after a newer one
+        const previous = this.pendingWrites.get(key) || Promise.resolve();
+        const write = previous.then(() => writeLocalFile(this.csInterface, this.getFilePath(key), serialized, 2))
+            .catch(error => {
+                console.error(`Failed to save "${key}" to ${this.getFilePath(key)}:`, error);
+                return false;
+            });
+        this.pendingWrites.set(key, write);
+        return write;
+    }
+}
@@ -0,0 +1,152 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { LoadingManager } from '../ui.js';
+import { notify } from '../notifications.js';
+import { getIconLabel } from '../icons.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+let env;
+let panel;
+
+async function openPanel(codepoints = 'arrow_back e5c4\nhome e88a\nsearch e8b6\n', count = 3) {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', codepoints);
+    panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === count);
+}
+
+function press(key, target = document.activeElement, options = {}) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+const cards = () => [...document.querySelectorAll('#iconsGrid .icon-item')];
+const tabStops = () => cards().filter(card => card.tabIndex === 0);
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('the grid is a labelled listbox of options', async () => {
+    await openPanel();
+    const grid = document.getElementById('iconsGrid');
+    assert.equal(grid.getAttribute('role'), 'listbox');
+    assert.equal(grid.getAttribute('aria-multiselectable'), 'true');
+
+    const [first] = cards();
+    const icon = panel.iconManager.elementIcons.get(first);
+    assert.equal(first.getAttribute('role'), 'option');
+    assert.equal(first.getAttribute('aria-label'), getIconLabel(icon));
+    assert.match(first.getAttribute('aria-label'), /^arrow back, /);
+    assert.equal(first.getAttribute('aria-posinset'), '1');
+    assert.equal(first.getAttribute('aria-setsize'), '3');
+    assert.equal(first.querySelector('.icon-symbol').getAttribute('aria-hidden'), 'true');
+
+    first.querySelector('.icon-favorite-btn').click();
+    assert.match(first.getAttribute('aria-label'), /, favorite$/);
+
+    cards()[2].dispatchEvent(new MouseEvent('click', { bubbles: true, ctrlKey: true }));
+    assert.deepEqual(cards().map(card => card.getAttribute('aria-selected')), ['false', 'false', 'true']);
+});
+
+test('only the active card is a tab stop', async () => {
+    await openPanel();
+    assert.deepEqual(tabStops(), [cards()[0]], 'the first card until one is active');
+    // Options can't hold controls; the card actions are pointer-only marks with shortcuts
+    assert.ok(cards().every(card => !card.querySelector('button, a, input, select, [tabindex]')));
+    assert.ok(cards().every(card => card.querySelector('.icon-export-btn').getAttribute('aria-hidden') === 'true'));
+
+    press('ArrowRight', document.body);
+    press('ArrowRight');
+    assert.deepEqual(tabStops(), [cards()[1]]);
+
+    // Tabbing onto another card makes it the active one
+    cards()[2].focus();
+    assert.deepEqual(tabStops(), [cards()[2]]);
+    assert.equal(panel.iconManager.getActiveIcon().name, 'search');
+});
+
+test('the virtual grid reports each card position in the full list', async () => {
+    const codepoints = Array.from({ length: 150 }, (_, i) => `icon_${i} ${(0xe000 + i).toString(16)}`).join('\n');
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', codepoints);
+    panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelector('#iconsGrid.virtual .icon-item'));
+
+    panel.iconManager.focusIconAt(120);
+    const active = document.querySelector('.icon-item.active');
+    assert.equal(active.getAttribute('aria-posinset'), '121');
+    assert.equal(active.getAttribute('aria-setsize'), '150');
+    assert.deepEqual(tabStops(), [active]);
+});
+
+test('notifications and errors are announced through live regions', () => {
+    const loading = LoadingManager.getInstance();
+
+    loading.showToast('Icon added');
+    assert.equal(document.getElementById('liveRegionPolite').textContent, 'Icon added');
+    assert.equal(document.getElementById('liveRegionPolite').getAttribute('role'), 'status');
+
+    notify('Insert failed', { type: 'error' });
+    assert.equal(document.getElementById('liveRegionAssertive').textContent, 'Insert failed');
+
+    loading.showLoading('Loading icons...');
+    assert.equal(document.getElementById('liveRegionPolite').textContent, 'Loading icons...');
+    loading.showError('Initialization Failed', 'No host');
+    assert.equal(document.getElementById('liveRegionAssertive').textContent, 'Initialization Failed. No host');
+});
+
+test('the error overlay traps focus and gives it back when hidden', () => {
+    const loading = LoadingManager.getInstance();
+    const searchInput = document.getElementById('searchInput');
+    searchInput.focus();
+
+    loading.showError('Initialization Failed', 'No host');
+    const retry = document.getElementById('retryButton');
+    const fallback = document.getElementById('fallbackButton');
+    assert.equal(document.getElementById('errorOverlay').getAttribute('role'), 'dialog');
+    assert.equal(document.activeElement, retry);
+
+    fallback.focus();
+    press('Tab');
+    assert.equal(document.activeElement, retry, 'Tab wraps around');
+    press('Tab', retry, { shiftKey: true });
+    assert.equal(document.activeElement, fallback);
+
+    loading.hideError();
+    assert.equal(document.activeElement, searchInput);
+});
+
+test('the loading overlay holds the focus while shown', () => {
+    const loading = LoadingManager.getInstance();
+    const searchInput = document.getElementById('searchInput');
+    searchInput.focus();
+
+    loading.showLoading('Loading icons...');
+    const overlay = document.getElementById('loadingOverlay');
+    assert.equal(document.activeElement, overlay);
+    press('Tab');
+    assert.equal(document.activeElement, overlay);
+
+    loading.hideLoading();
+    assert.equal(document.activeElement, searchInput);
+});
+
+test('the shortcut help and the detail drawer return the focus on close', async () => {
+    await openPanel();
+    press('ArrowRight', document.body);
+    const card = document.activeElement;
+
+    press('I');
+    assert.equal(document.querySelector('.icon-drawer').getAttribute('role'), 'dialog');
+    assert.notEqual(document.activeElement, card);
+    press('Escape');
+    assert.equal(document.activeElement, card);
+
+    press('?');
+    assert.equal(document.getElementById('shortcutHelp').getAttribute('aria-modal'), 'true');
+    press('Escape');
+    assert.equal(document.activeElement, card);
+});
@@ -0,0 +1,115 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { addIconToAfterEffects } from '../cep.js';
+import { contoursToShapePaths, GlyphOutlineExtractor } from '../fontOutline.js';
+import { DEFAULT_INSERTION_SETTINGS } from '../insertionDefaults.js';
+import { InsertionSettingsManager } from '../insertionSettings.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const ICON = { name: 'home', unicode: 'e88a' };
+const FONT_SETTINGS = { fontFamily: 'Outlined', fill: '0', weight: '400', grade: '0', opticalSize: '48' };
+const FONT = { unitsPerEm: 1000, ascender: 1000, descender: 0 };
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+// Record the axis values each outline was requested with instead of parsing a font
+function stubShapePaths() {
+    const requests = [];
+    GlyphOutlineExtractor.getInstance().getShapePaths = async (csInterface, icon, settings, size, options) => {
+        requests.push({ fill: settings.fill, weight: settings.weight, grade: settings.grade, options });
+        return [{ vertices: [[0, 0], [Number(settings.weight), 0], [0, size]], inTangents: [], outTangents: [], closed: true }];
+    };
+    return requests;
+}
+
+test('animation settings are clamped to the axis ranges', () => {
+    const settings = InsertionSettingsManager.getInstance().sanitize({
+        ...DEFAULT_INSERTION_SETTINGS,
+        animateAxes: 'yes',
+        animateToFill: '3',
+        animateFromWeight: '50',
+        animationDuration: 'soon',
+        animationEasing: 'bounce'
+    });
+
+    assert.equal(settings.animateAxes, true);
+    assert.equal(settings.animateToFill, 1);
+    assert.equal(settings.animateFromWeight, 100);
+    assert.equal(settings.animationDuration, DEFAULT_INSERTION_SETTINGS.animationDuration);
+    assert.equal(settings.animationEasing, DEFAULT_INSERTION_SETTINGS.animationEasing);
+});
+
+test('preserveTopology keeps collapsed contours and closing vertices', () => {
+    const square = [
+        { x: 0, y: 0, onCurve: true }, { x: 100, y: 0, onCurve: true },
+        { x: 100, y: 100, onCurve: true }, { x: 0, y: 0, onCurve: true }
+    ];
+    const collapsed = [{ x: 50, y: 50, onCurve: true }, { x: 50, y: 50, onCurve: true }];
+
+    const plain = contoursToShapePaths([square, collapsed], FONT, 100, 100);
+    const stable = contoursToShapePaths([square, collapsed], FONT, 100, 100, { preserveTopology: true });
+
+    assert.equal(plain.length, 1);
+    assert.equal(plain[0].vertices.length, 3);
+    assert.equal(stable.length, 2);
+    assert.equal(stable[0].vertices.length, 4);
+});
+
+test('animated inserts send start and end outlines as a shape layer', async () => {
+    const requests = stubShapePaths();
+    const settings = {
+        ...FONT_SETTINGS,
+        ...DEFAULT_INSERTION_SETTINGS,
+        insertMode: 'text',
+        animateAxes: true,
+        animateFromWeight: 200,
+        animateToWeight: 700,
+        animationDuration: 1.5,
+        animationEasing: 'easeOut'
+    };
+
+    assert.equal(await addIconToAfterEffects(env.csInterface, ICON, settings), true);
+
+    const [{ args: [{ item }] }] = env.csInterface.callsTo('MaterialIconsHost.addIcon');
+    assert.equal(item.mode, 'shape', 'text layers cannot animate axes');
+    assert.deepEqual(requests.map(request => [request.fill, request.weight, request.grade]), [[0, 200, '0'], [1, 700, '0']]);
+    assert.ok(requests.every(request => request.options.preserveTopology));
+    assert.equal(item.paths[0].vertices[1][0], 200);
+    assert.equal(item.animation.endPaths[0].vertices[1][0], 700);
+    assert.equal(item.animation.duration, 1.5);
+    assert.equal(item.animation.easing, 'easeOut');
+});
+
+test('static inserts carry no animation', async () => {
+    stubShapePaths();
+    const settings = { ...FONT_SETTINGS, ...DEFAULT_INSERTION_SETTINGS, insertMode: 'shape' };
+
+    await addIconToAfterEffects(env.csInterface, ICON, settings);
+    const [{ args: [{ item }] }] = env.csInterface.callsTo('MaterialIconsHost.addIcon');
+    assert.equal(item.animation, undefined);
+});
+
+test('animation options are disabled until animation is switched on', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\n');
+    new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 1);
+
+    const duration = document.getElementById('animationDuration');
+    assert.equal(duration.disabled, true);
+
+    const toggle = document.querySelector('[data-setting="animateAxes"]');
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event('change'));
+
+    assert.equal(duration.disabled, false);
+    assert.equal(InsertionSettingsManager.getInstance().get().animateAxes, true);
+});
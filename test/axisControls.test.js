@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+let env;
+let panel;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nsearch e8b6\n');
+    panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+});
+
+afterEach(() => env.teardown());
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+test('axis selects become sliders with numeric inputs over the full ranges', () => {
+    const weight = document.getElementById('fontStyle');
+    assert.equal(weight.type, 'range');
+    assert.deepEqual([weight.min, weight.max, weight.value], ['100', '700', '400']);
+    assert.equal(document.getElementById('fontGrad').min, '-50');
+    assert.equal(document.getElementById('fontFill').step, '0.01');
+    assert.equal(document.getElementById('fontOpszValue').type, 'number');
+});
+
+test('dragging a slider updates the grid variation without rebuilding cards', async () => {
+    const cards = [...document.querySelectorAll('.icon-item')];
+    let renders = 0;
+    const renderIcons = panel.iconManager.renderIcons.bind(panel.iconManager);
+    panel.iconManager.renderIcons = () => { renders++; renderIcons(); };
+
+    const weight = document.getElementById('fontStyle');
+    for (const value of ['450', '500', '555']) {
+        weight.value = value;
+        weight.dispatchEvent(new Event('input'));
+    }
+    await nextFrame();
+
+    const grid = document.getElementById('iconsGrid');
+    assert.equal(grid.style.getPropertyValue('--icon-font-variation'), "'FILL' 0, 'wght' 555, 'GRAD' 0, 'opsz' 48");
+    assert.equal(document.getElementById('fontStyleValue').value, '555');
+    assert.equal(renders, 0);
+    assert.deepEqual([...document.querySelectorAll('.icon-item')], cards);
+});
+
+test('numeric input is clamped and persisted on change', async () => {
+    const grade = document.getElementById('fontGradValue');
+    grade.value = '-80';
+    grade.dispatchEvent(new Event('change'));
+
+    assert.equal(panel.currentFontGrad, '-50');
+    assert.equal(grade.value, '-50');
+    assert.equal(document.getElementById('fontGrad').value, '-50');
+    assert.equal(panel.stateStore.get().grade, '-50');
+});
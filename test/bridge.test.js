@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { callHostFunction, evalHostScript, HostBridgeError, HostErrorCode, unwrapHostResult } from '../bridge.js';
+import { HOST_EXTENSIONS_SCRIPT } from '../hostScripts.js';
+import { MockCSInterface, TIMEOUT } from './helpers/mockCSInterface.js';
+
+test('callHostFunction passes JSON arguments and parses the host result', async () => {
+    const cs = new MockCSInterface();
+    let received;
+    cs.hostFunction('MaterialIconsHost.echo', (...args) => {
+        received = args;
+        return { success: true, value: args[0].text };
+    });
+
+    const tricky = 'quote " backslash \\ newline \n separator \u2028';
+    const result = await callHostFunction(cs, 'MaterialIconsHost.echo', [{ text: tricky }, 42]);
+
+    assert.deepEqual(result, { success: true, data: { success: true, value: tricky } });
+    assert.deepEqual(received, [{ text: tricky }, 42]);
+    assert.ok(!cs.calls[0].script.includes('\u2028'), 'line separators are escaped in the script');
+});
+
+test('host failures become HOST_ERROR results', async () => {
+    const cs = new MockCSInterface();
+    cs.hostFunction('MaterialIconsHost.fail', () => ({ success: false, message: 'No active composition' }));
+
+    const result = await callHostFunction(cs, 'MaterialIconsHost.fail');
+    assert.deepEqual(result, { success: false, error: { code: HostErrorCode.HOST_ERROR, message: 'No active composition' } });
+});
+
+test('null, malformed and missing answers are typed errors', async () => {
+    const cs = new MockCSInterface();
+    cs.respondOnce('MaterialIconsHost.addIcon', null)
+        .respondOnce('MaterialIconsHost.addIcon', '{"success": tru')
+        .respondOnce('MaterialIconsHost.addIcon', 'EvalScript error.');
+
+    assert.equal((await callHostFunction(cs, 'MaterialIconsHost.addIcon', [{}])).error.code, HostErrorCode.EMPTY_RESULT);
+    assert.equal((await callHostFunction(cs, 'MaterialIconsHost.addIcon', [{}])).error.code, HostErrorCode.MALFORMED_RESULT);
+    assert.equal((await callHostFunction(cs, 'MaterialIconsHost.addIcon', [{}])).error.code, HostErrorCode.HOST_ERROR);
+    assert.equal((await callHostFunction(cs, 'MaterialIconsHost.unknown')).error.code, HostErrorCode.HOST_ERROR);
+});
+
+test('every call is bounded by a timeout and late answers are ignored', async () => {
+    const cs = new MockCSInterface();
+    cs.respondOnce('MaterialIconsHost.addIcon', TIMEOUT);
+
+    const result = await callHostFunction(cs, 'MaterialIconsHost.addIcon', [{}], { timeout: 20 });
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, HostErrorCode.TIMEOUT);
+});
+
+test('function names are validated and a missing CSInterface is reported', async () => {
+    const cs = new MockCSInterface();
+    const invalid = await callHostFunction(cs, 'alert("x");MaterialIconsHost.addIcon');
+    assert.equal(invalid.error.code, HostErrorCode.INVALID_FUNCTION);
+    assert.equal(cs.calls.length, 0);
+
+    const unavailable = await evalHostScript(null, '1');
+    assert.equal(unavailable.error.code, HostErrorCode.UNAVAILABLE);
+});
+
+test('unwrapHostResult returns data or throws a HostBridgeError', () => {
+    assert.equal(unwrapHostResult({ success: true, data: 5 }), 5);
+    assert.throws(
+        () => unwrapHostResult({ success: false, error: { code: HostErrorCode.TIMEOUT, message: 'too slow' } }),
+        (error) => error instanceof HostBridgeError && error.code === HostErrorCode.TIMEOUT && error.message === 'too slow'
+    );
+});
+
+test('the host extensions bring a JSON fallback for engines without one', async () => {
+    // An ExtendScript stand-in: a fresh global without JSON
+    const host = vm.createContext({});
+    vm.runInContext('delete this.JSON;', host);
+    assert.equal(vm.runInContext('typeof JSON', host), 'undefined');
+    vm.runInContext(HOST_EXTENSIONS_SCRIPT, host);
+
+    const value = { text: 'quote " backslash \\ newline \n tab \t separator \u2028 bell \u0007', list: [1, -2.5e-3, true, null], nested: { empty: [] } };
+    const json = vm.runInContext(`JSON.stringify(${JSON.stringify(value)})`, host);
+    assert.deepEqual(JSON.parse(json), value);
+    assert.equal(vm.runInContext('JSON.stringify({ a: undefined, b: function () {}, c: [undefined] })', host), '{"c":[null]}');
+    const parsed = vm.runInContext(`JSON.parse(${JSON.stringify(JSON.stringify(value))})`, host);
+    assert.deepEqual(JSON.parse(JSON.stringify(parsed)), value, 'compared outside the host realm');
+    assert.throws(() => vm.runInContext('JSON.parse("{\\"a\\": alert(1)}")', host), /unexpected character/);
+
+    // The bridge's call wrapper works against it end to end
+    host.app = { fonts: { getFontsByFamilyNameAndStyleName: family => (family.includes('Outlined') ? [{}] : []) } };
+    const csInterface = { evalScript: (script, callback) => callback(vm.runInContext(script, host)) };
+    const result = await callHostFunction(csInterface, 'MaterialIconsHost.getFontStatus', [['Material Symbols Outlined', 'Material Symbols Sharp']]);
+    assert.deepEqual(unwrapHostResult(result).fonts, { 'Material Symbols Outlined': true, 'Material Symbols Sharp': false });
+});
@@ -0,0 +1,122 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment } from './helpers/environment.js';
+import { TIMEOUT } from './helpers/mockCSInterface.js';
+import {
+    addIconToAfterEffects, addIconsToAfterEffects, initializeCSInterface, loadJSXHostScript, readLocalFile, writeLocalFile
+} from '../cep.js';
+import { InsertionSettingsManager } from '../insertionSettings.js';
+
+const ICON = { name: 'home', unicode: 'e88a' };
+const SETTINGS = { fontFamily: 'Outlined', fill: '0', weight: '400', grade: '0', opticalSize: '48' };
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('initializeCSInterface returns the instance once the probe script answers', async () => {
+    const csInterface = await initializeCSInterface();
+    assert.equal(csInterface, env.csInterface);
+    assert.equal(env.csInterface.calls.length, 1);
+});
+
+test('initializeCSInterface retries after a probe timeout', async () => {
+    env.csInterface.respondOnce(/CSInterface_Test_Success/, TIMEOUT);
+
+    const csInterface = await initializeCSInterface();
+    assert.equal(csInterface, env.csInterface);
+    assert.equal(env.csInterface.calls.length, 2);
+});
+
+test('loadJSXHostScript passes the extension path and gives up on a missing file', async () => {
+    assert.equal(await loadJSXHostScript(env.csInterface), true);
+    assert.deepEqual(env.csInterface.callsTo('MaterialIconsHost.loadScriptFile')[0].args,
+        ['C:/mock/extension/jsx/hostscript.jsx']);
+
+    env.csInterface.hostFunction('MaterialIconsHost.loadScriptFile', (path) => (
+        { success: false, message: `JSX_FILE_NOT_FOUND: ${path}` }
+    ));
+    await assert.rejects(loadJSXHostScript(env.csInterface), /JSX_FILE_NOT_FOUND/);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.loadScriptFile').length, 2, 'not retried');
+});
+
+test('readLocalFile retries malformed and null answers', async () => {
+    env.csInterface.writeExtensionFile('/src/test.codepoints', 'home e88a\n');
+    env.csInterface.respondOnce('MaterialIconsHost.readTextFile', 'not json')
+        .respondOnce('MaterialIconsHost.readTextFile', null);
+
+    const content = await readLocalFile(env.csInterface, 'C:/mock/extension/src/test.codepoints');
+    assert.equal(content, 'home e88a\n');
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.readTextFile').length, 3);
+});
+
+test('readLocalFile fails once its attempts are used up', async () => {
+    await assert.rejects(readLocalFile(env.csInterface, 'C:/mock/missing.json', 2), /File does not exist/);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.readTextFile').length, 2);
+});
+
+test('writeLocalFile round-trips through the host file system', async () => {
+    await writeLocalFile(env.csInterface, 'C:/mock/userData/data.json', '{"a":"ü"}');
+    assert.equal(await readLocalFile(env.csInterface, 'C:/mock/userData/data.json', 1), '{"a":"ü"}');
+});
+
+test('addIconToAfterEffects retries a call that never reached the host and sends the icon as JSON', async () => {
+    const evalScript = env.csInterface.evalScript;
+    env.csInterface.evalScript = () => {
+        env.csInterface.evalScript = evalScript;
+        throw new Error('Host is busy');
+    };
+
+    assert.equal(await addIconToAfterEffects(env.csInterface, ICON, SETTINGS), true);
+    const calls = env.csInterface.callsTo('MaterialIconsHost.addIcon');
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].args[0].item.character, '\ue88a');
+    assert.equal(calls[0].args[0].item.fontName, 'Material Symbols Outlined');
+});
+
+test('an alignment saved as "cursor" loads as the selected layer it always targeted', async () => {
+    const manager = InsertionSettingsManager.getInstance();
+    manager.storage.load = async () => ({ alignment: 'cursor' });
+    await manager.load();
+    assert.equal(manager.get().alignment, 'selected-layer');
+
+    await addIconToAfterEffects(env.csInterface, ICON, { ...SETTINGS, ...manager.get() });
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon')[0].args[0].options.alignment, 'selected-layer');
+});
+
+test('addIconToAfterEffects does not retry once the host may have run the insert', async () => {
+    env.csInterface.respondOnce('MaterialIconsHost.addIcon', null);
+
+    assert.equal(await addIconToAfterEffects(env.csInterface, ICON, SETTINGS), false);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon').length, 1);
+    assert.equal(document.querySelector('.notification-error .notification-actions button').textContent, 'Retry');
+});
+
+test('addIconToAfterEffects does not retry when there is no composition', async () => {
+    env.csInterface.hostFunction('MaterialIconsHost.addIcon', () => (
+        { success: false, message: 'No active composition. Open a composition in the timeline first.' }
+    ));
+
+    assert.equal(await addIconToAfterEffects(env.csInterface, ICON, SETTINGS), false);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon').length, 1);
+});
+
+test('addIconsToAfterEffects reports per-icon results from one host call', async () => {
+    env.csInterface.hostFunction('MaterialIconsHost.addIconBatch', ({ items }) => ({
+        success: true,
+        results: items.map((item, index) => ({ name: item.name, success: index === 0, message: index === 0 ? '' : 'boom' }))
+    }));
+
+    const icons = [ICON, { name: 'search', unicode: 'e8b6' }];
+    const results = await addIconsToAfterEffects(env.csInterface, icons, SETTINGS, 'row');
+    assert.deepEqual(results.map(result => result.success), [true, false]);
+    const [call] = env.csInterface.callsTo('MaterialIconsHost.addIconBatch');
+    assert.equal(call.args[0].items.length, 2);
+    assert.notDeepEqual(call.args[0].items[0].offset, call.args[0].items[1].offset);
+});
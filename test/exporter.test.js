@@ -0,0 +1,107 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment } from './helpers/environment.js';
+import { IconExporter } from '../exporter.js';
+import { GlyphOutlineExtractor } from '../fontOutline.js';
+
+const ICON = { name: 'home', unicode: 'e88a' };
+const SETTINGS = { fontFamily: 'Outlined', fill: '0', weight: '400', grade: '0', opticalSize: '48' };
+
+// A 20×20 square around the origin, as contoursToShapePaths returns it
+const SQUARE = {
+    vertices: [[-10, -10], [10, -10], [10, 10], [-10, 10]],
+    inTangents: [[0, 0], [0, 0], [0, 0], [0, 0]],
+    outTangents: [[0, 0], [0, 0], [0, 0], [0, 0]],
+    closed: true
+};
+const SQUARE_PATH = 'M14 14C14 14 34 14 34 14C34 14 34 34 34 34C34 34 14 34 14 34C14 34 14 14 14 14Z';
+
+// Bytes no UTF-8 round trip would survive
+const PNG_BYTES = '\x89PNG\r\n\x1a\n\x00\xff';
+
+let env;
+let exporter;
+let shapeRequests;
+
+const writes = () => env.csInterface.callsTo('MaterialIconsHost.writeTextFile')
+    .map(({ args: [path, content, encoding] }) => ({ path: path.replace(/\\/g, '/'), content, encoding }));
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+    shapeRequests = [];
+    GlyphOutlineExtractor.getInstance().getShapePaths = async (csInterface, icon, settings, size) => {
+        shapeRequests.push({ icon: icon.name, weight: settings.weight, size });
+        return [SQUARE];
+    };
+    exporter = IconExporter.getInstance();
+});
+
+afterEach(() => {
+    delete globalThis.Path2D;
+    env.teardown();
+});
+
+test('path data turns vertices and relative tangents into cubic curves around the center', () => {
+    assert.equal(exporter.buildPathData([SQUARE], 24), SQUARE_PATH);
+
+    const curve = {
+        vertices: [[0, -10], [10, 0]],
+        inTangents: [[-5.55, 0], [0, -5.5555]],
+        outTangents: [[5.5555, 0], [0, 5.55]]
+    };
+    assert.equal(exporter.buildPathData([curve, SQUARE], 0),
+        'M0 -10C5.556 -10 10 -5.556 10 0C10 5.55 -5.55 -10 0 -10Z' +
+        'M-10 -10C-10 -10 10 -10 10 -10C10 -10 10 10 10 10C10 10 -10 10 -10 10C-10 10 -10 -10 -10 -10Z');
+});
+
+test('SVG export asks for a location and writes the file as UTF-8', async () => {
+    assert.equal(await exporter.exportIcon(env.csInterface, ICON, SETTINGS, { format: 'svg', size: 48, color: '#ff0000' }), true);
+
+    assert.deepEqual(shapeRequests, [{ icon: 'home', weight: '400', size: 48 }]);
+    const [dialog] = env.csInterface.callsTo('MaterialIconsHost.chooseSaveLocation');
+    assert.equal(dialog.args[0], 'home_outlined_48.svg');
+    assert.deepEqual(writes(), [{
+        path: 'C:/mock/Desktop/home_outlined_48.svg',
+        content: '<svg xmlns="http://www.w3.org/2000/svg" width="48" height="48" viewBox="0 0 48 48">' +
+            `<path fill="#ff0000" fill-rule="nonzero" d="${SQUARE_PATH}"/></svg>\n`,
+        encoding: 'UTF-8'
+    }]);
+    assert.match(document.querySelector('.notification-success .notification-message').textContent, /home_outlined_48\.svg/);
+});
+
+test('PNG export fills the path on a canvas and writes its bytes as BINARY', async () => {
+    const drawn = [];
+    globalThis.Path2D = class {
+        constructor(d) {
+            this.d = d;
+        }
+    };
+    const createElement = document.createElement.bind(document);
+    document.createElement = (tag) => {
+        if (tag !== 'canvas') return createElement(tag);
+        const context = { fill: (path, rule) => drawn.push({ d: path.d, rule, fillStyle: context.fillStyle }) };
+        return {
+            getContext: () => context,
+            toDataURL: (type) => `data:${type};base64,${Buffer.from(PNG_BYTES, 'latin1').toString('base64')}`
+        };
+    };
+
+    assert.equal(await exporter.exportIcon(env.csInterface, ICON, SETTINGS, { format: 'png', size: 48, color: '#00ff00' }), true);
+
+    assert.deepEqual(drawn, [{ d: SQUARE_PATH, rule: 'nonzero', fillStyle: '#00ff00' }]);
+    assert.deepEqual(writes(), [{ path: 'C:/mock/Desktop/home_outlined_48.png', content: PNG_BYTES, encoding: 'BINARY' }]);
+});
+
+test('a cancelled save dialog writes nothing and a failed outline is reported', async () => {
+    env.csInterface.hostFunction('MaterialIconsHost.chooseSaveLocation', () => ({ success: true, path: null }));
+    assert.equal(await exporter.exportIcon(env.csInterface, ICON, SETTINGS, { format: 'svg', size: 24 }), false);
+    assert.deepEqual(writes(), []);
+
+    GlyphOutlineExtractor.getInstance().getShapePaths = async () => {
+        throw new Error('Glyph for "home" not found');
+    };
+    assert.equal(await exporter.exportIcon(env.csInterface, ICON, SETTINGS, { format: 'svg', size: 24 }), false);
+    assert.match(document.querySelector('.notification-error .notification-message').textContent, /not found/);
+});
@@ -0,0 +1,87 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { resetSingletons, setupEnvironment } from './helpers/environment.js';
+import { buildTestFont } from './helpers/fontBuilder.js';
+import { contoursToShapePaths, GlyphOutlineExtractor, VariableFont } from '../fontOutline.js';
+
+const SQUARE = 0xE88A;
+const COMPOSITE = 0xE838;
+
+let env;
+let font;
+
+// [x, y] per point, contours flattened; on-curve flags are checked separately
+const outline = (codepoint, axisValues) => font
+    .getGlyphContours(font.getGlyphId(codepoint), font.normalizeCoordinates(axisValues))
+    .flat()
+    .map(point => [point.x, point.y]);
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    font = new VariableFont(buildTestFont());
+});
+
+afterEach(() => env.teardown());
+
+test('the font tables are read: metrics, axes, avar maps and cmap', () => {
+    assert.equal(font.unitsPerEm, 1000);
+    assert.deepEqual(font.axes.map(axis => [axis.tag, axis.min, axis.default, axis.max]), [['wght', 100, 400, 700], ['FILL', 0, 0, 1]]);
+    assert.equal(font.getGlyphId(SQUARE), 1);
+    assert.equal(font.getGlyphId(COMPOSITE), 2);
+    assert.equal(font.getGlyphId(0xE000), 0);
+    assert.equal(font.getAdvanceWidth(1), 600);
+
+    // avar bends wght: halfway to the maximum is a quarter of the way in design space
+    assert.deepEqual(font.normalizeCoordinates({ wght: 550 }), [0.25, 0]);
+    assert.deepEqual(font.normalizeCoordinates({ wght: 250, FILL: 1 }), [-0.5, 1]);
+    assert.deepEqual(font.normalizeCoordinates({ wght: 9999, FILL: 'x' }), [1, 0], 'clamped, invalid values use the default');
+});
+
+test('the default instance is the glyph as drawn', () => {
+    assert.deepEqual(outline(SQUARE, {}), [[0, 0], [50, 0], [100, 0], [100, 100], [0, 100]]);
+    const [contour] = font.getGlyphContours(1, font.normalizeCoordinates({}));
+    assert.deepEqual(contour.map(point => point.onCurve), [true, false, true, true, true]);
+});
+
+test('gvar deltas move touched points and IUP infers the rest', () => {
+    // Point 1 lies halfway between touched points 0 and 2 in x, so it moves halfway.
+    // In y, both touched points sit at y=0 with different deltas, so untouched points stay.
+    assert.deepEqual(outline(SQUARE, { wght: 700 }), [[0, 0], [60, 0], [120, 30], [120, 100], [0, 100]]);
+    // Through avar, wght 550 is a quarter of the full delta
+    assert.deepEqual(outline(SQUARE, { wght: 550 }), [[0, 0], [52.5, 0], [105, 7.5], [105, 100], [0, 100]]);
+});
+
+test('shared tuples apply to every point, scaled by the coordinate', () => {
+    assert.deepEqual(outline(SQUARE, { wght: 250 }), [[0, -5], [50, -5], [100, -5], [100, 95], [0, 95]]);
+    // FILL is not part of the tuple, so it doesn't change the scalar
+    assert.deepEqual(outline(SQUARE, { wght: 100, FILL: 1 }), [[0, -10], [50, -10], [100, -10], [100, 90], [0, 90]]);
+});
+
+test('composite glyphs transform their components and vary their offsets', () => {
+    assert.deepEqual(outline(COMPOSITE, {}), [[300, 0], [325, 0], [350, 0], [350, 50], [300, 50]]);
+    // The component varies too, and the composite's own delta moves it 40 right
+    assert.deepEqual(outline(COMPOSITE, { wght: 700 }), [[340, 0], [370, 0], [400, 15], [400, 50], [340, 50]]);
+});
+
+test('getShapePaths reads the font through CEP and uses the axis settings', async () => {
+    const base64 = Buffer.from(buildTestFont()).toString('base64');
+    const reads = [];
+    window.cep = {
+        fs: { readFile: (path, encoding) => { reads.push([path, encoding]); return { err: 0, data: base64 }; } },
+        encoding: { Base64: 'Base64' }
+    };
+
+    const extractor = GlyphOutlineExtractor.getInstance();
+    const icon = { name: 'home', unicode: 'e88a' };
+    const settings = { fontFamily: 'Outlined', fill: '0', weight: '700', grade: '0', opticalSize: '48' };
+    const paths = await extractor.getShapePaths(env.csInterface, icon, settings, 100);
+
+    const contours = font.getGlyphContours(1, font.normalizeCoordinates({ wght: 700 }));
+    assert.deepEqual(paths, contoursToShapePaths(contours, font, 600, 100));
+    assert.notDeepEqual(paths, await extractor.getShapePaths(env.csInterface, icon, { ...settings, weight: '400' }, 100));
+    assert.equal(reads.length, 1, 'the parsed font is cached per family');
+    assert.match(reads[0][0], /\/fonts\/MaterialSymbolsOutlined\[FILL,GRAD,opsz,wght\]\.ttf$/);
+
+    await assert.rejects(extractor.getShapePaths(env.csInterface, { name: 'nope', unicode: 'e000' }, settings, 100), /not found/);
+});
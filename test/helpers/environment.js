@@ -0,0 +1,131 @@
+// jsdom-backed browser globals for running panel modules in Node, plus the
+// singleton resets and polling helpers the tests share.
+import { JSDOM } from 'jsdom';
+import { MockCSInterface, SystemPath } from './mockCSInterface.js';
+
+// The subset of the panel's index.html the modules look up by id
+export const PANEL_FIXTURE = `<!DOCTYPE html>
+<html>
+<body>
+    <div id="loadingOverlay" style="display: none;">
+        <div id="loadingText"></div>
+        <div id="progressBar"></div>
+    </div>
+    <div id="errorOverlay" style="display: none;">
+        <h3 id="errorTitle"></h3>
+        <p id="errorMessage"></p>
+        <button id="retryButton" class="error-retry-btn">Retry</button>
+        <button id="fallbackButton">Basic mode</button>
+    </div>
+    <div class="controls">
+        <input id="searchInput" type="text">
+        <button id="clearSearch">×</button>
+        <select id="categoryFilter"></select>
+        <select id="fontFamily">
+            <option value="Outlined">Outlined</option>
+            <option value="Rounded">Rounded</option>
+            <option value="Sharp">Sharp</option>
+        </select>
+        <select id="fontStyle">
+            <option value="100">100</option><option value="200">200</option><option value="300">300</option>
+            <option value="400" selected>400</option><option value="500">500</option><option value="600">600</option>
+            <option value="700">700</option>
+        </select>
+        <select id="fontFill"><option value="0">0</option><option value="1">1</option></select>
+        <select id="fontGrad"><option value="-25">-25</option><option value="0" selected>0</option><option value="200">200</option></select>
+        <select id="fontOpsz">
+            <option value="20">20</option><option value="24">24</option><option value="40">40</option><option value="48" selected>48</option>
+        </select>
+        <button class="view-btn" data-size="small">S</button>
+        <button class="view-btn active" data-size="medium">M</button>
+        <button class="view-btn" data-size="large">L</button>
+        <input id="hideNames" type="checkbox">
+        <button id="resetFilters">Reset</button>
+    </div>
+    <div id="iconsGrid" class="icons-grid medium"></div>
+</body>
+</html>`;
+
+const WINDOW_GLOBALS = [
+    'window', 'document', 'navigator', 'localStorage', 'location', 'Node', 'HTMLElement',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'MutationObserver',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+// Install a fresh DOM and (optionally) a mock CSInterface as globals.
+// Returns { dom, csInterface, teardown }; pass { cep: false } for browser mode.
+export function setupEnvironment({ html = PANEL_FIXTURE, cep = true, quiet = !process.env.DEBUG_TESTS } = {}) {
+    const dom = new JSDOM(html, { url: 'http://localhost/', pretendToBeVisual: true });
+
+    const define = (name, value) => {
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    };
+
+    WINDOW_GLOBALS.forEach(name => define(name, dom.window[name]));
+    define('alert', () => {});
+
+    let csInterface = null;
+    if (cep) {
+        csInterface = new MockCSInterface();
+        define('SystemPath', SystemPath);
+        // initializeCSInterface constructs its own instance; hand out the scripted one
+        define('CSInterface', function CSInterface() { return csInterface; });
+    } else {
+        define('SystemPath', undefined);
+        define('CSInterface', undefined);
+    }
+
+    const consoleMethods = ['log', 'info', 'warn', 'error'];
+    const originalConsole = Object.fromEntries(consoleMethods.map(method => [method, console[method]]));
+    if (quiet) {
+        consoleMethods.forEach(method => { console[method] = () => {}; });
+    }
+
+    // The globals stay defined until the next setup: timers the panel leaves behind
+    // (toasts, debounced search) must not throw once a test has finished
+    const teardown = () => {
+        consoleMethods.forEach(method => { console[method] = originalConsole[method]; });
+        dom.window.close();
+    };
+
+    return { dom, csInterface, teardown };
+}
+
+// Drop every singleton so each test starts from a clean panel
+export async function resetSingletons() {
+    const modules = await Promise.all([
+        import('../../debug.js'), import('../../dom.js'), import('../../errorRecovery.js'),
+        import('../../exporter.js'), import('../../fontOutline.js'), import('../../i18n.js'), import('../../iconDetails.js'), import('../../insertHistory.js'), import('../../insertionSettings.js'),
+        import('../../keyboard.js'), import('../../library.js'), import('../../notifications.js'), import('../../panelState.js'), import('../../presets.js'),
+        import('../../projectIcons.js'), import('../../selectionSync.js'), import('../../storage.js'), import('../../ui.js')
+    ]);
+    // A running selection poll would keep firing into the next test
+    const { SelectionSync } = await import('../../selectionSync.js');
+    SelectionSync.instance?.stop();
+    // Nor should the previous panel's shortcuts stay on the document
+    const { KeyboardShortcutManager } = await import('../../keyboard.js');
+    KeyboardShortcutManager.instance?.detach();
+    // Or its notification timers
+    const { NotificationCenter } = await import('../../notifications.js');
+    NotificationCenter.instance?.detach();
+
+    modules.flatMap(module => Object.values(module))
+        .filter(value => typeof value === 'function' && Object.hasOwn(value, 'instance'))
+        .forEach(singleton => { singleton.instance = null; });
+}
+
+// Retry backoff uses real delays; tests only care about the attempt count
+export async function disableRetryDelays() {
+    const { ErrorRecoveryManager } = await import('../../errorRecovery.js');
+    ErrorRecoveryManager.getInstance().delay = () => Promise.resolve();
+}
+
+export async function waitFor(predicate, { timeout = 2000, interval = 10 } = {}) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error(`Condition not met within ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
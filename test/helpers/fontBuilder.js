@@ -0,0 +1,160 @@
+// A hand-built variable TrueType font, small enough to reason about point by point,
+// for testing VariableFont without shipping the multi-megabyte Material Symbols files.
+//
+// Axes: wght 100..400..700 (avar maps normalized 0.5 to 0.25) and FILL 0..0..1.
+// Glyph 1 (U+E88A): one contour (0,0) (50,0 off-curve) (100,0) (100,100) (0,100).
+//   wght+ moves points 0 and 2 only, by (0,0) and (20,30); the rest is inferred (IUP).
+//   wght- (a shared tuple) moves every point down by 10.
+// Glyph 2 (U+E838): glyph 1 at half scale offset by (300,0); wght+ moves it 40 right.
+
+const F2DOT14_ONE = 16384;
+
+class ByteWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    u8(...values) {
+        values.forEach(value => this.bytes.push(value & 0xFF));
+        return this;
+    }
+
+    i8(...values) {
+        return this.u8(...values);
+    }
+
+    u16(...values) {
+        values.forEach(value => this.u8(value >> 8, value));
+        return this;
+    }
+
+    i16(...values) {
+        return this.u16(...values.map(value => value & 0xFFFF));
+    }
+
+    u32(...values) {
+        values.forEach(value => this.u16(value >>> 16, value & 0xFFFF));
+        return this;
+    }
+
+    fixed(...values) {
+        return this.u32(...values.map(value => Math.round(value * 65536) >>> 0));
+    }
+
+    f2dot14(...values) {
+        return this.i16(...values.map(value => Math.round(value * F2DOT14_ONE)));
+    }
+
+    tag(text) {
+        return this.u8(...[...text].map(char => char.charCodeAt(0)));
+    }
+
+    pad(multiple = 2) {
+        while (this.bytes.length % multiple) this.u8(0);
+        return this;
+    }
+
+    get length() {
+        return this.bytes.length;
+    }
+}
+
+function headTable() {
+    const table = new ByteWriter().fixed(1, 1).u32(0, 0x5F0F3CF5).u16(0, 1000);
+    table.u32(0, 0, 0, 0).i16(0, 0, 1000, 1000).u16(0, 8).i16(2, 1, 0); // indexToLocFormat 1: long offsets
+    return table;
+}
+
+function cmapTable() {
+    const groups = [[0xE838, 0xE838, 2], [0xE88A, 0xE88A, 1]];
+    const table = new ByteWriter().u16(0, 1).u16(3, 10).u32(12);
+    table.u16(12, 0).u32(16 + groups.length * 12, 0, groups.length);
+    groups.forEach(group => table.u32(...group));
+    return table;
+}
+
+function glyphs() {
+    const square = new ByteWriter().i16(1, 0, 0, 100, 100).u16(4, 0);
+    square.u8(0x01, 0x00, 0x01, 0x01, 0x01); // On, off, on, on, on; coordinates as int16 deltas
+    square.i16(0, 50, 50, 0, -100).i16(0, 0, 0, 100, 0).pad();
+
+    // ARG_1_AND_2_ARE_WORDS | ARGS_ARE_XY_VALUES | WE_HAVE_A_SCALE
+    const composite = new ByteWriter().i16(-1, 300, 0, 350, 50).u16(0x000B, 1).i16(300, 0).f2dot14(0.5);
+    return [new ByteWriter(), square, composite];
+}
+
+function fvarTable() {
+    const table = new ByteWriter().u16(1, 0, 16, 2, 2, 20, 0, 12);
+    table.tag('wght').fixed(100, 400, 700).u16(0, 256);
+    table.tag('FILL').fixed(0, 0, 1).u16(0, 257);
+    return table;
+}
+
+function avarTable() {
+    const table = new ByteWriter().u16(1, 0, 0, 2);
+    table.u16(4).f2dot14(-1, -1, 0, 0, 0.5, 0.25, 1, 1);
+    table.u16(3).f2dot14(-1, -1, 0, 0, 1, 1);
+    return table;
+}
+
+function gvarTable() {
+    // Glyph 1: tuple 1 has an embedded peak (wght +1) and private points 0 and 2;
+    // tuple 2 uses shared tuple 0 (wght -1) and covers all 5 + 4 phantom points
+    const square = new ByteWriter().u16(2, 16);
+    square.u16(10, 0xA000).f2dot14(1, 0);
+    square.u16(11, 0x0000);
+    square.u8(2, 0x01, 0, 2).u8(0x01).i8(0, 20).u8(0x01).i8(0, 30);
+    square.u8(0x88).u8(0x08).i8(...new Array(9).fill(-10)).pad();
+
+    // Glyph 2: one component offset + 4 phantom points, all moved by the wght +1 tuple
+    const composite = new ByteWriter().u16(1, 12);
+    composite.u16(7, 0x8000).f2dot14(1, 0);
+    composite.u8(0x04).i8(40, 0, 0, 0, 0).u8(0x84).pad();
+
+    const data = [new ByteWriter(), square, composite];
+    const sharedTuplesOffset = 20 + (data.length + 1) * 4;
+    const dataOffset = sharedTuplesOffset + 4;
+    const table = new ByteWriter().u16(1, 0, 2, 1).u32(sharedTuplesOffset).u16(data.length, 1).u32(dataOffset);
+    let offset = 0;
+    data.forEach(glyph => {
+        table.u32(offset);
+        offset += glyph.length;
+    });
+    table.u32(offset);
+    table.f2dot14(-1, 0);
+    data.forEach(glyph => table.u8(...glyph.bytes));
+    return table;
+}
+
+export function buildTestFont() {
+    const glyf = new ByteWriter();
+    const loca = new ByteWriter();
+    glyphs().forEach(glyph => {
+        loca.u32(glyf.length);
+        glyf.u8(...glyph.bytes);
+    });
+    loca.u32(glyf.length);
+
+    const tables = {
+        cmap: cmapTable(),
+        fvar: fvarTable(),
+        avar: avarTable(),
+        glyf,
+        gvar: gvarTable(),
+        head: headTable(),
+        hhea: new ByteWriter().fixed(1).i16(800, -200, 0).u16(1000).i16(0, 0, 1000, 1, 0, 0, 0, 0, 0, 0, 0).u16(3),
+        hmtx: new ByteWriter().u16(1000, 0, 600, 0, 600, 0),
+        loca,
+        maxp: new ByteWriter().fixed(0.5).u16(3)
+    };
+
+    const tags = Object.keys(tables).sort();
+    const font = new ByteWriter().u32(0x00010000).u16(tags.length, 0, 0, 0);
+    let offset = 12 + tags.length * 16;
+    tags.forEach(tag => {
+        font.tag(tag).u32(0, offset, tables[tag].length);
+        offset += Math.ceil(tables[tag].length / 4) * 4;
+    });
+    tags.forEach(tag => font.u8(...tables[tag].bytes).pad(4));
+    return new Uint8Array(font.bytes).buffer;
+}
@@ -0,0 +1,242 @@
+// Stand-ins for Adobe's CSInterface and SystemPath, so cep.js and the panel can run
+// in Node. evalScript answers are scriptable per call: a string, null, a malformed
+// payload, or TIMEOUT (the callback never fires).
+
+export const SystemPath = {
+    USER_DATA: 'userData',
+    COMMON_FILES: 'commonFiles',
+    MY_DOCUMENTS: 'myDocuments',
+    APPLICATION: 'application',
+    EXTENSION: 'extension',
+    HOST_APPLICATION: 'hostApplication'
+};
+
+// Response that never calls back, to exercise the bridge timeout
+export const TIMEOUT = Symbol('timeout');
+
+// Matches the call site generated by bridge.js callHostFunction
+const HOST_CALL_PATTERN = /var result = ([\w$.]+)\(([\s\S]*?)\);\s*return typeof result/;
+
+// Host paths come back from cep.js with Windows separators; compare them with forward slashes
+function normalizeHostPath(path) {
+    return String(path).replace(/\\/g, '/');
+}
+
+export class MockCSInterface {
+    constructor({
+        extensionPath = 'C:/mock/extension',
+        userDataPath = 'C:/mock/userData',
+        appLocale = 'en_US',
+        osInformation = 'Windows 10 64-bit'
+    } = {}) {
+        this.paths = {
+            [SystemPath.EXTENSION]: extensionPath,
+            [SystemPath.USER_DATA]: userDataPath
+        };
+        this.appLocale = appLocale;
+        this.osInformation = osInformation;
+        this.keyEventsInterest = null; // Last registerKeyEventsInterest payload, parsed
+        this.calls = [];
+        this.rules = [];
+        this.hostFunctions = new Map();
+        this.files = new Map();
+        this.listeners = new Map();
+        this.selectedLayer = null; // What MaterialIconsHost.getSelectedIconInfo reports
+        this.projectLayers = [];   // What MaterialIconsHost.scanProjectIcons reports
+        this.insertedLayers = [];  // Layer refs addIcon and addIconBatch created and removeLayers hasn't removed
+        this.nextLayerId = 1;
+        this.installedFonts = new Set(['Material Symbols Outlined', 'Material Symbols Rounded', 'Material Symbols Sharp']);
+
+        this.installDefaultHost();
+    }
+
+    getSystemPath(type) {
+        return this.paths[type] || `C:/mock/${type}`;
+    }
+
+    getHostEnvironment() {
+        return JSON.stringify({ appName: 'AEFT', appVersion: '24.0.0', appLocale: this.appLocale });
+    }
+
+    getOSInformation() {
+        return this.osInformation;
+    }
+
+    registerKeyEventsInterest(keyEventsInterest) {
+        this.keyEventsInterest = JSON.parse(keyEventsInterest);
+    }
+
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this.listeners.get(type) || [];
+        this.listeners.set(type, listeners.filter(entry => entry !== listener));
+    }
+
+    dispatchEvent(event) {
+        (this.listeners.get(event.type) || []).forEach(listener => listener(event));
+    }
+
+    // Script the next evalScript answers. matcher: host function name, or a RegExp or
+    // predicate on the raw script; response: string, null, TIMEOUT
+    // or (script, call) => response.
+    respond(matcher, response, { once = false } = {}) {
+        this.rules.push({ matcher, response, once });
+        return this;
+    }
+
+    respondOnce(matcher, response) {
+        return this.respond(matcher, response, { once: true });
+    }
+
+    // Emulate a MaterialIconsHost function; handler receives the deserialized arguments.
+    // Non-string return values are JSON encoded, thrown errors become { success: false }.
+    hostFunction(name, handler) {
+        this.hostFunctions.set(name, handler);
+        return this;
+    }
+
+    callsTo(functionName) {
+        return this.calls.filter(call => call.functionName === functionName);
+    }
+
+    reset() {
+        this.calls = [];
+        this.rules = [];
+    }
+
+    evalScript(script, callback) {
+        const call = { script, ...this.parseHostCall(script) };
+        this.calls.push(call);
+
+        const response = this.resolveResponse(call);
+        if (response === TIMEOUT) {
+            return;
+        }
+        // CEP always answers asynchronously
+        setTimeout(() => callback && callback(response), 0);
+    }
+
+    parseHostCall(script) {
+        const match = HOST_CALL_PATTERN.exec(script);
+        if (!match) {
+            return { functionName: null, args: null };
+        }
+        return { functionName: match[1], args: JSON.parse(`[${match[2]}]`) };
+    }
+
+    resolveResponse(call) {
+        const ruleIndex = this.rules.findIndex(rule => this.matches(rule.matcher, call));
+        if (ruleIndex !== -1) {
+            const rule = this.rules[ruleIndex];
+            if (rule.once) {
+                this.rules.splice(ruleIndex, 1);
+            }
+            return typeof rule.response === 'function' ? rule.response(call.script, call) : rule.response;
+        }
+
+        if (call.functionName) {
+            return this.runHostFunction(call);
+        }
+        if (call.script.includes('HOST_EXTENSIONS_READY')) {
+            return 'HOST_EXTENSIONS_READY';
+        }
+
+        // Plain expressions such as the '"CSInterface_Test_Success"' probe evaluate to themselves
+        const literal = /^\s*"([^"]*)"\s*$/.exec(call.script);
+        return literal ? literal[1] : 'undefined';
+    }
+
+    matches(matcher, call) {
+        if (typeof matcher === 'function') return matcher(call.script, call);
+        if (matcher instanceof RegExp) return matcher.test(call.script);
+        // Strings name a host function; the install script mentions every name, so
+        // raw scripts are only matched through a RegExp or predicate
+        return call.functionName === matcher;
+    }
+
+    runHostFunction({ functionName, args }) {
+        const handler = this.hostFunctions.get(functionName);
+        if (!handler) {
+            return JSON.stringify({ success: false, message: `Host function not found: ${functionName}` });
+        }
+        try {
+            const result = handler(...args);
+            return typeof result === 'string' ? result : JSON.stringify(result);
+        } catch (error) {
+            return JSON.stringify({ success: false, message: error.toString() });
+        }
+    }
+
+    // File system and insertion behaviour of hostScripts.js, backed by this.files
+    installDefaultHost() {
+        this.hostFunction('MaterialIconsHost.loadScriptFile', () => ({ success: true }));
+
+        this.hostFunction('MaterialIconsHost.readTextFile', (path) => {
+            const key = normalizeHostPath(path);
+            if (!this.files.has(key)) {
+                return { success: false, message: `File does not exist: ${path}` };
+            }
+            return { success: true, content: this.files.get(key) };
+        });
+
+        this.hostFunction('MaterialIconsHost.writeTextFile', (path, content) => {
+            this.files.set(normalizeHostPath(path), content);
+            return { success: true };
+        });
+
+        this.hostFunction('MaterialIconsHost.chooseSaveLocation', (defaultName) => (
+            { success: true, path: `C:/mock/Desktop/${defaultName}` }
+        ));
+
+        this.hostFunction('MaterialIconsHost.addIcon', ({ item }) => (
+            { success: true, message: 'Icon layer created', layerName: item.layerName, layerIndex: 1, layers: [this.insertLayer(item)] }
+        ));
+
+        this.hostFunction('MaterialIconsHost.replaceSelectedIcons', ({ item }) => (
+            { success: true, replaced: [item.name], skipped: [] }
+        ));
+
+        this.hostFunction('MaterialIconsHost.getSelectedIconInfo', () => (
+            { success: true, layer: this.selectedLayer }
+        ));
+
+        this.hostFunction('MaterialIconsHost.scanProjectIcons', () => (
+            { success: true, layers: this.projectLayers }
+        ));
+
+        this.hostFunction('MaterialIconsHost.getFontStatus', (families) => (
+            { success: true, fonts: Object.fromEntries(families.map(family => [family, this.installedFonts.has(family)])) }
+        ));
+
+        this.hostFunction('MaterialIconsHost.restyleIcons', ({ targets }) => (
+            { success: true, results: targets.map(({ compId, layerId }) => ({ compId, layerId, success: true })) }
+        ));
+
+        this.hostFunction('MaterialIconsHost.addIconBatch', ({ items }) => (
+            { success: true, results: items.map(item => ({ name: item.name, success: true, layer: this.insertLayer(item) })) }
+        ));
+
+        this.hostFunction('MaterialIconsHost.removeLayers', ({ layers }) => {
+            const found = layers.filter(ref => this.insertedLayers.some(layer => layer.compId === ref.compId && layer.layerId === ref.layerId));
+            this.insertedLayers = this.insertedLayers.filter(layer => !found.some(ref => ref.compId === layer.compId && ref.layerId === layer.layerId));
+            return { success: true, removed: found.length, missing: layers.filter(ref => !found.includes(ref)).map(ref => ref.name) };
+        });
+    }
+
+    insertLayer(item) {
+        const layer = { compId: 1, layerId: this.nextLayerId++, name: item.layerName || item.name };
+        this.insertedLayers.push(layer);
+        return layer;
+    }
+
+    // Seed a file under the extension folder, e.g. writeExtensionFile('/src/x.codepoints', '...')
+    writeExtensionFile(relativePath, content) {
+        this.files.set(normalizeHostPath(this.getSystemPath(SystemPath.EXTENSION) + relativePath), content);
+    }
+}
@@ -0,0 +1,116 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { I18n, detectLocale, localizeElement, normalizeLocale, t } from '../i18n.js';
+import { MESSAGES } from '../locales.js';
+import { PanelStateStore } from '../panelState.js';
+import { addIconToAfterEffects } from '../cep.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+let env;
+let panel;
+
+async function openPanel(appLocale) {
+    env.csInterface.appLocale = appLocale;
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nsearch e8b6\n');
+    panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+}
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('locales are detected from the host, then the browser', () => {
+    assert.equal(normalizeLocale('ar_AE'), 'ar');
+    assert.equal(normalizeLocale('en-GB'), 'en');
+    assert.equal(normalizeLocale('fr_FR'), null);
+
+    env.csInterface.appLocale = 'ar_EG';
+    assert.equal(detectLocale(env.csInterface), 'ar');
+    // CSInterface returns an object rather than JSON in current CEP builds
+    assert.equal(detectLocale({ getHostEnvironment: () => ({ appLocale: 'ar_SA' }) }), 'ar');
+    env.csInterface.appLocale = 'de_DE';
+    assert.equal(detectLocale(env.csInterface), 'en', 'no catalog: the browser language (jsdom: en-US)');
+    assert.equal(detectLocale(), 'en');
+});
+
+test('messages interpolate, pick Arabic plural forms and fall back to English', () => {
+    const i18n = I18n.getInstance();
+    assert.equal(t('selection.insert', { count: 1 }), 'Insert 1 icon');
+    assert.equal(t('selection.insert', { count: 4 }), 'Insert 4 icons');
+
+    i18n.setLocale('ar');
+    assert.equal(document.documentElement.dir, 'rtl');
+    assert.equal(document.documentElement.lang, 'ar');
+    assert.equal(t('selection.insert', { count: 2 }), MESSAGES.ar['selection.insert'].two);
+    assert.equal(t('selection.insert', { count: 5 }), 'إدراج 5 أيقونات');
+    assert.equal(t('selection.insert', { count: 11 }), 'إدراج 11 أيقونة');
+
+    MESSAGES.en['test.onlyEnglish'] = 'Only {what}';
+    try {
+        assert.equal(t('test.onlyEnglish', { what: 'English' }), 'Only English');
+    } finally {
+        delete MESSAGES.en['test.onlyEnglish'];
+    }
+    assert.equal(t('missing.key'), 'missing.key');
+    assert.equal(t('presets.duplicate'), MESSAGES.ar['presets.duplicate'], 'a missing param keeps its placeholder');
+
+    document.body.innerHTML = '<button data-i18n="presets.save" data-i18n-title="presets.saveHint"></button>';
+    localizeElement();
+    const button = document.querySelector('button');
+    assert.equal(button.textContent, MESSAGES.ar['presets.save']);
+    assert.equal(button.title, MESSAGES.ar['presets.saveHint']);
+});
+
+test('the panel follows the After Effects language and lays out right to left', async () => {
+    await openPanel('ar_AE');
+
+    assert.equal(document.documentElement.dir, 'rtl');
+    assert.equal(document.getElementById('searchInput').placeholder, MESSAGES.ar['search.placeholder']);
+    assert.equal(document.getElementById('resetFilters').textContent, MESSAGES.ar['filters.reset']);
+    assert.equal(document.querySelector('#categoryFilter option[value="All"]').textContent, MESSAGES.ar['category.all']);
+    assert.equal(document.querySelector('.insertion-settings summary').textContent, MESSAGES.ar['insertion.title']);
+    assert.equal(document.getElementById('languageSelect').value, 'auto');
+
+    // Rows fill from the right, so ArrowLeft moves forward
+    const press = key => document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    panel.iconManager.focusIconAt(0);
+    press('ArrowLeft');
+    assert.equal(panel.iconManager.getActiveIcon().name, 'search');
+    press('ArrowRight');
+    assert.equal(panel.iconManager.getActiveIcon().name, 'home');
+});
+
+test('the language switch re-renders the panel and is kept across resets', async () => {
+    await openPanel('ar_AE');
+    document.querySelector('.icon-item').dispatchEvent(new MouseEvent('click', { bubbles: true, ctrlKey: true }));
+
+    const select = document.getElementById('languageSelect');
+    select.value = 'en';
+    select.dispatchEvent(new Event('change'));
+
+    assert.equal(document.documentElement.dir, 'ltr');
+    assert.equal(document.getElementById('searchInput').placeholder, 'Search icons...');
+    assert.equal(document.querySelector('.insertion-settings summary').textContent, 'Insertion Settings');
+    assert.equal(document.querySelector('.selection-insert').textContent, 'Insert 1 icon');
+    assert.equal(document.querySelector('.icon-item').title.split('\n')[1], 'Click to insert, right-click for details');
+    assert.equal(PanelStateStore.getInstance().get().language, 'en');
+
+    panel.resetAllFilters();
+    assert.equal(panel.language, 'en');
+    assert.equal(document.documentElement.dir, 'ltr');
+});
+
+test('host messages use the active language', async () => {
+    I18n.getInstance().setLocale('ar');
+
+    const settings = { fontFamily: 'Outlined', fill: '0', weight: '400', grade: '0', opticalSize: '48' };
+    assert.equal(await addIconToAfterEffects(env.csInterface, { name: 'home', unicode: 'e88a' }, settings), true);
+    assert.equal(document.querySelector('#notificationStack .notification-message').textContent, t('insert.added', { name: 'home' }));
+    assert.match(document.getElementById('notificationStack').textContent, /تمت إضافة الأيقونة "home"/);
+});
@@ -0,0 +1,60 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { buildIconSnippets, IconDetailDrawer } from '../iconDetails.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const SETTINGS = { fontFamily: 'Rounded', fill: '1', weight: '300', grade: '-25', opticalSize: '24' };
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('snippets reflect the icon and axis values', () => {
+    const snippets = Object.fromEntries(
+        buildIconSnippets({ name: 'arrow_back', unicode: 'e5c4' }, SETTINGS).map(snippet => [snippet.id, snippet.code])
+    );
+
+    assert.equal(snippets.html, '<span class="material-symbols-rounded">arrow_back</span>');
+    assert.match(snippets.css, /font-variation-settings: 'FILL' 1, 'wght' 300, 'GRAD' -25, 'opsz' 24;/);
+    assert.equal(snippets.unicode, '\\ue5c4');
+    assert.match(snippets.android, /Icons\.Rounded\.ArrowBack/);
+    assert.match(snippets.ios, /\\u\{E5C4\}/);
+    assert.match(snippets.flutter, /Symbols\.arrow_back_rounded, fill: 1, weight: 300/);
+    assert.equal(snippets.expression, 'String.fromCharCode(0xE5C4) // Material Symbols Rounded');
+
+    assert.match(buildIconSnippets({ name: '10k', unicode: 'e951' }, SETTINGS)[3].code, /Icons\.Rounded\._10k/);
+});
+
+test('right-clicking a card opens the drawer; its sliders drive preview and insertion', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\n');
+    new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 1);
+
+    document.querySelector('.icon-item').dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    const drawer = document.querySelector('.icon-drawer');
+    assert.ok(drawer);
+    assert.equal(drawer.querySelector('.icon-drawer-title').textContent, 'home');
+    assert.match(drawer.querySelector('.icon-drawer-info').textContent, /U\+E88A/);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon').length, 0, 'details do not insert');
+
+    const weight = drawer.querySelector('[data-axis="weight"]');
+    weight.value = '650';
+    weight.dispatchEvent(new Event('input'));
+    assert.match(drawer.querySelector('.icon-drawer-preview').style.fontVariationSettings, /'wght' 650/);
+    assert.match(drawer.querySelector('.icon-drawer-snippets').textContent, /'wght' 650/);
+
+    drawer.querySelector('.icon-drawer-insert').click();
+    await waitFor(() => env.csInterface.callsTo('MaterialIconsHost.addIcon').length === 1);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon')[0].args[0].item.weight, 650);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(IconDetailDrawer.getInstance().isOpen(), false);
+    assert.equal(document.querySelector('.icon-drawer'), null);
+});
@@ -0,0 +1,130 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { addIconToAfterEffects, addIconsToAfterEffects, undoInsertion } from '../cep.js';
+import { InsertHistory } from '../insertHistory.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const SETTINGS = { fontFamily: 'Outlined', fill: '0', weight: '400', grade: '0', opticalSize: '48' };
+const ICONS = [{ name: 'home', unicode: 'e88a' }, { name: 'search', unicode: 'e8b6' }, { name: 'star', unicode: 'e838' }];
+
+let env;
+
+const shown = () => [...document.querySelectorAll('#notificationStack .notification-message')].map(element => element.textContent);
+const removeCalls = () => env.csInterface.callsTo('MaterialIconsHost.removeLayers').map(call => call.args[0]);
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('Undo in the success notification removes exactly the inserted layer', async () => {
+    await addIconToAfterEffects(env.csInterface, ICONS[0], SETTINGS);
+    await addIconToAfterEffects(env.csInterface, ICONS[1], SETTINGS);
+    const [, first] = InsertHistory.getInstance().list();
+    assert.deepEqual(first.layers, [{ compId: 1, layerId: 1, name: 'home' }]);
+
+    const undo = [...document.querySelectorAll('.notification-success')]
+        .find(element => element.textContent.includes('Added "home"'))
+        .querySelector('.notification-actions button');
+    assert.equal(undo.textContent, 'Undo');
+    undo.click();
+
+    await waitFor(() => first.undone);
+    assert.deepEqual(removeCalls(), [{ layers: first.layers, undoName: 'Remove Material Icons: home' }]);
+    assert.deepEqual(env.csInterface.insertedLayers.map(layer => layer.name), ['search']);
+    assert.ok(shown().includes('Removed the inserted layer'));
+});
+
+test('"Undo last insert" in the history list removes the latest batch only', async () => {
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.getElementById('insertHistory'));
+    const section = document.getElementById('insertHistory');
+    const undoLast = section.querySelector('[data-history-action="undo-last"]');
+    assert.equal(undoLast.textContent, 'Undo last insert');
+    assert.ok(undoLast.disabled);
+    assert.equal(section.querySelector('.insert-history-empty').textContent, 'Nothing inserted yet');
+
+    await addIconToAfterEffects(panel.csInterface, ICONS[0], SETTINGS);
+    await addIconsToAfterEffects(panel.csInterface, ICONS.slice(1), SETTINGS);
+    const rows = [...section.querySelectorAll('.insert-history-item')];
+    assert.deepEqual(rows.map(row => row.querySelector('.insert-history-names').textContent), ['search, star', 'home']);
+    assert.ok(rows[0].querySelector('time').getAttribute('datetime'));
+    assert.equal(undoLast.disabled, false);
+
+    undoLast.click();
+    await waitFor(() => section.querySelector('.insert-history-item.undone'));
+    assert.deepEqual(removeCalls()[0].layers.map(layer => layer.name), ['search', 'star']);
+    assert.deepEqual(env.csInterface.insertedLayers.map(layer => layer.name), ['home']);
+    assert.equal(section.querySelector('.insert-history-item.undone .insert-history-status').textContent, 'Undone');
+
+    // The next one down is now the last insert
+    undoLast.click();
+    await waitFor(() => undoLast.disabled);
+    assert.deepEqual(env.csInterface.insertedLayers, []);
+    assert.equal(removeCalls().length, 2);
+});
+
+test('layers deleted in the meantime are reported, not guessed at', async () => {
+    await addIconsToAfterEffects(env.csInterface, ICONS.slice(0, 2), SETTINGS);
+    env.csInterface.insertedLayers.shift(); // The user deleted "home" by hand
+
+    assert.equal(await undoInsertion(env.csInterface, InsertHistory.getInstance().getLast()), true);
+    const warning = document.querySelector('.notification-warning .notification-message');
+    assert.equal(warning.textContent, 'Removed 1 layer. Already gone: home');
+    assert.equal(InsertHistory.getInstance().getLast(), null);
+});
+
+test('a failed undo keeps the entry and offers a Retry', async () => {
+    await addIconToAfterEffects(env.csInterface, ICONS[0], SETTINGS);
+    const entry = InsertHistory.getInstance().getLast();
+    env.csInterface.hostFunction('MaterialIconsHost.removeLayers', () => ({ success: false, message: 'No project is open.' }));
+
+    assert.equal(await undoInsertion(env.csInterface, entry), false);
+    assert.equal(entry.undone, false);
+    const retry = document.querySelector('.notification-error .notification-actions button');
+    assert.equal(retry.textContent, 'Retry');
+
+    env.csInterface.installDefaultHost();
+    retry.click();
+    await waitFor(() => entry.undone);
+    assert.deepEqual(env.csInterface.insertedLayers, []);
+});
+
+test('an undo in progress ignores further Undo clicks for the same insertion', async () => {
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.getElementById('insertHistory'));
+    await addIconToAfterEffects(panel.csInterface, ICONS[0], SETTINGS);
+    const entry = InsertHistory.getInstance().getLast();
+
+    const notificationUndo = document.querySelector('.notification-success .notification-actions button');
+    const undoLast = document.querySelector('[data-history-action="undo-last"]');
+    const rowUndo = document.querySelector('.insert-history-item button');
+    notificationUndo.click();
+    assert.ok(entry.pending);
+    assert.ok(undoLast.disabled);
+    assert.ok(document.querySelector('.insert-history-item button').disabled);
+    rowUndo.click();
+    assert.equal(await undoInsertion(panel.csInterface, entry), false);
+
+    await waitFor(() => entry.undone);
+    assert.equal(removeCalls().length, 1);
+    assert.equal(document.querySelector('.notification-warning'), null, 'no bogus "already gone"');
+});
+
+test('an insert retried before reaching the host records every layer it created', async () => {
+    const evalScript = env.csInterface.evalScript;
+    env.csInterface.evalScript = () => {
+        env.csInterface.evalScript = evalScript;
+        throw new Error('Host is busy');
+    };
+
+    assert.equal(await addIconToAfterEffects(env.csInterface, ICONS[0], SETTINGS), true);
+    assert.deepEqual(InsertHistory.getInstance().getLast().layers, env.csInterface.insertedLayers);
+
+    await undoInsertion(env.csInterface, InsertHistory.getInstance().getLast());
+    assert.deepEqual(env.csInterface.insertedLayers, []);
+});
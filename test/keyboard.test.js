@@ -0,0 +1,131 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { getHostKeyInterest } from '../keyboard.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+let env;
+let panel;
+
+async function openPanel() {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nsearch e8b6\nsettings e8b8\n');
+    panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 3);
+}
+
+function press(key, target = document.body, options = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event.defaultPrevented;
+}
+
+const activeName = () => document.querySelector('.icon-item.active .icon-name')?.textContent;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('the shortcut keys are claimed from the host for the current OS', async () => {
+    await openPanel();
+    const codes = env.csInterface.keyEventsInterest.map(entry => entry.keyCode);
+    assert.ok(codes.includes(191) && codes.includes(70), 'Windows codes for "/" and "F"');
+    assert.ok(env.csInterface.keyEventsInterest.some(entry => entry.keyCode === 191 && entry.shiftKey));
+
+    const macCodes = getHostKeyInterest('Mac OS 14.2').map(entry => entry.keyCode);
+    assert.ok(macCodes.includes(44) && macCodes.includes(3), 'mac codes for "/" and "F"');
+});
+
+test('arrow keys move the focus through the grid and Enter inserts the focused icon', async () => {
+    await openPanel();
+
+    assert.equal(press('ArrowRight'), true);
+    assert.equal(activeName(), 'home', 'the first key focuses the first icon');
+    press('ArrowRight', document.activeElement);
+    assert.equal(activeName(), 'search');
+    assert.equal(document.activeElement, document.querySelector('.icon-item.active'));
+    press('End', document.activeElement);
+    assert.equal(activeName(), 'settings');
+    press('ArrowRight', document.activeElement);
+    assert.equal(activeName(), 'settings', 'stays on the last icon');
+    press('ArrowLeft', document.activeElement);
+
+    assert.equal(press('Enter', document.activeElement), true);
+    await waitFor(() => env.csInterface.callsTo('MaterialIconsHost.addIcon').length === 1);
+    const [{ args: [{ item }] }] = env.csInterface.callsTo('MaterialIconsHost.addIcon');
+    assert.equal(item.metadata.name, 'search');
+});
+
+test('F toggles the favorite of the focused icon', async () => {
+    await openPanel();
+    press('ArrowRight');
+
+    press('f', document.activeElement);
+    assert.equal(panel.iconManager.library.isFavorite('home'), true);
+    assert.ok(document.activeElement.querySelector('.icon-favorite-btn.active'));
+    press('F', document.activeElement);
+    assert.equal(panel.iconManager.library.isFavorite('home'), false);
+});
+
+test('E opens the export menu of the focused icon', async () => {
+    await openPanel();
+    press('ArrowRight');
+
+    assert.equal(press('e', document.activeElement), true);
+    const popover = document.querySelector('.export-popover');
+    assert.match(popover.querySelector('.export-popover-title').textContent, /home/);
+    assert.equal(document.activeElement, popover.querySelector('.export-format'));
+});
+
+test('"/" focuses the search, Esc clears it and ArrowDown moves into the results', async () => {
+    await openPanel();
+    const searchInput = document.getElementById('searchInput');
+
+    assert.equal(press('/'), true);
+    assert.equal(document.activeElement, searchInput);
+    assert.equal(press('1', searchInput), false, 'typing in the search field is left alone');
+
+    searchInput.value = 'se';
+    searchInput.dispatchEvent(new Event('input'));
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+    press('ArrowDown', searchInput);
+    assert.equal(activeName(), 'search');
+
+    searchInput.focus();
+    assert.equal(press('Escape', searchInput), true);
+    assert.equal(panel.searchQuery, '');
+    assert.equal(searchInput.value, '');
+});
+
+test('number keys change the view size and modified keys are left to After Effects', async () => {
+    await openPanel();
+
+    press('3');
+    assert.equal(panel.viewSize, 'large');
+    assert.ok(document.getElementById('iconsGrid').classList.contains('large'));
+    assert.equal(panel.getState().viewSize, 'large');
+
+    assert.equal(press('1', document.body, { ctrlKey: true }), false);
+    assert.equal(press('1', document.body, { metaKey: true }), false);
+    assert.equal(panel.viewSize, 'large');
+});
+
+test('"?" opens the shortcut help and Esc closes it', async () => {
+    await openPanel();
+
+    press('?');
+    const help = document.getElementById('shortcutHelp');
+    assert.ok(help);
+    assert.match(help.textContent, /Insert the focused icon/);
+    press('1', document.activeElement);
+    assert.equal(panel.viewSize, 'medium', 'other shortcuts are paused while the help is open');
+
+    press('Escape', document.activeElement);
+    assert.equal(document.getElementById('shortcutHelp'), null);
+
+    document.getElementById('shortcutHelpButton').click();
+    assert.ok(document.getElementById('shortcutHelp'));
+});
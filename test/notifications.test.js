@@ -0,0 +1,132 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { NotificationCenter, notify } from '../notifications.js';
+import { LoadingManager } from '../ui.js';
+import { addIconToAfterEffects } from '../cep.js';
+
+const ICON = { name: 'home', unicode: 'e88a' };
+const SETTINGS = { fontFamily: 'Outlined', fill: '0', weight: '400', grade: '0', opticalSize: '48' };
+
+let env;
+
+const shown = () => [...document.querySelectorAll('#notificationStack .notification-message')].map(element => element.textContent);
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('notifications stack, queue the overflow and keep their own timers', async () => {
+    notify('short', { duration: 20 });
+    notify('long', { duration: 5000 });
+    notify('third');
+    notify('queued');
+    assert.deepEqual(shown(), ['short', 'long', 'third']);
+
+    // The first timer must not hide the others, and its slot goes to the queue
+    await waitFor(() => !shown().includes('short'));
+    assert.deepEqual(shown(), ['long', 'third', 'queued']);
+
+    const stack = document.getElementById('notificationStack');
+    stack.querySelector('.notification-close').click();
+    assert.deepEqual(shown(), ['third', 'queued']);
+});
+
+test('errors stay until dismissed and showToast goes through the same stack', async () => {
+    const loading = LoadingManager.getInstance();
+    loading.showToast('Export failed: disk full', 'error', 10);
+    loading.showToast('Saved preset', 'success', 10);
+    assert.ok(document.querySelector('.notification.notification-error'));
+
+    await waitFor(() => !shown().includes('Saved preset'));
+    assert.deepEqual(shown(), ['Export failed: disk full']);
+
+    document.querySelector('.notification-error .notification-close').click();
+    assert.deepEqual(shown(), []);
+});
+
+test('persistent errors make way for newer notifications and stay in the history', () => {
+    const center = NotificationCenter.getInstance();
+    const retried = [];
+    ['first', 'second', 'third'].forEach(name => notify(`${name} failed`, {
+        type: 'error',
+        actions: [{ label: 'Retry', onClick: () => retried.push(name) }]
+    }));
+    assert.deepEqual(shown(), ['first failed', 'second failed', 'third failed']);
+
+    notify('Icon inserted', { type: 'success' });
+    assert.deepEqual(shown(), ['second failed', 'third failed', 'Icon inserted']);
+    notify('fourth failed', { type: 'error' });
+    assert.deepEqual(shown(), ['third failed', 'Icon inserted', 'fourth failed']);
+
+    const first = center.history.find(entry => entry.message === 'first failed');
+    assert.equal(first.actions.length, 1, 'its Retry is still there in the history');
+    center.runAction(first, first.actions[0]);
+    assert.deepEqual(retried, ['first']);
+});
+
+test('actions run once, from the notification or the history', async () => {
+    let runs = 0;
+    const id = notify('Icon inserted', { type: 'success', actions: [{ label: 'Undo', onClick: () => { runs++; } }] });
+
+    const [undo] = document.querySelectorAll('.notification .notification-actions button');
+    assert.equal(undo.textContent, 'Undo');
+    undo.click();
+    assert.equal(runs, 1);
+    assert.deepEqual(shown(), [], 'the notification closes');
+
+    const center = NotificationCenter.getInstance();
+    assert.deepEqual(center.history.find(entry => entry.id === id).actions, []);
+    center.showHistory();
+    assert.equal(document.querySelector('#notificationHistory .notification-actions button'), null);
+});
+
+test('the history lists the session newest first with an unread count', () => {
+    const center = NotificationCenter.getInstance();
+    center.attach();
+    const button = document.getElementById('notificationHistoryButton');
+    const searchInput = document.getElementById('searchInput');
+    searchInput.focus();
+
+    notify('first');
+    notify('second', { type: 'warning' });
+    assert.equal(button.querySelector('.notification-badge').textContent, '2');
+    assert.equal(button.getAttribute('aria-label'), 'Notifications (2 unread)');
+
+    button.click();
+    const history = document.getElementById('notificationHistory');
+    assert.equal(history.getAttribute('role'), 'dialog');
+    const items = [...history.querySelectorAll('.notification-history-item')];
+    assert.deepEqual(items.map(item => item.querySelector('.notification-message').textContent), ['second', 'first']);
+    assert.ok(items[0].classList.contains('notification-warning'));
+    assert.ok(items[0].querySelector('time').getAttribute('datetime'));
+    assert.equal(button.querySelector('.notification-badge').textContent, '', 'opening marks them read');
+
+    notify('while open');
+    assert.equal(history.querySelectorAll('.notification-history-item').length, 3);
+
+    history.querySelector('.notification-history-clear').click();
+    assert.equal(history.querySelector('.notification-history-empty').textContent, 'No notifications yet');
+
+    history.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+    assert.equal(document.getElementById('notificationHistory'), null);
+    assert.equal(document.activeElement, searchInput);
+});
+
+test('a failed insert offers a Retry that calls the host again', async () => {
+    env.csInterface.hostFunction('MaterialIconsHost.addIcon', () => ({ success: false, message: 'Boom' }));
+    assert.equal(await addIconToAfterEffects(env.csInterface, ICON, SETTINGS), false);
+    const attempts = env.csInterface.callsTo('MaterialIconsHost.addIcon').length;
+
+    const retry = document.querySelector('.notification-error .notification-actions button');
+    assert.equal(retry.textContent, 'Retry');
+    env.csInterface.hostFunction('MaterialIconsHost.addIcon', () => ({ success: true, data: {} }));
+    retry.click();
+
+    await waitFor(() => shown().some(message => message.includes('Added "home"')));
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon').length, attempts + 1);
+});
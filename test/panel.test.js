@@ -0,0 +1,73 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const CODEPOINTS_FILE = '/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints';
+
+let env;
+
+function renderedNames() {
+    return [...document.querySelectorAll('#iconsGrid .icon-item .icon-name')].map(element => element.textContent);
+}
+
+beforeEach(async () => {
+    await resetSingletons();
+});
+
+afterEach(() => env.teardown());
+
+test('panel initializes against the mock host and renders the codepoints file', async () => {
+    env = setupEnvironment();
+    await disableRetryDelays();
+    env.csInterface.writeExtensionFile(CODEPOINTS_FILE, 'home e88a\nsearch e8b6\nsettings e8b8\n');
+    const panel = new MaterialIconsPanel();
+
+    await waitFor(() => renderedNames().length === 3);
+    assert.deepEqual(renderedNames().sort(), ['home', 'search', 'settings']);
+    assert.equal(panel.csInterface, env.csInterface);
+
+    // Host extensions go in before anything else talks to the host
+    assert.ok(env.csInterface.calls[1].script.includes('HOST_EXTENSIONS_READY'));
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.loadScriptFile').length, 1);
+    assert.ok(document.getElementById('insertionSettings'));
+    assert.ok(document.getElementById('selectionBar'));
+});
+
+test('panel falls back to the basic icon set when the codepoints file is unreadable', async () => {
+    env = setupEnvironment();
+    await disableRetryDelays();
+    env.csInterface.respond('MaterialIconsHost.readTextFile', '{"success": fal');
+    new MaterialIconsPanel();
+
+    await waitFor(() => renderedNames().length > 0);
+    assert.ok(renderedNames().includes('home'));
+});
+
+test('search input filters the rendered icons', async () => {
+    env = setupEnvironment();
+    await disableRetryDelays();
+    env.csInterface.writeExtensionFile(CODEPOINTS_FILE, 'home e88a\nsearch e8b6\nsettings e8b8\n');
+    new MaterialIconsPanel();
+    await waitFor(() => renderedNames().length === 3);
+
+    const searchInput = document.getElementById('searchInput');
+    searchInput.value = 'home';
+    searchInput.dispatchEvent(new Event('input'));
+
+    await waitFor(() => renderedNames().length === 1, { timeout: 1000 });
+    assert.deepEqual(renderedNames(), ['home']);
+});
+
+test('clicking a card inserts the icon through the host', async () => {
+    env = setupEnvironment();
+    await disableRetryDelays();
+    env.csInterface.writeExtensionFile(CODEPOINTS_FILE, 'home e88a\n');
+    new MaterialIconsPanel();
+
+    await waitFor(() => renderedNames().length === 1);
+    document.querySelector('#iconsGrid .icon-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    await waitFor(() => env.csInterface.callsTo('MaterialIconsHost.addIcon').length === 1);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon')[0].args[0].item.name, 'home');
+});
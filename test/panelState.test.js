@@ -0,0 +1,69 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { DEFAULT_PANEL_STATE, PANEL_STATE_VERSION, PanelStateStore } from '../panelState.js';
+import { StorageManager } from '../storage.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const STATE_FILE = 'C:/mock/userData/MaterialIconsAE/panelState.json';
+const CODEPOINTS_FILE = '/src/MaterialSymbolsRounded[FILL,GRAD,opsz,wght].codepoints';
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('state is saved with its schema version', async () => {
+    StorageManager.getInstance().configure(env.csInterface);
+    const store = PanelStateStore.getInstance();
+    await store.load();
+    await store.update({ fontFamily: 'Sharp', weight: '700' });
+    await waitFor(() => env.csInterface.files.has(STATE_FILE));
+
+    const saved = JSON.parse(env.csInterface.files.get(STATE_FILE));
+    assert.equal(saved.version, PANEL_STATE_VERSION);
+    assert.equal(saved.state.fontFamily, 'Sharp');
+    assert.equal(saved.state.weight, '700');
+});
+
+test('invalid values are sanitized and unknown versions discarded', () => {
+    const store = PanelStateStore.getInstance();
+
+    const restored = store.migrate({ version: PANEL_STATE_VERSION, state: { fontFamily: 'Rounded', viewSize: 'huge', weight: '900' } });
+    assert.equal(restored.fontFamily, 'Rounded');
+    assert.equal(restored.viewSize, DEFAULT_PANEL_STATE.viewSize);
+    assert.equal(restored.weight, '700');
+
+    assert.deepEqual(store.migrate({ version: PANEL_STATE_VERSION + 1, state: { fontFamily: 'Sharp' } }), DEFAULT_PANEL_STATE);
+    assert.deepEqual(store.migrate({ fontFamily: 'Sharp' }), DEFAULT_PANEL_STATE, 'no unversioned snapshot was ever written');
+});
+
+test('panel restores the saved state on start and reset goes back to defaults', async () => {
+    env.csInterface.files.set(STATE_FILE, JSON.stringify({
+        version: PANEL_STATE_VERSION,
+        state: { ...DEFAULT_PANEL_STATE, fontFamily: 'Rounded', fill: '1', viewSize: 'large', hideNames: true, searchQuery: 'home' }
+    }));
+    env.csInterface.writeExtensionFile(CODEPOINTS_FILE, 'home e88a\nsearch e8b6\n');
+    // Resetting switches back to Outlined, which reloads that family's codepoints
+    env.csInterface.writeExtensionFile(CODEPOINTS_FILE.replace('Rounded', 'Outlined'), 'home e88a\n');
+    const panel = new MaterialIconsPanel();
+
+    await waitFor(() => document.querySelectorAll('#iconsGrid .icon-item').length === 1);
+    assert.equal(panel.currentFontFamily, 'Rounded');
+    assert.equal(document.getElementById('fontFamily').value, 'Rounded');
+    assert.equal(document.getElementById('fontFill').value, '1');
+    assert.equal(document.getElementById('searchInput').value, 'home');
+    assert.ok(document.getElementById('hideNames').checked);
+    assert.ok(document.getElementById('iconsGrid').classList.contains('large'));
+
+    panel.resetAllFilters();
+    assert.deepEqual(panel.getState(), DEFAULT_PANEL_STATE);
+    assert.deepEqual(PanelStateStore.getInstance().get(), DEFAULT_PANEL_STATE);
+    assert.equal(document.getElementById('fontFamily').value, 'Outlined');
+    assert.ok(!document.getElementById('iconsGrid').classList.contains('hide-names'));
+});
@@ -0,0 +1,76 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { PresetManager, PRESET_FILE_FORMAT } from '../presets.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const BRAND = { fontFamily: 'Rounded', fill: '1', weight: '300', grade: '-25', opticalSize: '24' };
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('presets can be created, renamed and deleted', () => {
+    const presets = PresetManager.getInstance();
+    const brand = presets.create('Brand', BRAND);
+    assert.deepEqual({ ...brand, id: undefined }, { id: undefined, name: 'Brand', ...BRAND });
+
+    // Saving under an existing name (any case) overwrites it
+    presets.create('brand', { ...BRAND, weight: '500' });
+    assert.equal(presets.list().length, 1);
+    assert.equal(presets.get(brand.id).weight, '500');
+
+    const other = presets.create('Other', BRAND);
+    assert.throws(() => presets.rename(other.id, 'BRAND'), /already exists/);
+    assert.equal(presets.rename(other.id, 'Outline heavy').name, 'Outline heavy');
+    assert.throws(() => presets.create('  ', BRAND), /name is required/);
+
+    assert.equal(presets.remove(brand.id), true);
+    assert.deepEqual(presets.list().map(preset => preset.name), ['Outline heavy']);
+});
+
+test('export and import round-trip and merge by name', () => {
+    const presets = PresetManager.getInstance();
+    presets.create('Brand', BRAND);
+    const exported = presets.exportJSON();
+    const data = JSON.parse(exported);
+    assert.equal(data.format, PRESET_FILE_FORMAT);
+    assert.equal(data.presets[0].id, undefined);
+
+    presets.remove(presets.list()[0].id);
+    presets.create('Brand', { ...BRAND, weight: '700' });
+    assert.equal(presets.importJSON(exported), 1);
+    assert.equal(presets.list().length, 1);
+    assert.equal(presets.list()[0].weight, '300');
+
+    assert.throws(() => presets.importJSON('{oops'), /not valid JSON/);
+    assert.throws(() => presets.importJSON('{"presets": []}'), /Not a Material Icons preset file/);
+    assert.equal(presets.importJSON(JSON.stringify([{ name: 'Loud', weight: '5000' }])), 1);
+    assert.equal(presets.findByName('loud').weight, '700', 'axes are clamped');
+});
+
+test('choosing a preset applies it to the panel and its controls', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\n');
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsRounded[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nstar e838\n');
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.getElementById('presetSelect') && document.querySelectorAll('.icon-item').length === 1);
+
+    const preset = PresetManager.getInstance().create('Brand', BRAND);
+    const select = document.getElementById('presetSelect');
+    assert.ok([...select.options].some(option => option.value === preset.id));
+
+    select.value = preset.id;
+    select.dispatchEvent(new Event('change'));
+
+    assert.deepEqual(panel.getStyle(), BRAND);
+    assert.equal(document.getElementById('fontFamily').value, 'Rounded');
+    assert.equal(document.getElementById('fontStyle').value, '300');
+    assert.equal(panel.stateStore.get().weight, '300');
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+});
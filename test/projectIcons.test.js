@@ -0,0 +1,125 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'node:vm';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { addIconToAfterEffects } from '../cep.js';
+import { GlyphOutlineExtractor } from '../fontOutline.js';
+import { HOST_EXTENSIONS_SCRIPT } from '../hostScripts.js';
+import { DEFAULT_INSERTION_SETTINGS } from '../insertionDefaults.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const ICON = { name: 'home', unicode: 'E88A' };
+const SETTINGS = {
+    fontFamily: 'Sharp', fill: '1', weight: '300', grade: '0', opticalSize: '24',
+    ...DEFAULT_INSERTION_SETTINGS, size: 64
+};
+
+// An untagged text layer and a tagged shape layer in two comps
+const PROJECT_LAYERS = [
+    {
+        compId: 1, compName: 'Intro', id: 11, layerIndex: 1, name: 'Search', type: 'text', text: '\ue8b6',
+        font: 'MaterialSymbolsOutlined-Regular', fontFamily: 'Material Symbols Outlined', metadata: null
+    },
+    {
+        compId: 2, compName: 'Outro', id: 21, layerIndex: 3, name: 'home', type: 'shape',
+        metadata: { name: 'home', codepoint: 'e88a', fontFamily: 'Outlined', fill: 0, weight: 300, grade: 0, opticalSize: 48, size: 64 }
+    }
+];
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('inserted layers carry the icon metadata', async () => {
+    await addIconToAfterEffects(env.csInterface, ICON, SETTINGS);
+
+    const [{ args: [{ item }] }] = env.csInterface.callsTo('MaterialIconsHost.addIcon');
+    assert.deepEqual(item.metadata, {
+        name: 'home', codepoint: 'e88a', fontFamily: 'Sharp', fill: 1, weight: 300, grade: 0, opticalSize: 24, size: 64
+    });
+});
+
+test('the project scan lists icon layers and restyles the checked ones in bulk', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nsearch e8b6\n');
+    env.csInterface.projectLayers = PROJECT_LAYERS;
+    const shapeRequests = [];
+    GlyphOutlineExtractor.getInstance().getShapePaths = async (csInterface, icon, settings, size) => {
+        shapeRequests.push({ family: settings.fontFamily, weight: settings.weight, size });
+        return [{ vertices: [[0, 0]], inTangents: [[0, 0]], outTangents: [[0, 0]], closed: true }];
+    };
+
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+
+    document.querySelector('[data-project-action="scan"]').click();
+    await waitFor(() => document.querySelectorAll('.project-icons-list li').length === 2);
+    const labels = [...document.querySelectorAll('.project-icon-label')].map(label => label.textContent);
+    assert.match(labels[0], /^search · Outlined — Intro › Search$/);
+    assert.match(document.querySelector('.project-icons-summary').textContent, /2 icon layers in 2 comps/);
+
+    document.getElementById('restyleFamily').value = 'Rounded';
+    const results = await panel.restyleProjectIcons();
+    assert.equal(results.length, 2);
+    assert.deepEqual(results.map(result => Boolean(result.axesIgnored)), [true, false], 'the text layer stays on the Regular instance');
+    assert.match(document.querySelector('.notification-warning .notification-message').textContent, /1 text layer kept the font's default axes/);
+
+    const [{ args: [{ targets }] }] = env.csInterface.callsTo('MaterialIconsHost.restyleIcons');
+    assert.deepEqual(targets.map(target => [target.layerId, target.item.mode, target.item.metadata.fontFamily]),
+        [[11, 'text', 'Rounded'], [21, 'shape', 'Rounded']]);
+    assert.equal(targets[0].item.fontName, 'Material Symbols Rounded');
+    assert.equal(targets[0].item.metadata.name, 'search', 'untagged layers are named from their codepoint');
+    assert.equal(targets[0].item.metadata.opticalSize, 24);
+    assert.deepEqual(shapeRequests, [{ family: 'Rounded', weight: '300', size: 64 }], 'shape layers keep their axes and size');
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.scanProjectIcons').length, 2, 'rescanned after restyling');
+});
+
+test('restyle needs a family or axes to apply', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\n');
+    env.csInterface.projectLayers = PROJECT_LAYERS;
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 1);
+
+    await panel.scanProjectIcons();
+    assert.deepEqual(await panel.restyleProjectIcons(), []);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.restyleIcons').length, 0);
+});
+
+test('the host looks layers up through Project.layerByID and walks the comp without it', () => {
+    const host = vm.createContext({});
+    vm.runInContext(HOST_EXTENSIONS_SCRIPT, host);
+    vm.runInContext(`
+        function CompItem(id, layerIds) {
+            var comp = this;
+            this.id = id;
+            this.layers = layerIds.map(function (layerId) { return { id: layerId, containingComp: comp }; });
+            this.numLayers = this.layers.length;
+        }
+        CompItem.prototype.layer = function (index) { return this.layers[index - 1]; };
+        var intro = new CompItem(1, [11, 12]);
+        var outro = new CompItem(2, [21]);
+        var lookups = [];
+        app = { project: { itemByID: function (id) { return id === 1 ? intro : id === 2 ? outro : null; } } };
+    `, host);
+    const find = (compId, layerId) => vm.runInContext(`MaterialIconsHost.findLayer(${compId}, ${layerId})`, host);
+
+    assert.equal(find(1, 12), host.intro.layers[1]);
+    assert.equal(find(1, 21), null);
+    assert.equal(find(3, 11), null);
+
+    vm.runInContext(`app.project.layerByID = function (id) {
+        lookups.push(id);
+        var layers = intro.layers.concat(outro.layers);
+        for (var i = 0; i < layers.length; i++) { if (layers[i].id === id) return layers[i]; }
+        return null;
+    };`, host);
+    assert.equal(find(2, 21), host.outro.layers[0]);
+    assert.equal(find(1, 21), null, 'a layer of another comp is not a match');
+    assert.equal(find(1, 99), null);
+    assert.deepEqual([...host.lookups], [21, 21, 99]);
+});
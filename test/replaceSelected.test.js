@@ -0,0 +1,78 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { replaceSelectedIcons } from '../cep.js';
+import { DEFAULT_INSERTION_SETTINGS, TEXT_LAYER_AXES } from '../insertionDefaults.js';
+import { InsertionSettingsManager } from '../insertionSettings.js';
+import { NotificationCenter } from '../notifications.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const ICON = { name: 'search', unicode: 'e8b6' };
+const SETTINGS = {
+    fontFamily: 'Rounded', fill: '1', weight: '600', grade: '0', opticalSize: '24',
+    ...DEFAULT_INSERTION_SETTINGS
+};
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('replacing sends a text item even in shape or animated mode', async () => {
+    const settings = { ...SETTINGS, insertMode: 'shape', animateAxes: true };
+    assert.equal(await replaceSelectedIcons(env.csInterface, ICON, settings), true);
+
+    const [{ args: [{ item }] }] = env.csInterface.callsTo('MaterialIconsHost.replaceSelectedIcons');
+    assert.equal(item.mode, 'text');
+    assert.equal(item.character, '\ue8b6');
+    assert.equal(item.fontName, 'Material Symbols Rounded');
+    assert.equal(item.animation, undefined);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon').length, 0);
+});
+
+test('replacing warns that text layers keep the default axes instead of reporting plain success', async () => {
+    assert.equal(await replaceSelectedIcons(env.csInterface, ICON, SETTINGS), true);
+
+    const [{ args: [{ item }] }] = env.csInterface.callsTo('MaterialIconsHost.replaceSelectedIcons');
+    assert.deepEqual(
+        { fill: item.metadata.fill, weight: item.metadata.weight, grade: item.metadata.grade, opticalSize: item.metadata.opticalSize },
+        TEXT_LAYER_AXES,
+        'the metadata records the axes the layer really shows'
+    );
+    assert.equal(document.querySelector('.notification-success'), null);
+    assert.match(document.querySelector('.notification-warning').textContent, /default fill, weight, grade and optical size/);
+
+    NotificationCenter.getInstance().dismissAll();
+    await replaceSelectedIcons(env.csInterface, ICON, { ...SETTINGS, fill: '0', weight: '400', opticalSize: '24' });
+    assert.ok(document.querySelector('.notification-success'));
+    assert.equal(document.querySelector('.notification-warning'), null);
+});
+
+test('replacing reports failure when no icon layer is selected', async () => {
+    env.csInterface.hostFunction('MaterialIconsHost.replaceSelectedIcons', () => (
+        { success: false, message: 'None of the selected layers is a Material Symbols text layer.' }
+    ));
+
+    assert.equal(await replaceSelectedIcons(env.csInterface, ICON, SETTINGS), false);
+    assert.match(document.getElementById('notificationStack').textContent, /Material Symbols text layer/);
+});
+
+test('clicking an icon in replace mode swaps the selection instead of adding a layer', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nsearch e8b6\n');
+    new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+
+    const toggle = document.querySelector('[data-setting="replaceSelected"]');
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event('change'));
+    assert.equal(InsertionSettingsManager.getInstance().get().replaceSelected, true);
+
+    document.querySelector('.icon-item').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    await waitFor(() => env.csInterface.callsTo('MaterialIconsHost.replaceSelectedIcons').length === 1);
+    assert.equal(env.csInterface.callsTo('MaterialIconsHost.addIcon').length, 0);
+});
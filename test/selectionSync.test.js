@@ -0,0 +1,111 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { SelectionSync, parseIconLayerInfo } from '../selectionSync.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+const CODEPOINTS = 'home e88a\nsearch e8b6\nsettings e8b8\n';
+
+function textLayer(character, family = 'Outlined', extra = {}) {
+    return {
+        compId: 1, id: 7, name: 'icon', type: 'text', text: character,
+        font: `MaterialSymbols${family}-Regular`, fontFamily: `Material Symbols ${family}`, metadata: null,
+        ...extra
+    };
+}
+
+let env;
+let panel;
+
+async function openPanel() {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', CODEPOINTS);
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsRounded[FILL,GRAD,opsz,wght].codepoints', CODEPOINTS);
+    panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 3);
+}
+
+const selectedNames = () => [...document.querySelectorAll('.icon-item.selected .icon-name')].map(el => el.textContent);
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => {
+    SelectionSync.getInstance().stop();
+    env.teardown();
+});
+
+test('icon text layers are read from their glyph and font', () => {
+    assert.deepEqual(parseIconLayerInfo(textLayer('\ue8b6', 'Rounded')),
+        { name: null, codepoint: 'e8b6', fontFamily: 'Rounded', axes: {} });
+    assert.equal(parseIconLayerInfo(textLayer('A', 'Outlined', { font: 'ArialMT', fontFamily: 'Arial' })), null);
+    assert.equal(parseIconLayerInfo({ compId: 1, id: 3, name: 'Solid', type: 'other', metadata: null }), null);
+    assert.equal(parseIconLayerInfo(null), null);
+});
+
+test('stored metadata wins over the layer text', () => {
+    const layer = textLayer('\ue8b6', 'Outlined', {
+        metadata: { name: 'home', codepoint: 'E88A', fontFamily: 'sharp', weight: 300, fill: 1 }
+    });
+    assert.deepEqual(parseIconLayerInfo(layer),
+        { name: 'home', codepoint: 'e88a', fontFamily: 'Sharp', axes: { fill: '1', weight: '300' } });
+});
+
+test('sync from selection selects the icon and applies its axes, clearing hiding filters', async () => {
+    await openPanel();
+    const searchInput = document.getElementById('searchInput');
+    searchInput.value = 'home';
+    searchInput.dispatchEvent(new Event('input'));
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 1);
+
+    env.csInterface.selectedLayer = textLayer('\ue8b6', 'Outlined', { metadata: { weight: 700, fill: 1 } });
+    assert.equal(await panel.syncFromSelection(), true);
+
+    await waitFor(() => selectedNames().includes('search'));
+    assert.equal(panel.searchQuery, '');
+    assert.equal(panel.currentFontStyle, '700');
+    assert.equal(document.getElementById('fontStyle').value, '700');
+    assert.equal(panel.currentFontFill, '1');
+});
+
+test('sync from selection switches to the layer font family', async () => {
+    await openPanel();
+    env.csInterface.selectedLayer = textLayer('\ue8b8', 'Rounded');
+
+    assert.equal(await panel.syncFromSelection(), true);
+    assert.equal(panel.currentFontFamily, 'Rounded');
+    assert.equal(document.getElementById('fontFamily').value, 'Rounded');
+    await waitFor(() => selectedNames().includes('settings'));
+});
+
+test('sync from selection explains a non-icon selection', async () => {
+    await openPanel();
+    env.csInterface.selectedLayer = { compId: 1, id: 3, name: 'Background', type: 'other', metadata: null };
+
+    assert.equal(await panel.syncFromSelection(), false);
+    assert.deepEqual(selectedNames(), []);
+});
+
+test('auto sync follows the selection when After Effects is activated', async () => {
+    await openPanel();
+    const sync = SelectionSync.getInstance();
+    env.csInterface.selectedLayer = textLayer('\ue88a');
+
+    const toggle = document.getElementById('autoSyncSelection');
+    toggle.checked = true;
+    toggle.dispatchEvent(new Event('change'));
+    assert.equal(sync.isRunning(), true);
+    await waitFor(() => selectedNames().includes('home'));
+
+    env.csInterface.selectedLayer = textLayer('\ue8b6', 'Outlined', { id: 8 });
+    env.csInterface.dispatchEvent({ type: 'com.adobe.csxs.events.ApplicationActivate' });
+    await waitFor(() => selectedNames().includes('search'));
+    assert.deepEqual(selectedNames(), ['search']);
+
+    toggle.checked = false;
+    toggle.dispatchEvent(new Event('change'));
+    assert.equal(sync.isRunning(), false);
+    assert.equal(panel.getState().autoSyncSelection, false);
+});
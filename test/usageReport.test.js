@@ -0,0 +1,112 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { disableRetryDelays, resetSingletons, setupEnvironment, waitFor } from './helpers/environment.js';
+import { buildUsageReport, usageReportToCSV, USAGE_REPORT_FORMAT } from '../projectIcons.js';
+import { parseIconLayerInfo } from '../selectionSync.js';
+import { MaterialIconsPanel } from '../panel.js';
+
+function textLayer(compName, name, character, family, extra = {}) {
+    return {
+        compId: compName.length, compName, id: name.length, layerIndex: 1, name, type: 'text', text: character,
+        font: `MaterialSymbols${family}-Regular`, fontFamily: `Material Symbols ${family}`, fontMissing: false, metadata: null,
+        ...extra
+    };
+}
+
+const PROJECT_LAYERS = [
+    textLayer('Intro', 'Home', '\ue88a', 'Outlined'),
+    textLayer('Intro', 'Search, big', '\ue8b6', 'Rounded'),
+    textLayer('Outro', 'Home again', '\ue88a', 'Outlined', { fontMissing: true }),
+    {
+        compId: 9, compName: 'Outro', id: 4, layerIndex: 2, name: 'Vector home', type: 'shape',
+        metadata: { name: 'home', codepoint: 'e88a', fontFamily: 'Rounded', fill: 0, weight: 400, grade: 0, opticalSize: 48 }
+    }
+];
+
+const entriesOf = layers => layers.map(layer => ({ layer, icon: parseIconLayerInfo(layer) }));
+
+let env;
+
+beforeEach(async () => {
+    env = setupEnvironment();
+    await resetSingletons();
+    await disableRetryDelays();
+});
+
+afterEach(() => env.teardown());
+
+test('usage is grouped by family and icon, with missing fonts flagged', () => {
+    const report = buildUsageReport(entriesOf(PROJECT_LAYERS), {
+        'Material Symbols Outlined': true,
+        'Material Symbols Rounded': false
+    }, new Date('2024-01-02T03:04:05Z'));
+
+    assert.equal(report.format, USAGE_REPORT_FORMAT);
+    assert.equal(report.generatedAt, '2024-01-02T03:04:05.000Z');
+    assert.deepEqual(report.summary, { layers: 4, comps: 2, icons: 3, missingFontLayers: 2 });
+
+    const outlined = report.families.find(group => group.family === 'Outlined');
+    assert.equal(outlined.installed, true);
+    assert.deepEqual(outlined.icons, [{ name: '', codepoint: 'e88a', layers: 2 }]);
+
+    // The substituted font and the uninstalled family are flagged; the shape layer needs no font
+    assert.deepEqual(report.layers.filter(row => row.fontMissing).map(row => row.layer), ['Search, big', 'Home again']);
+    assert.equal(report.layers.find(row => row.type === 'shape').font, '');
+});
+
+test('the CSV export has one escaped row per layer', () => {
+    const csv = usageReportToCSV(buildUsageReport(entriesOf(PROJECT_LAYERS.slice(0, 2))));
+    const lines = csv.trimEnd().split('\r\n');
+
+    assert.equal(lines[0], 'Comp,Layer,Index,Type,Family,Icon,Codepoint,Font,Font missing');
+    assert.equal(lines.length, 3);
+    assert.equal(lines[2], 'Intro,"Search, big",1,text,Rounded,,e8b6,MaterialSymbolsRounded-Regular,no');
+});
+
+test('the panel builds the report with the host font check and exports it', async () => {
+    env.csInterface.writeExtensionFile('/src/MaterialSymbolsOutlined[FILL,GRAD,opsz,wght].codepoints', 'home e88a\nsearch e8b6\n');
+    env.csInterface.projectLayers = PROJECT_LAYERS;
+    env.csInterface.installedFonts.delete('Material Symbols Rounded');
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.querySelectorAll('.icon-item').length === 2);
+
+    const report = await panel.createUsageReport();
+    const [fontCall] = env.csInterface.callsTo('MaterialIconsHost.getFontStatus');
+    assert.deepEqual(fontCall.args[0].sort(), ['Material Symbols Outlined', 'Material Symbols Rounded']);
+    assert.equal(report.families.find(group => group.family === 'Rounded').installed, false);
+    assert.equal(report.layers[0].icon, 'home', 'untagged layers are named from the icon set');
+    assert.equal(document.querySelectorAll('.project-report-missing').length, 2);
+
+    assert.equal(await panel.exportUsageReport('csv'), true);
+    const saved = env.csInterface.files.get('C:/mock/Desktop/material-icons-usage.csv');
+    assert.match(saved, /^Comp,Layer/);
+});
+
+test('legacy Material Icons layers get a font check and shape-only families need none', async () => {
+    env.csInterface.projectLayers = [
+        {
+            compId: 3, compName: 'Legacy', id: 1, layerIndex: 1, name: 'Old home', type: 'text', text: '\ue88a',
+            font: 'MaterialIcons-Regular', fontFamily: 'Material Icons', fontMissing: false, metadata: null
+        },
+        {
+            compId: 3, compName: 'Legacy', id: 2, layerIndex: 2, name: 'Vector star', type: 'shape',
+            metadata: { name: 'star', codepoint: 'e838', fontFamily: 'Sharp', fill: 0, weight: 400, grade: 0, opticalSize: 48 }
+        }
+    ];
+    const panel = new MaterialIconsPanel();
+    await waitFor(() => document.getElementById('projectIcons'));
+
+    const report = await panel.createUsageReport();
+    const [fontCall] = env.csInterface.callsTo('MaterialIconsHost.getFontStatus');
+    assert.deepEqual(fontCall.args[0], ['Material Icons']);
+
+    const legacy = report.families.find(group => group.family === 'Material Icons');
+    assert.equal(legacy.installed, false);
+    assert.deepEqual(report.layers.filter(row => row.fontMissing).map(row => row.layer), ['Old home']);
+
+    const sharp = report.families.find(group => group.family === 'Sharp');
+    assert.equal(sharp.needsFont, false);
+    const rows = [...document.querySelectorAll('.project-report-family')].map(row => row.textContent);
+    assert.ok(rows.some(row => row.startsWith('Material Icons (not installed)')));
+    assert.ok(rows.some(row => row.startsWith('Sharp (shape layers, font not needed)')));
+});
@@ -1,3 +1,7 @@
+import { t } from './i18n.js';
+import { NotificationCenter } from './notifications.js';
+import { announce, trapFocus } from './a11y.js';
+
 // Loading and UI State Manager
 export class LoadingManager {
     static instance = null;
@@ -9,9 +13,10 @@ export class LoadingManager {
 
         this.loadingOverlay = null;
         this.errorOverlay = null;
-        this.messageToast = null;
         this.progressBar = null;
         this.loadingText = null;
+        this.releaseLoadingFocus = null;
+        this.releaseErrorFocus = null;
 
         this.initializeElements();
         LoadingManager.instance = this;
@@ -28,10 +33,18 @@ export class LoadingManager {
         // Get DOM elements
         this.loadingOverlay = document.getElementById('loadingOverlay');
         this.errorOverlay = document.getElementById('errorOverlay');
-        this.messageToast = document.getElementById('messageToast');
         this.progressBar = document.getElementById('progressBar');
         this.loadingText = document.getElementById('loadingText');
 
+        // The overlays are modal while shown
+        this.loadingOverlay?.setAttribute('role', 'dialog');
+        this.loadingOverlay?.setAttribute('aria-modal', 'true');
+        this.loadingOverlay?.setAttribute('data-i18n-aria-label', 'loading.label');
+        this.errorOverlay?.setAttribute('role', 'dialog');
+        this.errorOverlay?.setAttribute('aria-modal', 'true');
+        this.errorOverlay?.setAttribute('aria-labelledby', 'errorTitle');
+        this.errorOverlay?.setAttribute('aria-describedby', 'errorMessage');
+
         // Setup event listeners
         this.setupEventListeners();
     }
@@ -42,7 +55,7 @@ export class LoadingManager {
         if (retryButton) {
             retryButton.addEventListener('click', () => {
                 this.hideError();
-                this.showLoading('Retrying initialization...');
+                this.showLoading(t('loading.retrying'));
                 // Trigger retry logic
                 setTimeout(() => {
                     window.location.reload();
@@ -55,25 +68,18 @@ export class LoadingManager {
         if (fallbackButton) {
             fallbackButton.addEventListener('click', () => {
                 this.hideError();
-                this.showLoading('Loading basic mode...');
+                this.showLoading(t('loading.basicMode'));
                 // Continue with basic functionality
                 this.hideLoading();
-                this.showToast('Running in basic mode', 'warning');
-            });
-        }
-
-        // Toast close button
-        const toastClose = document.getElementById('toastClose');
-        if (toastClose) {
-            toastClose.addEventListener('click', () => {
-                this.hideToast();
+                this.showToast(t('loading.basicModeActive'), 'warning');
             });
         }
     }
 
-    showLoading(text = 'Loading...', progress = 0) {
+    showLoading(text = t('loading.default'), progress = 0) {
         if (this.loadingOverlay) {
             this.loadingOverlay.style.display = 'flex';
+            this.releaseLoadingFocus ??= trapFocus(this.loadingOverlay);
         }
 
         if (this.loadingText) {
@@ -81,12 +87,17 @@ export class LoadingManager {
         }
 
         this.updateProgress(progress);
+        announce(text);
     }
 
     hideLoading() {
         if (this.loadingOverlay) {
             this.loadingOverlay.style.display = 'none';
         }
+        if (this.releaseLoadingFocus) {
+            this.releaseLoadingFocus();
+            this.releaseLoadingFocus = null;
+        }
     }
 
     updateProgress(percentage) {
@@ -99,9 +110,10 @@ export class LoadingManager {
         if (this.loadingText) {
             this.loadingText.textContent = text;
         }
+        announce(text);
     }
 
-    showError(title = 'Error', message = 'An error occurred', canRetry = true) {
+    showError(title = t('error.title'), message = t('error.default'), canRetry = true) {
         this.hideLoading();
 
         if (this.errorOverlay) {
@@ -114,53 +126,26 @@ export class LoadingManager {
             if (errorTitle) errorTitle.textContent = title;
             if (errorMessage) errorMessage.textContent = message;
             if (retryButton) retryButton.style.display = canRetry ? 'block' : 'none';
+            this.releaseErrorFocus ??= trapFocus(this.errorOverlay);
         }
+
+        announce(`${title}. ${message}`, 'assertive');
     }
 
     hideError() {
         if (this.errorOverlay) {
             this.errorOverlay.style.display = 'none';
         }
-    }
-
-    showToast(message, type = 'success', duration = 4000) {
-        if (!this.messageToast) return;
-
-        const toastIcon = document.getElementById('toastIcon');
-        const toastMessage = document.getElementById('toastMessage');
-
-        // Set icon based on type
-        const icons = {
-            success: '✓',
-            error: '✗',
-            warning: '⚠',
-            info: 'ℹ'
-        };
-
-        if (toastIcon) {
-            toastIcon.textContent = icons[type] || icons.info;
-        }
-
-        if (toastMessage) {
-            toastMessage.textContent = message;
-        }
-
-        // Update toast class for styling
-        this.messageToast.className = `message-toast toast-${type}`;
-        this.messageToast.style.display = 'block';
-
-        // Auto-hide after duration
-        if (duration > 0) {
-            setTimeout(() => {
-                this.hideToast();
-            }, duration);
+        if (this.releaseErrorFocus) {
+            this.releaseErrorFocus();
+            this.releaseErrorFocus = null;
         }
     }
 
-    hideToast() {
-        if (this.messageToast) {
-            this.messageToast.style.display = 'none';
-        }
+    // Forwards to the notification center, which most modules reach through here.
+    // Errors stay until dismissed whatever the duration; see NotificationCenter.notify.
+    showToast(message, type = 'success', duration = 4000, actions = []) {
+        return NotificationCenter.getInstance().notify(message, { type, duration, actions });
     }
 
     setIconsGridLoading(loading = true) {
@@ -171,55 +156,7 @@ export class LoadingManager {
             } else {
                 iconsGrid.classList.remove('loading');
             }
+            iconsGrid.setAttribute('aria-busy', String(loading));
         }
     }
 }
-
-// Show message to user
-export function showMessage(message, type = 'info') {
-    // Create or get message container
-    let messageContainer = document.getElementById('messageContainer');
-    if (!messageContainer) {
-        messageContainer = document.createElement('div');
-        messageContainer.id = 'messageContainer';
-        messageContainer.style.cssText = `
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            z-index: 1000;
-            max-width: 300px;
-        `;
-        document.body.appendChild(messageContainer);
-    }
-
-    // Create message element
-    const messageElement = document.createElement('div');
-    messageElement.style.cssText = `
-        padding: 10px 15px;
-        margin-bottom: 10px;
-        border-radius: 4px;
-        color: white;
-        font-size: 14px;
-        opacity: 0;
-        transition: opacity 0.3s ease;
-        background-color: ${type === 'success' ? '#4CAF50' : type === 'error' ? '#f44336' : '#2196F3'};
-    `;
-    messageElement.textContent = message;
-
-    messageContainer.appendChild(messageElement);
-
-    // Animate in
-    setTimeout(() => {
-        messageElement.style.opacity = '1';
-    }, 10);
-
-    // Remove after 5 seconds
-    setTimeout(() => {
-        messageElement.style.opacity = '0';
-        setTimeout(() => {
-            if (messageElement.parentNode) {
-                messageElement.parentNode.removeChild(messageElement);
-            }
-        }, 300);
-    }, 5000);
-}